@@ -4,7 +4,12 @@ import dotenv from 'dotenv';
 
 import { Service, Worker } from './src/templates/index.js';
 import { db, DBQuery } from './src/db/index.js';
-import { infoLogger } from './src/middlewares/index.js';
+import { infoLogger, requireScopes, requireRole } from './src/middlewares/index.js';
+import { ServiceRegistry, resolveService, ServiceClient } from './src/discovery/index.js';
+import { SessionStore, revokeSession, invalidateUserSession, TokenVerifier, TokenIssuer } from './src/auth/index.js';
+import { RateLimiter } from './src/ratelimit/index.js';
+import { metricsRegistry } from './src/metrics/index.js';
+import { getTracer, SPAN_KIND } from './src/tracing/index.js';
 import {
   logger,
   translate,
@@ -16,7 +21,7 @@ import {
   _Response,
   _Error
 } from './src/utils/index.js';
-import { publishTask, startConsumer, RedisConnection, RetryManager, SecureConsumer, QUEUES, RabbitMQConnection } from './src/message-broker/index.js';
+import { publishTask, getPublisherConnection, cancelScheduledTask, listScheduledTasks, startSchedulePoller, startConsumer, RedisConnection, RetryManager, TaskScheduler, SecureConsumer, QUEUES, queueRegistry, RabbitMQConnection, DeadLetterManager, TaskOutbox, rpcCall, publishEvent, subscribe } from './src/message-broker/index.js';
 
 dotenv.config({
   path: './env'
@@ -36,11 +41,36 @@ export {
   _Error,
   DBQuery,
   publishTask,
+  getPublisherConnection,
+  cancelScheduledTask,
+  listScheduledTasks,
+  startSchedulePoller,
   startConsumer,
   RedisConnection,
   RetryManager,
+  TaskScheduler,
   SecureConsumer,
   QUEUES,
+  queueRegistry,
   RabbitMQConnection,
+  DeadLetterManager,
+  TaskOutbox,
+  rpcCall,
+  ServiceRegistry,
+  resolveService,
+  ServiceClient,
+  requireScopes,
+  requireRole,
+  SessionStore,
+  revokeSession,
+  invalidateUserSession,
+  TokenVerifier,
+  TokenIssuer,
+  RateLimiter,
+  metricsRegistry,
+  getTracer,
+  SPAN_KIND,
+  publishEvent,
+  subscribe,
   Worker
 };
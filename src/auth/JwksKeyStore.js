@@ -0,0 +1,176 @@
+'use strict';
+
+import axios from 'axios';
+import { createPublicKey } from 'crypto';
+import { readFile } from 'fs/promises';
+import { generalServiceConfig } from '../../constants.js';
+import { _Error, logger } from '../utils/index.js';
+
+const log = logger('jwks-key-store');
+
+/**
+ * JwksKeyStore
+ *
+ * Loads public verification keys from a JSON Web Key Set and selects them by `kid`.
+ *
+ * Responsibilities:
+ * - Read the key set from a JWKS endpoint or a local JWKS file
+ * - Cache the keys and refresh them once the cache expires
+ * - Refresh early when a token carries an unknown `kid` (key rotation), at most once per cool-down
+ * - Keep serving the last loaded keys when a refresh after expiry fails, retrying with an exponential back-off
+ */
+
+class JwksKeyStore {
+  /**
+   * Creates a new JwksKeyStore instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.uri] - JWKS endpoint (defaults to JWKS_URI).
+   * @param {string} [options.file] - Local JWKS file, used when no endpoint is set (defaults to JWKS_FILE).
+   * @param {number} [options.cacheTtlMs] - How long keys are cached (defaults to JWKS_CACHE_TTL_MS or 10 minutes).
+   * @param {number} [options.refreshCooldownMs=30000] - Minimum time between refreshes triggered by unknown key IDs.
+   * @param {number} [options.retryBackoffMs=1000] - Delay before retrying a failed refresh, doubled after each further failure.
+   * @param {number} [options.maxRetryBackoffMs=60000] - Upper bound of the retry delay.
+   */
+  constructor(options = {}) {
+    this.uri = options.uri || process.env.JWKS_URI;
+    this.file = options.file || process.env.JWKS_FILE;
+    this.cacheTtlMs =
+      options.cacheTtlMs ??
+      (Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000);
+    this.refreshCooldownMs = options.refreshCooldownMs ?? 30000;
+    this.retryBackoffMs = options.retryBackoffMs ?? 1000;
+    this.maxRetryBackoffMs = options.maxRetryBackoffMs ?? 60000;
+    this.keys = new Map();
+    this.refreshedAt = 0;
+    this.refreshing = null;
+    this.failures = 0;
+    this.retryAt = 0;
+  }
+
+  /**
+   * isConfigured
+   *
+   * @returns {boolean} - True when a JWKS endpoint or file is configured.
+   */
+  isConfigured() {
+    return Boolean(this.uri || this.file);
+  }
+
+  /**
+   * fetchKeySet
+   *
+   * @returns {Promise<Object>} - Raw JSON Web Key Set.
+   */
+  async fetchKeySet() {
+    if (this.uri) {
+      const response = await axios.get(this.uri, {
+        timeout: generalServiceConfig.timeout,
+      });
+      return response.data;
+    }
+    return JSON.parse(await readFile(this.file, 'utf8'));
+  }
+
+  /**
+   * refresh
+   *
+   * Reloads the key set. Concurrent calls share the same reload.
+   *
+   * A failure schedules the next attempt (see canRefresh()) and keeps the previously loaded keys.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} - 503 when the key set cannot be loaded.
+   */
+  async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const keySet = await this.fetchKeySet();
+          const keys = new Map();
+          for (const jwk of keySet.keys || []) {
+            if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+            keys.set(jwk.kid, {
+              alg: jwk.alg,
+              key: createPublicKey({ key: jwk, format: 'jwk' }),
+            });
+          }
+
+          this.keys = keys;
+          this.refreshedAt = Date.now();
+          this.failures = 0;
+          this.retryAt = 0;
+          log.info(`Loaded ${keys.size} verification key(s)`);
+        } catch (err) {
+          const delayMs = Math.min(
+            this.retryBackoffMs * 2 ** this.failures,
+            this.maxRetryBackoffMs
+          );
+          this.failures++;
+          this.retryAt = Date.now() + delayMs;
+          log.error(
+            `Failed to load JWKS: ${err.message}; retrying in ${delayMs} ms`
+          );
+          throw _Error(503, 'Token verification keys unavailable', err);
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * canRefresh
+   *
+   * @returns {boolean} - False while backing off after a failed refresh.
+   */
+  canRefresh() {
+    return Date.now() >= this.retryAt;
+  }
+
+  /**
+   * getKey
+   *
+   * Returns the verification key of a key ID, refreshing the key set when it expired or the key ID is unknown.
+   *
+   * When the refresh of an expired key set fails, the last loaded keys keep being served until a retry succeeds.
+   *
+   * @param {string} kid - Key ID from the token header.
+   * @returns {Promise<{ alg: string, key: KeyObject }>}
+   * @throws {Error} - 401 for an unknown key ID; 503 when no key set could be loaded yet, or the refresh for an unknown key ID fails.
+   */
+  async getKey(kid) {
+    if (Date.now() - this.refreshedAt > this.cacheTtlMs && this.canRefresh()) {
+      try {
+        await this.refresh();
+      } catch (err) {
+        if (!this.refreshedAt) {
+          throw err;
+        }
+        log.warning('Serving the previously loaded keys until JWKS recovers');
+      }
+    }
+
+    if (!this.refreshedAt) {
+      throw _Error(503, 'Token verification keys unavailable');
+    }
+
+    if (
+      !this.keys.has(kid) &&
+      Date.now() - this.refreshedAt > this.refreshCooldownMs &&
+      this.canRefresh()
+    ) {
+      log.info(`Unknown key ID ${kid}, refreshing key set`);
+      await this.refresh();
+    }
+
+    const entry = this.keys.get(kid);
+    if (!entry) {
+      throw _Error(401, 'Unknown token signing key');
+    }
+    return entry;
+  }
+}
+
+export default JwksKeyStore;
@@ -0,0 +1,189 @@
+'use strict';
+
+import { RedisConnection } from '../message-broker/index.js';
+
+/**
+ * SessionStore
+ *
+ * Redis-backed cache of session validity used by verifyToken.
+ *
+ * Responsibilities:
+ * - Cache whether a user still holds a valid refresh token, so USER_METADATA is not queried on every request
+ * - Record revoked session IDs (`sid`) until the tokens issued for them expire
+ * - Invalidate the cached validity of a user, e.g. after logout or refresh-token rotation
+ */
+
+class SessionStore {
+  /**
+   * Creates a new SessionStore instance.
+   *
+   * @param {Object} redisClient - Redis client instance.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.prefix='auth'] - Redis key prefix.
+   * @param {number} [options.cacheTtlMs] - How long a refresh-token check is cached (defaults to SESSION_CACHE_TTL_MS or 60 seconds).
+   * @param {number} [options.revocationTtlMs] - How long a revoked sid is remembered when no expiry is given (defaults to SESSION_REVOCATION_TTL_MS or 7 days).
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || 'auth';
+    this.cacheTtlMs =
+      options.cacheTtlMs ?? (Number(process.env.SESSION_CACHE_TTL_MS) || 60000);
+    this.revocationTtlMs =
+      options.revocationTtlMs ??
+      (Number(process.env.SESSION_REVOCATION_TTL_MS) ||
+        7 * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * getRefreshValidity
+   *
+   * @param {string} userId - User ID.
+   * @returns {Promise<boolean|null>} - Cached validity, or null on a cache miss.
+   */
+  async getRefreshValidity(userId) {
+    const value = await this.redis.get(`${this.prefix}:refresh:${userId}`);
+    return value === null ? null : value === 'valid';
+  }
+
+  /**
+   * setRefreshValidity
+   *
+   * @param {string} userId - User ID.
+   * @param {boolean} valid - Whether the user holds a valid refresh token.
+   * @returns {Promise<void>}
+   */
+  async setRefreshValidity(userId, valid) {
+    await this.redis.set(
+      `${this.prefix}:refresh:${userId}`,
+      valid ? 'valid' : 'invalid',
+      'PX',
+      this.cacheTtlMs
+    );
+  }
+
+  /**
+   * invalidateUser
+   *
+   * Drops the cached refresh-token validity so the next request checks USER_METADATA again.
+   *
+   * @param {string} userId - User ID.
+   * @returns {Promise<void>}
+   */
+  async invalidateUser(userId) {
+    await this.redis.del(`${this.prefix}:refresh:${userId}`);
+  }
+
+  /**
+   * revoke
+   *
+   * Revokes a session; tokens carrying this sid are rejected from now on.
+   *
+   * Pass the session's user to drop their cached refresh-token validity in the same step. Otherwise their other sessions keep
+   * being authorized from the cache until it expires, even when the logout removed the refresh token.
+   *
+   * @param {string} sid - Session ID.
+   * @param {Object} [options={}] - Optional revocation settings.
+   * @param {number} [options.expiresAt] - Expiry of the session's tokens (timestamp in milliseconds); the revocation is kept until then.
+   * @param {string} [options.userId] - User of the session, whose cached validity is invalidated.
+   * @returns {Promise<void>}
+   */
+  async revoke(sid, options = {}) {
+    const ttlMs = options.expiresAt
+      ? Math.max(options.expiresAt - Date.now(), 1)
+      : this.revocationTtlMs;
+    const transaction = this.redis
+      .multi()
+      .set(`${this.prefix}:revoked:${sid}`, '1', 'PX', ttlMs);
+    if (options.userId) {
+      transaction.del(`${this.prefix}:refresh:${options.userId}`);
+    }
+    await transaction.exec();
+  }
+
+  /**
+   * isRevoked
+   *
+   * @param {string} sid - Session ID.
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(sid) {
+    return (await this.redis.exists(`${this.prefix}:revoked:${sid}`)) === 1;
+  }
+}
+
+/**
+ * sessionStore
+ *
+ * Shared SessionStore instance, created on first use.
+ */
+let sessionStore = null;
+let sessionConnection = null;
+
+/**
+ * getSessionStore
+ *
+ * Returns the shared SessionStore, connecting to Redis on first use.
+ *
+ * @returns {SessionStore} - Shared session store.
+ * @throws {Error} - Thrown when the Redis configuration is missing.
+ */
+
+const getSessionStore = () => {
+  if (!sessionStore) {
+    sessionConnection = new RedisConnection();
+    sessionStore = new SessionStore(sessionConnection.connect());
+  }
+  return sessionStore;
+};
+
+/**
+ * closeSessionStore
+ *
+ * Closes the Redis connection of the shared SessionStore, if one was created.
+ *
+ * @returns {Promise<void>}
+ */
+
+const closeSessionStore = async () => {
+  if (sessionConnection) {
+    const connection = sessionConnection;
+    sessionStore = null;
+    sessionConnection = null;
+    await connection.disconnect();
+  }
+};
+
+/**
+ * revokeSession
+ *
+ * Revokes a session by sid on the shared SessionStore. Pass `userId` on logout so the user's cached validity is invalidated too.
+ *
+ * @param {string} sid - Session ID.
+ * @param {Object} [options={}] - Revocation settings (expiresAt, userId).
+ * @returns {Promise<void>}
+ */
+
+const revokeSession = async (sid, options = {}) => {
+  return getSessionStore().revoke(sid, options);
+};
+
+/**
+ * invalidateUserSession
+ *
+ * Drops the cached refresh-token validity of a user on the shared SessionStore, e.g. after refresh-token rotation or removal.
+ *
+ * @param {string} userId - User ID, as stored in USER_METADATA.
+ * @returns {Promise<void>}
+ */
+
+const invalidateUserSession = async (userId) => {
+  return getSessionStore().invalidateUser(userId);
+};
+
+export {
+  getSessionStore,
+  closeSessionStore,
+  revokeSession,
+  invalidateUserSession,
+};
+export default SessionStore;
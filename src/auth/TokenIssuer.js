@@ -0,0 +1,98 @@
+'use strict';
+
+import jwt from 'jsonwebtoken';
+import { createPrivateKey, createPublicKey, randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * TokenIssuer
+ *
+ * Signs access tokens with an asymmetric private key and publishes the matching public key as a JWKS.
+ *
+ * Intended for the auth service only: every other service verifies tokens against the published JWKS and never holds the private key.
+ */
+
+class TokenIssuer {
+  /**
+   * Creates a new TokenIssuer instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.privateKey] - PEM private key (defaults to JWT_PRIVATE_KEY, then the file at JWT_PRIVATE_KEY_FILE).
+   * @param {string} [options.keyId] - Key ID written to the token header (defaults to JWT_KEY_ID).
+   * @param {string} [options.algorithm] - Signing algorithm, RS256 or ES256 (defaults to JWT_SIGNING_ALGORITHM or RS256).
+   * @param {string} [options.issuer] - `iss` claim (defaults to JWT_ISSUER).
+   * @param {string|string[]} [options.audience] - `aud` claim (defaults to JWT_AUDIENCE, comma separated).
+   * @param {string|number} [options.expiresIn] - Token lifetime (defaults to ACCESS_TOKEN_TTL or `15m`).
+   * @throws {Error} - Thrown when no private key or key ID is configured.
+   */
+  constructor(options = {}) {
+    const pem =
+      options.privateKey ||
+      process.env.JWT_PRIVATE_KEY ||
+      (process.env.JWT_PRIVATE_KEY_FILE &&
+        readFileSync(process.env.JWT_PRIVATE_KEY_FILE, 'utf8'));
+    this.keyId = options.keyId || process.env.JWT_KEY_ID;
+
+    if (!pem || !this.keyId) {
+      throw new Error(
+        'Token signing key missing. Set JWT_PRIVATE_KEY or JWT_PRIVATE_KEY_FILE, and JWT_KEY_ID.'
+      );
+    }
+
+    this.privateKey = createPrivateKey(pem);
+    this.algorithm =
+      options.algorithm || process.env.JWT_SIGNING_ALGORITHM || 'RS256';
+    this.issuer = options.issuer || process.env.JWT_ISSUER || undefined;
+    this.audience =
+      options.audience ||
+      process.env.JWT_AUDIENCE?.split(',').map((aud) => aud.trim()) ||
+      undefined;
+    this.expiresIn = options.expiresIn || process.env.ACCESS_TOKEN_TTL || '15m';
+  }
+
+  /**
+   * sign
+   *
+   * @param {Object} payload - Token claims (e.g., id, sid, username, role, scopes).
+   * @param {Object} [options={}] - Optional overrides.
+   * @param {string|number} [options.expiresIn] - Token lifetime.
+   * @param {string} [options.subject] - `sub` claim.
+   * @returns {string} - Signed JWT carrying `kid`, `iss`, `aud` and a unique `jti`.
+   */
+  sign(payload, options = {}) {
+    return jwt.sign(payload, this.privateKey, {
+      algorithm: this.algorithm,
+      keyid: this.keyId,
+      expiresIn: options.expiresIn || this.expiresIn,
+      jwtid: randomUUID(),
+      ...(options.subject && { subject: options.subject }),
+      ...(this.issuer && { issuer: this.issuer }),
+      ...(this.audience && { audience: this.audience }),
+    });
+  }
+
+  /**
+   * getJwks
+   *
+   * Builds the JSON Web Key Set other services verify tokens with. Serve it from the auth service (e.g., `/.well-known/jwks.json`).
+   *
+   * During a key rotation, pass the public JWKs of keys still in use so tokens signed with them stay valid until they expire.
+   *
+   * @param {Object[]} [previousKeys=[]] - Public JWKs of previous signing keys.
+   * @returns {{ keys: Object[] }} - JWKS containing the current public key first.
+   */
+  getJwks(previousKeys = []) {
+    const publicJwk = createPublicKey(this.privateKey).export({
+      format: 'jwk',
+    });
+
+    return {
+      keys: [
+        { ...publicJwk, kid: this.keyId, alg: this.algorithm, use: 'sig' },
+        ...previousKeys,
+      ],
+    };
+  }
+}
+
+export default TokenIssuer;
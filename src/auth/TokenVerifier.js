@@ -0,0 +1,138 @@
+'use strict';
+
+import jwt from 'jsonwebtoken';
+import JwksKeyStore from './JwksKeyStore.js';
+import { _Error } from '../utils/index.js';
+
+/**
+ * TokenVerifier
+ *
+ * Verifies access tokens.
+ *
+ * When a JWKS endpoint or file is configured, tokens must be signed with RS256 or ES256 and carry a `kid` matching one of the
+ * published keys. Otherwise HMAC-signed tokens using ACCESS_TOKEN_KEY are accepted.
+ *
+ * Issuer, audience and expiry are validated with a clock-skew tolerance.
+ */
+
+class TokenVerifier {
+  /**
+   * Creates a new TokenVerifier instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {JwksKeyStore} [options.keyStore] - Key store used for asymmetric tokens.
+   * @param {string[]} [options.algorithms] - Accepted asymmetric algorithms (defaults to JWT_ALGORITHMS or `RS256,ES256`).
+   * @param {string} [options.issuer] - Expected `iss` claim (defaults to JWT_ISSUER).
+   * @param {string|string[]} [options.audience] - Expected `aud` claim (defaults to JWT_AUDIENCE, comma separated).
+   * @param {number} [options.clockSkewSec] - Tolerated clock skew in seconds (defaults to JWT_CLOCK_SKEW_SEC or 30).
+   */
+  constructor(options = {}) {
+    this.keyStore = options.keyStore || new JwksKeyStore();
+    this.algorithms =
+      options.algorithms ||
+      (process.env.JWT_ALGORITHMS || 'RS256,ES256')
+        .split(',')
+        .map((alg) => alg.trim());
+    this.issuer = options.issuer || process.env.JWT_ISSUER || undefined;
+    this.audience =
+      options.audience ||
+      process.env.JWT_AUDIENCE?.split(',').map((aud) => aud.trim()) ||
+      undefined;
+    this.clockSkewSec =
+      options.clockSkewSec ?? (Number(process.env.JWT_CLOCK_SKEW_SEC) || 30);
+  }
+
+  /**
+   * getVerifyOptions
+   *
+   * @param {string[]} algorithms - Algorithms accepted for this token.
+   * @returns {Object} - jsonwebtoken verify options.
+   */
+  getVerifyOptions(algorithms) {
+    return {
+      algorithms,
+      clockTolerance: this.clockSkewSec,
+      ...(this.issuer && { issuer: this.issuer }),
+      ...(this.audience && { audience: this.audience }),
+    };
+  }
+
+  /**
+   * toAuthError
+   *
+   * @param {Error} err - jsonwebtoken verification error.
+   * @returns {Error} - 401 error telling expired tokens apart from invalid ones.
+   */
+  toAuthError(err) {
+    return err.name === 'TokenExpiredError'
+      ? _Error(401, 'User authentication token expired', err)
+      : _Error(401, 'User authentication token invalid', err);
+  }
+
+  /**
+   * verify
+   *
+   * @param {string} token - Encoded JWT.
+   * @returns {Promise<Object>} - Decoded token payload.
+   * @throws {Error} - 401 for an invalid, expired or untrusted token; 503 when the verification keys cannot be loaded.
+   */
+  async verify(token) {
+    if (!this.keyStore.isConfigured()) {
+      try {
+        return jwt.verify(
+          token,
+          process.env.ACCESS_TOKEN_KEY,
+          this.getVerifyOptions(['HS256', 'HS384', 'HS512'])
+        );
+      } catch (err) {
+        throw this.toAuthError(err);
+      }
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw _Error(401, 'Token key ID missing');
+    }
+    if (!this.algorithms.includes(decoded.header.alg)) {
+      throw _Error(401, `Token algorithm ${decoded.header.alg} not accepted`);
+    }
+
+    const { alg, key } = await this.keyStore.getKey(decoded.header.kid);
+    if (alg && alg !== decoded.header.alg) {
+      throw _Error(401, 'Token algorithm does not match its signing key');
+    }
+
+    try {
+      return jwt.verify(
+        token,
+        key,
+        this.getVerifyOptions([decoded.header.alg])
+      );
+    } catch (err) {
+      throw this.toAuthError(err);
+    }
+  }
+}
+
+/**
+ * tokenVerifier
+ *
+ * Shared TokenVerifier instance, created on first use.
+ */
+let tokenVerifier = null;
+
+/**
+ * getTokenVerifier
+ *
+ * @returns {TokenVerifier} - Shared token verifier.
+ */
+
+const getTokenVerifier = () => {
+  if (!tokenVerifier) {
+    tokenVerifier = new TokenVerifier();
+  }
+  return tokenVerifier;
+};
+
+export { getTokenVerifier };
+export default TokenVerifier;
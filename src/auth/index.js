@@ -0,0 +1,23 @@
+'use strict';
+
+import SessionStore, {
+  getSessionStore,
+  closeSessionStore,
+  revokeSession,
+  invalidateUserSession,
+} from './SessionStore.js';
+import JwksKeyStore from './JwksKeyStore.js';
+import TokenVerifier, { getTokenVerifier } from './TokenVerifier.js';
+import TokenIssuer from './TokenIssuer.js';
+
+export {
+  SessionStore,
+  getSessionStore,
+  closeSessionStore,
+  revokeSession,
+  invalidateUserSession,
+  JwksKeyStore,
+  TokenVerifier,
+  getTokenVerifier,
+  TokenIssuer,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 import { db } from './index.js';
+import DBQuery from './query.db.js';
 
 /**
  * CoreDB
@@ -12,10 +13,8 @@ import { db } from './index.js';
 
 class CoreDB {
   constructor() {
-    // Initializes CoreDB table mappings.
-    this.tables = {
-      USER_METADATA: 'USER_METADATA',
-    };
+    // Initializes the CoreDB query builder.
+    this.query = new DBQuery();
   }
 
   /**
@@ -25,10 +24,15 @@ class CoreDB {
    * @returns {Promise<Object>}
    */
   async getUserRefreshToken(userId) {
-    const query = `SELECT REFRESH_TOKEN FROM ${this.tables['USER_METADATA']}
-      WHERE USER_ID = ?;`;
-    const params = [userId];
-    return await db.execute(query, params);
+    const query = this.query.selectQuery(
+      'USER_METADATA',
+      {},
+      {
+        columns: ['REFRESH_TOKEN'],
+        where: { USER_ID: userId },
+      }
+    );
+    return await db.execute(query);
   }
 }
 
@@ -2,10 +2,15 @@
 
 import { performance } from 'perf_hooks';
 import db from './db.js';
+import { resolveQuery } from './query.db.js';
 import { logger } from '../utils/index.js';
+import { dbQueryDuration, observeDbPool } from '../metrics/index.js';
+import { getTracer, SPAN_KIND } from '../tracing/index.js';
 
 const log = logger('DB');
 
+observeDbPool(() => db.client.pool);
+
 /**
  * DB
  *
@@ -21,14 +26,27 @@ class DB {
   /**
    * Executes a raw SQL query with parameters.
    *
-   * Logs execution time and memory usage for monitoring.
+   * Logs execution time and memory usage for monitoring, records the duration in `db_query_duration_seconds`, and traces the
+   * query as a `db.query` span.
+   *
+   * Accepts raw SQL or a `{ sql, params }` query built by DBQuery; `params` then fill its array-field placeholders.
    *
-   * @param {string} query
+   * @param {string | { sql: string, params: Array<any> }} query
    * @param {Array<any>} [params=[]]
+   * @param {Object} [trx] - Optional Knex transaction the query runs in (see transaction()).
    * @returns {Promise<{ rowCount: number, rows: Array<Object> }>}
    * @throws {Object}
    */
-  async execute(query, params = []) {
+  async execute(query, params = [], trx = null) {
+    ({ sql: query, params } = resolveQuery(query, params));
+    const endTimer = dbQueryDuration.startTimer();
+    const span = getTracer().startSpan('db.query', {
+      kind: SPAN_KIND.CLIENT,
+      attributes: {
+        'db.system': process.env.DB_CLIENT,
+        'db.query.text': query,
+      },
+    });
     try {
       log.debug(`Input Query: ${query}`);
       log.debug(`Input Params: ${params}`);
@@ -39,13 +57,16 @@ class DB {
       const startTime = performance.now();
 
       // Knex.js implementation
-      let result = await db.raw(query, params);
+      let result = await (trx || db).raw(query, params);
       log.info('Query execution completed');
 
       // Tracker Finalized
       const endMemo = process.memoryUsage().heapUsed / 1024 / 1024;
       const endTime = performance.now();
 
+      endTimer({ status: 'success' });
+      span.setAttribute('db.response.returned_rows', result.rowCount);
+      span.end();
       log.info(
         `Query execution performance result - Memory Consumption: ${Math.abs(endMemo - startMemo).toFixed(2)} MB. Time consumption: ${Math.abs(endTime - startTime).toFixed(2)} ms`
       );
@@ -55,6 +76,9 @@ class DB {
         rows: result.rows,
       };
     } catch (err) {
+      endTimer({ status: 'error' });
+      span.recordException(err);
+      span.end();
       log.error(`Error occurred while executing the query! Error: ${err}`);
       throw {
         status: 500,
@@ -63,6 +87,56 @@ class DB {
       };
     }
   }
+
+  /**
+   * Runs the callback inside a database transaction.
+   *
+   * The transaction commits when the callback resolves and rolls back when it throws. Pass the received `trx` to execute().
+   *
+   * @param {Function} callback - Async function receiving the Knex transaction.
+   * @returns {Promise<any>} - Resolves with the callback result after commit.
+   */
+  async transaction(callback) {
+    return db.transaction(callback);
+  }
+
+  /**
+   * Name of the knex dialect of the configured DB_CLIENT (e.g., `postgresql`).
+   *
+   * @returns {string}
+   */
+  get dialect() {
+    return db.client.dialect;
+  }
+
+  /**
+   * Knex schema builder, for checks and migrations of the tables owned by the library.
+   *
+   * @returns {Object}
+   */
+  get schema() {
+    return db.schema;
+  }
+
+  /**
+   * Checks database connectivity with a `SELECT 1` round trip.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} - Thrown when the database is unreachable.
+   */
+  async ping() {
+    await db.raw('SELECT 1');
+  }
+
+  /**
+   * Destroys the Knex connection pool. Called during graceful shutdown.
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await db.destroy();
+    log.info('Database connection pool destroyed');
+  }
 }
 
 export default new DB();
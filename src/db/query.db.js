@@ -1,24 +1,127 @@
 'use strict';
 
+import db from './db.js';
 import {
   _Error,
   convertPrettyStringToId,
+  logger,
   RequestContext,
 } from '../utils/index.js';
 
+const log = logger('DB');
+
+/**
+ * PARAM
+ *
+ * Placeholder value of a column listed without a value (array fields). Filled with the params passed to `DB.execute`, in order.
+ */
+const PARAM = Symbol('DBQuery.param');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const WHERE_OPERATORS = [
+  '=',
+  '!=',
+  '<>',
+  '<',
+  '<=',
+  '>',
+  '>=',
+  'LIKE',
+  'NOT LIKE',
+  'ILIKE',
+  'NOT ILIKE',
+  'IN',
+  'NOT IN',
+  'BETWEEN',
+  'IS NULL',
+  'IS NOT NULL',
+];
+
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'FULL'];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * mapField
+ *
+ * @param {Object<string, string>} [mappingFields]
+ * @param {string} field
+ * @returns {string} - Column mapped to the field, or the field itself. Only own keys of the mapping are used.
+ */
+const mapField = (mappingFields, field) =>
+  (mappingFields &&
+    Object.hasOwn(mappingFields, field) &&
+    mappingFields[field]) ||
+  field;
+
+/**
+ * isLenient
+ *
+ * @returns {boolean} - Whether columns of tables without a whitelist are accepted (DB_COLUMN_WHITELIST=lenient).
+ */
+const isLenient = () =>
+  process.env.DB_COLUMN_WHITELIST?.toLowerCase() === 'lenient';
+
+/**
+ * lenientTables
+ *
+ * Tables queried without a whitelist in lenient mode, warned about once each.
+ */
+const lenientTables = new Set();
+
+/**
+ * COLUMN_WHITELISTS
+ *
+ * Columns accepted per table key, shared by every DBQuery instance. Only the columns queried by the library itself are declared;
+ * services declare the columns of the tables they query once at startup with `registerColumns`.
+ *
+ * Breaking change: the builders reject every column of a table without a whitelist. Services migrating from the former string
+ * builders can set `DB_COLUMN_WHITELIST=lenient` until their tables are registered; columns of undeclared tables are then accepted
+ * (still quoted and bound) and a warning is logged once per table.
+ */
+const COLUMN_WHITELISTS = {
+  SVC_CONFIG: [
+    'SERVICE_NAME',
+    'INSTANCE_ID',
+    'HOST',
+    'PORT',
+    'PROTOCOL',
+    'VERSION',
+    'STATUS',
+    'LAST_HEARTBEAT',
+    'CREATED_DATE',
+  ],
+  USER_METADATA: ['USER_ID', 'REFRESH_TOKEN'],
+};
+
 /**
  * DBQuery
  *
- * SQL query builder utility responsible for generating dynamic INSERT and UPDATE queries with support for:
+ * SQL query builder utility responsible for generating dynamic SELECT, INSERT (single-row, bulk and upsert), UPDATE and DELETE queries
+ * with support for:
  * - Field-to-column mapping
- * - Request-scoped audit fields
+ * - Request-scoped audit fields (CREATED_BY on insert, MODIFIED_BY on insert and update)
+ * - WHERE operators (IN, LIKE, BETWEEN, IS NULL, ...), joins, ordering and pagination
  * - Multiple table configurations
  *
+ * Every builder returns `{ sql, params }`: values are always bound as `?` placeholders, and table and column names are checked
+ * against the declared tables and column whitelists, then quoted by knex. A table without a whitelist is rejected until its
+ * columns are declared with `registerColumns` (see COLUMN_WHITELISTS for the lenient migration mode).
+ *
+ * Compatibility with callers written for the former string builders:
+ * - Pass the result to `db.execute(query, params)` as before; `db.execute` accepts `{ sql, params }`
+ * - Array fields still take their values from the params given to `db.execute`, in field order
+ * - Object field values are bound now instead of being inlined, so they must not be quoted or escaped by the caller
+ *
  * @class DBQuery
  */
 
 class DBQuery {
-  // Initializes table mappings.
+  // Initializes table mappings; column whitelists are shared (see COLUMN_WHITELISTS).
   constructor() {
     this.tables = {
       SVC_CONFIG: 'SVC_CONFIG',
@@ -50,84 +153,484 @@ class DBQuery {
       DASHBOARD_SETUP: 'DASHBOARD_SETUP',
       USER_DASHBOARD_SETTINGS: 'USER_DASHBOARD_SETTINGS',
     };
+
+    this.columns = COLUMN_WHITELISTS;
   }
 
   /**
-   * Maps array-based fields for SQL query generation.
+   * Adds columns to the whitelist of a table, for every DBQuery instance. Columns outside the whitelist, and every column of a
+   * table without one, are rejected by the builders.
    *
-   * @param {string[]} arr
-   * @param {Object<string, string>} [mappingFields={}]
-   * @param {'insert' | 'update'} type
-   * @returns {string[]}
+   * @param {string} table - Table key.
+   * @param {string[]} columns - Column names.
+   * @returns {void}
+   * @throws {Error} - 500 for an unknown table key or a malformed column name.
    */
-  mapArrFields(arr, mappingFields = {}, type) {
-    return arr.map((field) => {
-      if (!mappingFields[field]) {
-        return type === 'insert' ? field : `${field} = ?`;
+  registerColumns(table, columns) {
+    this.resolveTable(table);
+
+    const declared = columns.map((column) => {
+      if (!IDENTIFIER_PATTERN.test(column)) {
+        throw _Error(500, `Invalid column name: ${column}`);
       }
-      return type === 'insert'
-        ? mappingFields[field]
-        : `${mappingFields[field]} = ?`;
+      return column.toUpperCase();
     });
+    this.columns[table] = [
+      ...new Set([...(this.columns[table] || []), ...declared]),
+    ];
+  }
+
+  /**
+   * Resolves the column whitelist of a table key.
+   *
+   * @param {string} table
+   * @returns {string[]|null} - Declared columns; null when the table has no whitelist.
+   */
+  getWhitelist(table) {
+    return Object.hasOwn(this.columns, table) ? this.columns[table] : null;
+  }
+
+  /**
+   * Quotes an identifier with the quoting rules of the configured database client.
+   *
+   * PostgreSQL folds unquoted identifiers to lower case, so identifiers are lower-cased first to keep matching tables and columns
+   * created without quotes.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  quoteIdentifier(name) {
+    const identifier =
+      db.client.dialect === 'postgresql' ? name.toLowerCase() : name;
+    return db.raw('??', [identifier]).toQuery();
+  }
+
+  /**
+   * Resolves and quotes the table name of a table key.
+   *
+   * @param {string} table
+   * @returns {string}
+   * @throws {Error} - 500 for an unknown table key.
+   */
+  resolveTable(table) {
+    if (!Object.hasOwn(this.tables, table)) {
+      throw _Error(500, `Unknown table: ${table}`);
+    }
+    return this.quoteIdentifier(this.tables[table]);
   }
 
   /**
-   * Maps object-based fields for SQL query generation.
+   * Maps a field to its column, checks it against the table's whitelist, and quotes it.
+   *
+   * A column may be qualified with the key of a table in scope (e.g., `USERS.ID` in a join); unqualified columns belong to `table`.
    *
-   * @param {Object} obj
+   * @param {string} table
+   * @param {string} field
    * @param {Object<string, string>} [mappingFields={}]
-   * @param {'insert' | 'update'} type
-   * @returns {string[]}
+   * @param {string[]} [scope=[table]] - Table keys a column may be qualified with.
+   * @returns {string}
+   * @throws {Error} - 500 for a malformed or non-whitelisted column, or a table whose columns were not declared (unless lenient).
    */
-  mapObjFields(obj, mappingFields = {}, type) {
-    const fields = Object.keys(obj);
-    return fields.map((field) => {
-      if (!mappingFields[field]) {
-        return type === 'insert' ? field : `${field} = ${obj[field]}`;
+  resolveColumn(table, field, mappingFields = {}, scope = [table]) {
+    const reference = mapField(mappingFields, field);
+    const parts = typeof reference === 'string' ? reference.split('.') : [];
+    const [owner, column] = parts.length === 2 ? parts : [table, parts[0]];
+
+    if (
+      parts.length > 2 ||
+      !scope.includes(owner) ||
+      !IDENTIFIER_PATTERN.test(column)
+    ) {
+      throw _Error(500, `Unknown column ${reference} for table ${table}`);
+    }
+
+    const whitelist = this.getWhitelist(owner);
+    if (!whitelist) {
+      if (!isLenient()) {
+        throw _Error(
+          500,
+          `No column whitelist for table ${owner}; declare its columns with registerColumns`
+        );
       }
-      return type === 'insert'
-        ? mappingFields[field]
-        : `${mappingFields[field]} = ${obj[field]}`;
-    });
+      if (!lenientTables.has(owner)) {
+        lenientTables.add(owner);
+        log.warning(
+          `Querying ${owner} without a column whitelist; declare its columns with registerColumns`
+        );
+      }
+    } else if (!whitelist.includes(column.toUpperCase())) {
+      throw _Error(500, `Unknown column ${reference} for table ${table}`);
+    }
+
+    const quoted = this.quoteIdentifier(column);
+    return parts.length === 2
+      ? `${this.resolveTable(owner)}.${quoted}`
+      : quoted;
   }
 
   /**
-   * Builds an INSERT query with audit fields.
+   * Maps array- or object-based fields to quoted columns and their bound values.
    *
    * @param {string} table
    * @param {Object<string, string>} mappingFields
    * @param {Object | string[]} fields
-   * @returns {string}
+   * @param {string} label - Name used in error messages.
+   * @returns {{ columns: string[], params: Array<any> }}
    */
-  insertQuery(table, mappingFields, fields) {
-    const userContext = RequestContext.get();
-    const userId = userContext.id
-      ? convertPrettyStringToId(userContext.id)
-      : null;
+  mapFields(table, mappingFields, fields, label) {
+    const entries = this.toEntries(fields, label);
 
-    let columnKeys;
+    return {
+      columns: entries.map(([field]) =>
+        this.resolveColumn(table, field, mappingFields)
+      ),
+      params: entries.map(([, value]) => value),
+    };
+  }
+
+  /**
+   * Turns array- or object-based fields into `[field, value]` entries. Array fields take their value from the params given to
+   * `db.execute`.
+   *
+   * @param {Object | string[]} fields
+   * @param {string} label - Name used in error messages.
+   * @returns {Array<[string, any]>}
+   * @throws {Error} - 500 for fields that are not a non-empty array or object.
+   */
+  toEntries(fields, label) {
+    let entries;
 
     if (Array.isArray(fields)) {
-      columnKeys = fields;
+      entries = fields.map((field) => [field, PARAM]);
     } else if (fields !== null && typeof fields === 'object') {
-      columnKeys = Object.keys(fields);
+      entries = Object.entries(fields);
     } else {
-      throw _Error(500, 'Fields must be an array or an object');
+      throw _Error(500, `${label} must be an array or an object`);
+    }
+
+    if (entries.length === 0) {
+      throw _Error(500, `${label} must not be empty`);
+    }
+    return entries;
+  }
+
+  /**
+   * Builds a single condition of a WHERE clause.
+   *
+   * @param {string} column - Quoted column.
+   * @param {string} operator - One of WHERE_OPERATORS.
+   * @param {any} value
+   * @returns {{ sql: string, params: Array<any> }}
+   * @throws {Error} - 500 for an unsupported operator or a value that does not fit it.
+   */
+  buildCondition(column, operator, value) {
+    if (value === undefined) {
+      throw _Error(500, `Missing value for ${column} ${operator}`);
+    }
+
+    switch (operator) {
+      case 'IS NULL':
+      case 'IS NOT NULL':
+        return { sql: `${column} ${operator}`, params: [] };
+      case 'IN':
+      case 'NOT IN':
+        if (!Array.isArray(value) || value.length === 0) {
+          throw _Error(500, `${operator} expects a non-empty array`);
+        }
+        return {
+          sql: `${column} ${operator} (${value.map(() => '?').join(', ')})`,
+          params: value,
+        };
+      case 'BETWEEN':
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw _Error(500, 'BETWEEN expects an array of two values');
+        }
+        return { sql: `${column} BETWEEN ? AND ?`, params: value };
+      default:
+        if (!WHERE_OPERATORS.includes(operator)) {
+          throw _Error(500, `Unsupported operator: ${operator}`);
+        }
+        return { sql: `${column} ${operator} ?`, params: [value] };
+    }
+  }
+
+  /**
+   * Builds a WHERE clause, joining the conditions with AND.
+   *
+   * Each value selects the condition of its field:
+   * - A scalar compares with `=`; array fields take their value from the params given to `db.execute`
+   * - `null` matches `IS NULL`, and an array matches `IN`
+   * - An object maps operators to values, e.g. `{ '>=': 10, '<': 20 }`, `{ LIKE: 'A%' }`, `{ BETWEEN: [from, to] }`,
+   *   `{ 'IS NOT NULL': true }`
+   *
+   * `undefined` values and empty operator objects are rejected, so a missing filter never widens the query.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object | string[]} whereFields
+   * @param {string[]} [scope=[table]] - Table keys a column may be qualified with.
+   * @returns {{ sql: string, params: Array<any> }}
+   * @throws {Error} - 500 for an undefined value or an empty operator object.
+   */
+  buildWhere(table, mappingFields, whereFields, scope = [table]) {
+    const conditions = [];
+    const params = [];
+
+    for (const [field, value] of this.toEntries(whereFields, 'Where Fields')) {
+      const column = this.resolveColumn(table, field, mappingFields, scope);
+      let operators;
+
+      if (value === null) {
+        operators = [['IS NULL', null]];
+      } else if (Array.isArray(value)) {
+        operators = [['IN', value]];
+      } else if (isPlainObject(value)) {
+        operators = Object.entries(value);
+        if (operators.length === 0) {
+          throw _Error(500, `No operator given for where field ${field}`);
+        }
+      } else {
+        operators = [['=', value]];
+      }
+
+      for (const [operator, operand] of operators) {
+        const condition = this.buildCondition(
+          column,
+          operator.toUpperCase(),
+          operand
+        );
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+      }
     }
 
-    const columns = this.mapArrFields(columnKeys, mappingFields, 'insert');
+    return { sql: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Resolves the user ID written to the audit columns from the request context.
+   *
+   * @returns {string|null}
+   */
+  getAuditUserId() {
+    const userContext = RequestContext.get();
+    return userContext?.id ? convertPrettyStringToId(userContext.id) : null;
+  }
+
+  /**
+   * Resolves the quoted audit columns filled for the current user. Empty outside of a user context.
+   *
+   * @param {Object<string, string>} mappingFields
+   * @param {Array<'CREATED_BY' | 'MODIFIED_BY'>} fields
+   * @returns {{ columns: string[], userId: string|null }}
+   */
+  auditColumns(mappingFields, fields) {
+    const userId = this.getAuditUserId();
+    return {
+      columns: userId
+        ? fields.map((field) =>
+            this.quoteIdentifier(mapField(mappingFields, field))
+          )
+        : [],
+      userId,
+    };
+  }
+
+  /**
+   * Builds an INSERT query with audit fields.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object | string[]} fields
+   * @param {string[]} [returning] - Fields returned by the insert (defaults to `ID` when the table declares it). Pass an empty array
+   * for clients without `RETURNING` support.
+   * @returns {{ sql: string, params: Array<any> }}
+   */
+  insertQuery(table, mappingFields, fields, returning) {
+    const { tableName, columns, params } = this.mapInsert(
+      table,
+      mappingFields,
+      fields
+    );
+    const placeholders = Array(columns.length).fill('?');
+
+    return {
+      sql: `INSERT INTO ${tableName} (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})${this.buildReturning(table, mappingFields, returning)};`,
+      params,
+    };
+  }
+
+  /**
+   * Builds the RETURNING clause of an insert from whitelisted, quoted columns.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {string[]} [returning] - Returned fields (defaults to defaultReturning()).
+   * @returns {string} - Clause preceded by a line break; empty when nothing is returned.
+   */
+  buildReturning(table, mappingFields, returning) {
+    const returned = (
+      returning ?? this.defaultReturning(table, mappingFields)
+    ).map((field) => this.resolveColumn(table, field, mappingFields));
+
+    return returned.length
+      ? `
+      RETURNING ${returned.join(', ')}`
+      : '';
+  }
+
+  /**
+   * Resolves the fields returned by default: `ID` when the table's whitelist declares it, as the former builders did for every table.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @returns {string[]}
+   */
+  defaultReturning(table, mappingFields) {
+    const whitelist = this.getWhitelist(table);
+    const column = String(mapField(mappingFields, 'ID')).toUpperCase();
+    return (whitelist ? whitelist.includes(column) : isLenient()) ? ['ID'] : [];
+  }
+
+  /**
+   * Maps the fields of a single-row insert, followed by the audit columns.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object | string[]} fields
+   * @returns {{ tableName: string, columns: string[], params: Array<any> }}
+   */
+  mapInsert(table, mappingFields, fields) {
+    const tableName = this.resolveTable(table);
+    const { columns, params } = this.mapFields(
+      table,
+      mappingFields,
+      fields,
+      'Fields'
+    );
+
+    const audit = this.auditColumns(mappingFields, [
+      'CREATED_BY',
+      'MODIFIED_BY',
+    ]);
+    columns.push(...audit.columns);
+    params.push(...audit.columns.map(() => audit.userId));
+
+    return { tableName, columns, params };
+  }
+
+  /**
+   * Builds a multi-row INSERT query with audit fields. Every row must provide the same fields.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object[]} rows
+   * @param {string[]} [returning] - Fields returned for each row, see insertQuery().
+   * @returns {{ sql: string, params: Array<any> }}
+   * @throws {Error} - 500 for an empty row list or rows with different fields.
+   */
+  bulkInsertQuery(table, mappingFields, rows, returning) {
+    if (
+      !Array.isArray(rows) ||
+      rows.length === 0 ||
+      !rows.every(isPlainObject)
+    ) {
+      throw _Error(500, 'Rows must be a non-empty array of objects');
+    }
+
+    const tableName = this.resolveTable(table);
+    const fields = this.toEntries(rows[0], 'Fields').map(([field]) => field);
+    const columns = fields.map((field) =>
+      this.resolveColumn(table, field, mappingFields)
+    );
+
+    const audit = this.auditColumns(mappingFields, [
+      'CREATED_BY',
+      'MODIFIED_BY',
+    ]);
+    columns.push(...audit.columns);
+
+    const params = [];
+    const values = rows.map((row) => {
+      if (
+        Object.keys(row).length !== fields.length ||
+        !fields.every((field) => Object.hasOwn(row, field))
+      ) {
+        throw _Error(500, 'Every row must provide the same fields');
+      }
+
+      params.push(...fields.map((field) => row[field]));
+      params.push(...audit.columns.map(() => audit.userId));
+      return `(${Array(columns.length).fill('?').join(', ')})`;
+    });
+
+    return {
+      sql: `INSERT INTO ${tableName} (${columns.join(', ')})
+      VALUES ${values.join(',\n      ')}${this.buildReturning(table, mappingFields, returning)};`,
+      params,
+    };
+  }
+
+  /**
+   * Builds an INSERT query that updates the existing row instead when it conflicts on the given fields (`ON CONFLICT ... DO UPDATE`).
+   *
+   * The conflicting row keeps its CREATED_BY; MODIFIED_BY is updated along with the updated fields. Without fields to update, the
+   * conflict is ignored (`DO NOTHING`).
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object | string[]} fields
+   * @param {string[]} conflictFields - Fields of the unique constraint.
+   * @param {string[]} [updateFields] - Fields updated on conflict (defaults to the inserted fields outside of `conflictFields`).
+   * @param {string[]} [returning] - Fields returned by the insert or update, see insertQuery().
+   * @returns {{ sql: string, params: Array<any> }}
+   */
+  upsertQuery(
+    table,
+    mappingFields,
+    fields,
+    conflictFields,
+    updateFields,
+    returning
+  ) {
+    const { tableName, columns, params } = this.mapInsert(
+      table,
+      mappingFields,
+      fields
+    );
     const placeholders = Array(columns.length).fill('?');
 
-    if (userId) {
-      columns.push('CREATED_BY');
-      columns.push('MODIFIED_BY');
-      placeholders.push(`'${userId}'`);
-      placeholders.push(`'${userId}'`);
+    const conflicts = this.toEntries(conflictFields, 'Conflict Fields').map(
+      ([field]) => field
+    );
+    const updateColumns = (
+      updateFields ??
+      this.toEntries(fields, 'Fields')
+        .map(([field]) => field)
+        .filter((field) => !conflicts.includes(field))
+    ).map((field) => this.resolveColumn(table, field, mappingFields));
+
+    let action = 'DO NOTHING';
+    if (updateColumns.length > 0) {
+      updateColumns.push(
+        ...this.auditColumns(mappingFields, ['MODIFIED_BY']).columns
+      );
+      action = `DO UPDATE SET ${updateColumns
+        .map((column) => `${column} = EXCLUDED.${column}`)
+        .join(', ')}`;
     }
 
-    return `INSERT INTO ${this.tables[table]} (${columns.join(', ')})
+    const conflictColumns = conflicts.map((field) =>
+      this.resolveColumn(table, field, mappingFields)
+    );
+
+    return {
+      sql: `INSERT INTO ${tableName} (${columns.join(', ')})
       VALUES (${placeholders.join(', ')})
-      RETURNING ID;`;
+      ON CONFLICT (${conflictColumns.join(', ')}) ${action}${this.buildReturning(table, mappingFields, returning)};`,
+      params,
+    };
   }
 
   /**
@@ -136,46 +639,172 @@ class DBQuery {
    * @param {string} table
    * @param {Object<string, string>} mappingFields
    * @param {Object | string[]} updateFields
-   * @param {Object | string[]} whereFields
-   * @returns {string}
+   * @param {Object | string[]} whereFields - Conditions, see buildWhere().
+   * @returns {{ sql: string, params: Array<any> }}
    */
   updateQuery(table, mappingFields, updateFields, whereFields) {
-    const userContext = RequestContext.get();
-    const userId = userContext.id
-      ? convertPrettyStringToId(userContext.id)
-      : null;
+    const tableName = this.resolveTable(table);
+    const update = this.mapFields(
+      table,
+      mappingFields,
+      updateFields,
+      'Update Fields'
+    );
+    const where = this.buildWhere(table, mappingFields, whereFields);
 
-    let updateColumns;
-    let whereColumns;
+    const audit = this.auditColumns(mappingFields, ['MODIFIED_BY']);
+    update.columns.push(...audit.columns);
+    update.params.push(...audit.columns.map(() => audit.userId));
 
-    if (Array.isArray(updateFields)) {
-      updateColumns = this.mapArrFields(updateFields, mappingFields, 'update');
-    } else if (updateFields !== null && typeof updateFields === 'object') {
-      updateColumns = this.mapObjFields(updateFields, mappingFields, 'update');
-    } else {
-      throw _Error(500, 'Update Fields must be an array or an object');
+    const updateColumns = update.columns.map((column) => `${column} = ?`);
+
+    return {
+      sql: `UPDATE ${tableName} SET ${updateColumns.join(', ')}
+      WHERE ${where.sql}`,
+      params: [...update.params, ...where.params],
+    };
+  }
+
+  /**
+   * Builds a DELETE query. Conditions are required, so a whole table is never deleted by mistake.
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object | string[]} whereFields - Conditions, see buildWhere().
+   * @returns {{ sql: string, params: Array<any> }}
+   */
+  deleteQuery(table, mappingFields, whereFields) {
+    const tableName = this.resolveTable(table);
+    const where = this.buildWhere(table, mappingFields, whereFields);
+
+    return {
+      sql: `DELETE FROM ${tableName}
+      WHERE ${where.sql}`,
+      params: where.params,
+    };
+  }
+
+  /**
+   * Builds a SELECT query.
+   *
+   * Mapped columns are returned under their field name. Columns of joined tables are qualified with the table key
+   * (e.g., `USER_METADATA.REFRESH_TOKEN`).
+   *
+   * @param {string} table
+   * @param {Object<string, string>} mappingFields
+   * @param {Object} [options={}]
+   * @param {string[]} [options.columns] - Selected fields (defaults to all columns).
+   * @param {Object | string[]} [options.where] - Conditions, see buildWhere().
+   * @param {Array<{ table: string, type?: 'INNER' | 'LEFT' | 'RIGHT' | 'FULL', on: Object<string, string> }>} [options.joins] - Joined
+   * tables; `on` maps a column to the column it equals.
+   * @param {Object<string, 'ASC' | 'DESC'>} [options.orderBy] - Sort fields and directions, in order.
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @returns {{ sql: string, params: Array<any> }}
+   */
+  selectQuery(table, mappingFields, options = {}) {
+    const tableName = this.resolveTable(table);
+    const joins = options.joins || [];
+    const scope = [table, ...joins.map((join) => join.table)];
+    const clauses = [];
+    const params = [];
+
+    const columns = options.columns?.length
+      ? options.columns.map((field) => {
+          const column = this.resolveColumn(table, field, mappingFields, scope);
+          return mapField(mappingFields, field) !== field
+            ? `${column} AS ${db.raw('??', [field]).toQuery()}`
+            : column;
+        })
+      : ['*'];
+    clauses.push(`SELECT ${columns.join(', ')} FROM ${tableName}`);
+
+    for (const join of joins) {
+      const type = (join.type || 'INNER').toUpperCase();
+      if (!JOIN_TYPES.includes(type)) {
+        throw _Error(500, `Unsupported join type: ${join.type}`);
+      }
+
+      const on = this.toEntries(join.on, 'Join Fields').map(
+        ([left, right]) =>
+          `${this.resolveColumn(table, left, mappingFields, scope)} = ${this.resolveColumn(table, right, mappingFields, scope)}`
+      );
+      clauses.push(
+        `${type} JOIN ${this.resolveTable(join.table)} ON ${on.join(' AND ')}`
+      );
     }
 
-    if (Array.isArray(whereFields)) {
-      whereColumns = this.mapArrFields(whereFields, mappingFields, 'update');
-    } else if (whereFields !== null && typeof whereFields === 'object') {
-      whereColumns = this.mapObjFields(whereFields, mappingFields, 'update');
-    } else {
-      throw _Error(500, 'Where Fields must be an array or an object');
+    if (options.where !== undefined) {
+      const where = this.buildWhere(table, mappingFields, options.where, scope);
+      clauses.push(`WHERE ${where.sql}`);
+      params.push(...where.params);
     }
 
-    if (userId) {
-      const modifiedByColumn = this.mapObjFields(
-        { MODIFIED_BY: `'${userId}'` },
-        mappingFields,
-        'update'
+    if (options.orderBy !== undefined) {
+      const order = this.toEntries(options.orderBy, 'Order Fields').map(
+        ([field, direction]) => {
+          const sort = String(direction).toUpperCase();
+          if (!['ASC', 'DESC'].includes(sort)) {
+            throw _Error(500, `Unsupported sort direction: ${direction}`);
+          }
+          return `${this.resolveColumn(table, field, mappingFields, scope)} ${sort}`;
+        }
       );
-      updateColumns = [...updateColumns, ...modifiedByColumn];
+      clauses.push(`ORDER BY ${order.join(', ')}`);
+    }
+
+    for (const [keyword, value] of [
+      ['LIMIT', options.limit],
+      ['OFFSET', options.offset],
+    ]) {
+      if (value === undefined) {
+        continue;
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        throw _Error(500, `${keyword} must be a non-negative integer`);
+      }
+      clauses.push(`${keyword} ?`);
+      params.push(value);
     }
 
-    return `UPDATE ${this.tables[table]} SET ${updateColumns.join(', ')}
-      WHERE ${whereColumns.join(' AND ')}`;
+    return { sql: clauses.join('\n      '), params };
   }
 }
 
+/**
+ * resolveQuery
+ *
+ * Turns a query built by DBQuery (or a raw SQL string) into the SQL and bindings passed to knex.
+ *
+ * Placeholders of array fields are filled with the given params, in order.
+ *
+ * @param {string | { sql: string, params: Array<any> }} query
+ * @param {Array<any>} [params=[]]
+ * @returns {{ sql: string, params: Array<any> }}
+ * @throws {Error} - 500 when fewer params than array-field placeholders are given.
+ */
+
+const resolveQuery = (query, params = []) => {
+  if (typeof query === 'string') {
+    return { sql: query, params };
+  }
+
+  const slots = query.params.filter((value) => value === PARAM).length;
+  if (params.length < slots) {
+    throw _Error(
+      500,
+      `Query expects ${slots} parameter(s), received ${params.length}`
+    );
+  }
+
+  let next = 0;
+  return {
+    sql: query.sql,
+    params: query.params.map((value) =>
+      value === PARAM ? params[next++] : value
+    ),
+  };
+};
+
+export { resolveQuery };
 export default DBQuery;
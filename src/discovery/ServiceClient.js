@@ -0,0 +1,332 @@
+'use strict';
+
+import axios from 'axios';
+import { resolveService } from './ServiceRegistry.js';
+import { generalServiceConfig } from '../../constants.js';
+import { _Error, logger, RequestContext } from '../utils/index.js';
+import { getTracer } from '../tracing/index.js';
+
+const log = logger('service-client');
+
+/**
+ * CIRCUIT_STATE
+ *
+ * States of the client's circuit breaker.
+ */
+const CIRCUIT_STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * ServiceClient
+ *
+ * HTTP client for calling another service of the platform.
+ *
+ * Responsibilities:
+ * - Resolve a live instance of the target service through the service registry
+ * - Apply timeouts and retry failed calls with exponential backoff
+ * - Open a circuit breaker after repeated failures and probe the service again after a cool-down
+ * - Forward `x-correlation-id`, `x-session-id`, `x-lang` and the bearer token of the current request
+ * - Map remote and transport failures to `_Error` so they surface through errorHandler
+ */
+
+class ServiceClient {
+  /**
+   * Creates a new ServiceClient instance.
+   *
+   * @param {string} serviceName - Name of the target service as registered in SVC_CONFIG.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.baseURL] - Fixed base URL; skips service discovery.
+   * @param {number} [options.timeoutMs=generalServiceConfig.timeout] - Timeout of a single attempt.
+   * @param {number} [options.retries=generalServiceConfig.retries] - Retries after the first failed attempt.
+   * @param {number} [options.retryBaseDelayMs=200] - Base delay of the exponential backoff.
+   * @param {number} [options.failureThreshold=5] - Consecutive failed calls that open the circuit.
+   * @param {number} [options.resetTimeoutMs=30000] - Time the circuit stays open before a trial call is allowed.
+   */
+  constructor(serviceName, options = {}) {
+    this.serviceName = serviceName;
+    this.baseURL = options.baseURL || null;
+    this.retries = options.retries ?? generalServiceConfig.retries;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 200;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    this.http = axios.create({
+      timeout: options.timeoutMs ?? generalServiceConfig.timeout,
+    });
+    this.circuit = {
+      state: CIRCUIT_STATE.CLOSED,
+      failures: 0,
+      openedAt: null,
+    };
+  }
+
+  /**
+   * resolveBaseUrl
+   *
+   * @returns {Promise<string>} - Base URL of a live instance, picked at random to spread the load.
+   * @throws {Error} - 503 when no live instance is registered.
+   */
+  async resolveBaseUrl() {
+    if (this.baseURL) {
+      return this.baseURL;
+    }
+
+    const instances = await resolveService(this.serviceName);
+    if (instances.length === 0) {
+      throw _Error(503, `No live instance of ${this.serviceName} found`);
+    }
+    return instances[Math.floor(Math.random() * instances.length)].url;
+  }
+
+  /**
+   * buildHeaders
+   *
+   * Adds the context headers (including the W3C `traceparent`) of the current request to the outgoing headers. Explicit headers take
+   * precedence.
+   *
+   * @param {Object} [headers={}] - Headers provided by the caller.
+   * @returns {Object} - Outgoing headers.
+   */
+  buildHeaders(headers = {}) {
+    const context = RequestContext.get() || {};
+
+    return getTracer().inject({
+      ...(context.correlationId && {
+        'x-correlation-id': context.correlationId,
+      }),
+      ...(context.sessionId && { 'x-session-id': context.sessionId }),
+      ...(context.locale && { 'x-lang': context.locale }),
+      ...(context.accessToken && {
+        Authorization: `Bearer ${context.accessToken}`,
+      }),
+      ...headers,
+    });
+  }
+
+  /**
+   * acquireCircuit
+   *
+   * Lets a call through unless the circuit is open. Once the reset timeout elapsed a single trial call is allowed.
+   *
+   * @returns {void}
+   * @throws {Error} - 503 while the circuit is open.
+   */
+  acquireCircuit() {
+    const { state, openedAt } = this.circuit;
+    if (state === CIRCUIT_STATE.CLOSED) {
+      return;
+    }
+
+    if (
+      state === CIRCUIT_STATE.OPEN &&
+      Date.now() - openedAt >= this.resetTimeoutMs
+    ) {
+      this.circuit.state = CIRCUIT_STATE.HALF_OPEN;
+      log.info(`[${this.serviceName}] Circuit half-open, sending trial call`);
+      return;
+    }
+
+    throw _Error(503, `${this.serviceName} is unavailable (circuit open)`);
+  }
+
+  /**
+   * recordSuccess
+   *
+   * @returns {void}
+   */
+  recordSuccess() {
+    if (this.circuit.state !== CIRCUIT_STATE.CLOSED) {
+      log.info(`[${this.serviceName}] Circuit closed`);
+    }
+    this.circuit = { state: CIRCUIT_STATE.CLOSED, failures: 0, openedAt: null };
+  }
+
+  /**
+   * recordFailure
+   *
+   * Counts a failed call and opens the circuit once the threshold is reached or a trial call failed.
+   *
+   * @returns {void}
+   */
+  recordFailure() {
+    this.circuit.failures++;
+    if (
+      this.circuit.state === CIRCUIT_STATE.HALF_OPEN ||
+      this.circuit.failures >= this.failureThreshold
+    ) {
+      this.circuit.state = CIRCUIT_STATE.OPEN;
+      this.circuit.openedAt = Date.now();
+      log.warning(
+        `[${this.serviceName}] Circuit opened after ${this.circuit.failures} failed call(s)`
+      );
+    }
+  }
+
+  /**
+   * isRetryable
+   *
+   * Transport failures, timeouts, 429 and 5xx responses are retried for idempotent methods. Other methods are only retried
+   * when the connection was refused, since the request never reached the service.
+   *
+   * @param {Error} err - Axios error.
+   * @param {string} method - HTTP method of the request.
+   * @returns {boolean}
+   */
+  isRetryable(err, method) {
+    if (err.code === 'ECONNREFUSED') {
+      return true;
+    }
+    if (!IDEMPOTENT_METHODS.includes(method)) {
+      return false;
+    }
+
+    const status = err.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * isServiceFailure
+   *
+   * @param {Error} err - Axios error.
+   * @returns {boolean} - True when the failure counts against the circuit; client errors (4xx) do not.
+   */
+  isServiceFailure(err) {
+    const status = err.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * mapError
+   *
+   * Maps an axios error to `_Error`, keeping the status, message and errors of the remote standard envelope.
+   *
+   * @param {Error} err - Axios error.
+   * @returns {Error} - Error with `status` and `errors`.
+   */
+  mapError(err) {
+    if (err.response) {
+      const body = err.response.data || {};
+      return _Error(
+        err.response.status,
+        body.message ||
+          `${this.serviceName} responded with ${err.response.status}`,
+        body.errors || []
+      );
+    }
+
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+      return _Error(504, `${this.serviceName} did not respond in time`);
+    }
+    return _Error(503, `${this.serviceName} is unavailable`, err.message);
+  }
+
+  /**
+   * request
+   *
+   * Sends a request to the target service.
+   *
+   * @param {Object} config - Axios request config (method, url, data, params, headers).
+   * @returns {Promise<any>} - Resolves with the response body.
+   * @throws {Error} - `_Error` carrying the remote status, 503 when unavailable, 504 on timeout.
+   */
+  async request(config) {
+    this.acquireCircuit();
+
+    const method = (config.method || 'get').toLowerCase();
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+        await new Promise((resolve) =>
+          setTimeout(resolve, delay / 2 + Math.random() * (delay / 2))
+        );
+      }
+
+      try {
+        const response = await this.http.request({
+          ...config,
+          method,
+          baseURL: await this.resolveBaseUrl(),
+          headers: this.buildHeaders(config.headers),
+        });
+        this.recordSuccess();
+        return response.data;
+      } catch (err) {
+        if (err.status && !err.isAxiosError) {
+          // No live instance; retrying within the same call will not help
+          this.recordFailure();
+          throw err;
+        }
+
+        lastError = err;
+        if (!this.isRetryable(err, method) || attempt === this.retries) {
+          break;
+        }
+        log.warning(
+          `[${this.serviceName}] ${method.toUpperCase()} ${config.url} failed (${err.message}), retrying...`
+        );
+      }
+    }
+
+    if (this.isServiceFailure(lastError)) {
+      this.recordFailure();
+    } else {
+      this.recordSuccess();
+    }
+    throw this.mapError(lastError);
+  }
+
+  /**
+   * get
+   *
+   * @param {string} url - Path relative to the service base URL.
+   * @param {Object} [config={}] - Additional axios request config.
+   * @returns {Promise<any>}
+   */
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  /**
+   * post
+   *
+   * @param {string} url - Path relative to the service base URL.
+   * @param {any} data - Request body.
+   * @param {Object} [config={}] - Additional axios request config.
+   * @returns {Promise<any>}
+   */
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  /**
+   * put
+   *
+   * @param {string} url - Path relative to the service base URL.
+   * @param {any} data - Request body.
+   * @param {Object} [config={}] - Additional axios request config.
+   * @returns {Promise<any>}
+   */
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  /**
+   * delete
+   *
+   * @param {string} url - Path relative to the service base URL.
+   * @param {Object} [config={}] - Additional axios request config.
+   * @returns {Promise<any>}
+   */
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+}
+
+export { CIRCUIT_STATE };
+export default ServiceClient;
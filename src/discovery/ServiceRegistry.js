@@ -0,0 +1,340 @@
+'use strict';
+
+import os from 'os';
+import { db, DBQuery } from '../db/index.js';
+import { _Error, logger } from '../utils/index.js';
+
+const log = logger('service-registry');
+
+// Knex dialects the registry queries and result handling are written for.
+const SUPPORTED_DIALECTS = ['postgresql'];
+
+// Registry columns, with the knex column type the migration adds them with.
+const REGISTRY_COLUMNS = {
+  INSTANCE_ID: (table, column) => table.string(column, 255),
+  HOST: (table, column) => table.string(column, 255),
+  PORT: (table, column) => table.integer(column),
+  PROTOCOL: (table, column) => table.string(column, 10),
+  VERSION: (table, column) => table.string(column, 50),
+  STATUS: (table, column) => table.string(column, 20).defaultTo('UP'),
+  LAST_HEARTBEAT: (table, column) => table.timestamp(column),
+};
+
+// Row fields returned by resolveService().
+const INSTANCE_FIELDS = {
+  instanceId: 'INSTANCE_ID',
+  host: 'HOST',
+  port: 'PORT',
+  protocol: 'PROTOCOL',
+  version: 'VERSION',
+};
+
+/**
+ * ServiceRegistry
+ *
+ * Registers a running service instance in the SVC_CONFIG table so other services can discover it without hard-coded URLs.
+ *
+ * The registry adds INSTANCE_ID, HOST, PORT, PROTOCOL, VERSION, STATUS and LAST_HEARTBEAT to the existing SVC_CONFIG table, keyed
+ * by (SERVICE_NAME, INSTANCE_ID). Apply them once per database with `ServiceRegistry.migrate()`; `register()` fails with the list of
+ * missing columns until then. A primary key on SERVICE_NAME alone must be dropped for a service to register more than one instance.
+ * The service template registers its instance only when SERVICE_DISCOVERY_ENABLED is `true`.
+ *
+ * Queries are built with DBQuery without dialect-specific SQL (heartbeats are written and compared as application timestamps).
+ * The PostgreSQL client is the only one supported by `db.execute`, so other DB_CLIENT values are rejected with a clear error.
+ *
+ * An instance is live while its status is UP and its last heartbeat is more recent than the stale threshold.
+ */
+
+class ServiceRegistry {
+  /**
+   * Creates a new ServiceRegistry instance.
+   *
+   * @param {Object} serviceConfig - Service configuration (serviceName, HOST, PORT, PROTOCOL, version).
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.host] - Host advertised to other services (defaults to SERVICE_ADVERTISED_HOST, then the bind host).
+   * @param {number} [options.heartbeatIntervalMs] - Heartbeat interval (defaults to SERVICE_HEARTBEAT_INTERVAL_MS or 10 seconds).
+   */
+  constructor(serviceConfig, options = {}) {
+    this.query = new DBQuery();
+    this.serviceName = serviceConfig.serviceName;
+    this.host =
+      options.host || process.env.SERVICE_ADVERTISED_HOST || serviceConfig.HOST;
+    this.port = Number(serviceConfig.PORT);
+    this.protocol = serviceConfig.PROTOCOL || 'http';
+    this.version =
+      serviceConfig.version ||
+      process.env.SERVICE_VERSION ||
+      process.env.npm_package_version ||
+      null;
+    this.instanceId = `${os.hostname()}:${this.port}`;
+    this.heartbeatIntervalMs =
+      options.heartbeatIntervalMs ??
+      (Number(process.env.SERVICE_HEARTBEAT_INTERVAL_MS) || 10000);
+    this.heartbeatTimer = null;
+    this.verified = false;
+  }
+
+  /**
+   * migrate
+   *
+   * Adds the registry columns missing from SVC_CONFIG and the unique index on (SERVICE_NAME, INSTANCE_ID). Safe to run again.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} - 500 on an unsupported DB_CLIENT.
+   */
+  static async migrate() {
+    assertSupportedClient();
+
+    const tableName = registryTableName();
+    const missing = await findMissingColumns(tableName);
+
+    if (missing.length > 0) {
+      await db.schema.alterTable(tableName, (table) => {
+        for (const column of missing) {
+          REGISTRY_COLUMNS[column](table, columnName(column));
+        }
+        if (missing.includes('INSTANCE_ID')) {
+          table.unique([columnName('SERVICE_NAME'), columnName('INSTANCE_ID')]);
+        }
+      });
+      log.info(`Added registry columns to ${tableName}: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * verifySchema
+   *
+   * Checks the database client and the registry columns once per registry.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} - 500 on an unsupported DB_CLIENT or when SVC_CONFIG lacks registry columns.
+   */
+  async verifySchema() {
+    if (this.verified) {
+      return;
+    }
+    assertSupportedClient();
+
+    const tableName = registryTableName();
+    const missing = await findMissingColumns(tableName);
+    if (missing.length > 0) {
+      throw _Error(
+        500,
+        `${tableName} is missing the registry columns ${missing.join(', ')}; run ServiceRegistry.migrate() first`
+      );
+    }
+    this.verified = true;
+  }
+
+  /**
+   * register
+   *
+   * Marks the instance UP with a fresh heartbeat, inserting its row when it is not registered yet.
+   *
+   * @returns {Promise<void>}
+   */
+  async register() {
+    await this.verifySchema();
+
+    const fields = {
+      HOST: this.host,
+      PORT: this.port,
+      PROTOCOL: this.protocol,
+      VERSION: this.version,
+      STATUS: 'UP',
+      LAST_HEARTBEAT: new Date(),
+    };
+    const result = await db.execute(
+      this.query.updateQuery('SVC_CONFIG', {}, fields, this.instanceKey())
+    );
+
+    if (!result.rowCount) {
+      await db.execute(
+        this.query.insertQuery(
+          'SVC_CONFIG',
+          {},
+          { ...this.instanceKey(), ...fields },
+          []
+        )
+      );
+    }
+    log.info(
+      `[${this.serviceName}] Registered instance ${this.instanceId} (${this.protocol}://${this.host}:${this.port})`
+    );
+  }
+
+  /**
+   * heartbeat
+   *
+   * Refreshes the heartbeat of the instance, registering it again when its row is missing.
+   *
+   * @returns {Promise<void>}
+   */
+  async heartbeat() {
+    await this.verifySchema();
+
+    const result = await db.execute(
+      this.query.updateQuery(
+        'SVC_CONFIG',
+        {},
+        { STATUS: 'UP', LAST_HEARTBEAT: new Date() },
+        this.instanceKey()
+      )
+    );
+
+    if (!result.rowCount) {
+      await this.register();
+    }
+  }
+
+  /**
+   * instanceKey
+   *
+   * @returns {{ SERVICE_NAME: string, INSTANCE_ID: string }} - Conditions matching the row of this instance.
+   */
+  instanceKey() {
+    return { SERVICE_NAME: this.serviceName, INSTANCE_ID: this.instanceId };
+  }
+
+  /**
+   * startHeartbeat
+   *
+   * Starts the heartbeat loop. The timer does not keep the process alive on its own.
+   *
+   * @returns {void}
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(async () => {
+      try {
+        await this.heartbeat();
+      } catch (err) {
+        log.error(
+          `[${this.serviceName}] Heartbeat failed: ${err.message || err}`
+        );
+      }
+    }, this.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * stopHeartbeat
+   *
+   * @returns {void}
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * deregister
+   *
+   * Stops the heartbeat and removes the instance from the registry.
+   *
+   * @returns {Promise<void>}
+   */
+  async deregister() {
+    this.stopHeartbeat();
+    await db.execute(
+      this.query.deleteQuery('SVC_CONFIG', {}, this.instanceKey())
+    );
+    log.info(`[${this.serviceName}] Deregistered instance ${this.instanceId}`);
+  }
+}
+
+/**
+ * assertSupportedClient
+ *
+ * @returns {void}
+ * @throws {Error} - 500 when DB_CLIENT is not one of SUPPORTED_DIALECTS.
+ */
+
+const assertSupportedClient = () => {
+  if (!SUPPORTED_DIALECTS.includes(db.dialect)) {
+    throw _Error(
+      500,
+      `Service registry does not support DB_CLIENT ${process.env.DB_CLIENT}; use one of: ${SUPPORTED_DIALECTS.join(', ')}`
+    );
+  }
+};
+
+/**
+ * columnName
+ *
+ * Column name as created in the database (PostgreSQL folds unquoted identifiers to lower case).
+ *
+ * @param {string} column
+ * @returns {string}
+ */
+
+const columnName = (column) => column.toLowerCase();
+
+/**
+ * registryTableName
+ *
+ * @returns {string} - Unquoted name of the SVC_CONFIG table.
+ */
+
+const registryTableName = () => columnName(new DBQuery().tables.SVC_CONFIG);
+
+/**
+ * findMissingColumns
+ *
+ * @param {string} tableName
+ * @returns {Promise<string[]>} - Registry columns missing from the table.
+ */
+
+const findMissingColumns = async (tableName) => {
+  const columns = Object.keys(REGISTRY_COLUMNS);
+  const present = await Promise.all(
+    columns.map((column) => db.schema.hasColumn(tableName, columnName(column)))
+  );
+  return columns.filter((column, index) => !present[index]);
+};
+
+/**
+ * resolveService
+ *
+ * Looks up the live instances of a service, most recent heartbeat first.
+ *
+ * @param {string} serviceName - Name of the service to resolve.
+ * @param {Object} [options={}] - Optional lookup settings.
+ * @param {number} [options.staleAfterMs] - Age after which a heartbeat is considered stale (defaults to three heartbeat intervals).
+ * @returns {Promise<Object[]>} - Live instances ({ instanceId, host, port, protocol, version, url }).
+ */
+
+const resolveService = async (serviceName, options = {}) => {
+  assertSupportedClient();
+
+  const staleAfterMs =
+    options.staleAfterMs ??
+    3 * (Number(process.env.SERVICE_HEARTBEAT_INTERVAL_MS) || 10000);
+
+  const result = await db.execute(
+    new DBQuery().selectQuery('SVC_CONFIG', INSTANCE_FIELDS, {
+      columns: Object.keys(INSTANCE_FIELDS),
+      where: {
+        SERVICE_NAME: serviceName,
+        STATUS: 'UP',
+        LAST_HEARTBEAT: { '>': new Date(Date.now() - staleAfterMs) },
+      },
+      orderBy: { LAST_HEARTBEAT: 'DESC' },
+    })
+  );
+
+  return result.rows.map((row) => ({
+    instanceId: row.instanceId,
+    host: row.host,
+    port: Number(row.port),
+    protocol: row.protocol,
+    version: row.version,
+    url: `${row.protocol}://${row.host}:${row.port}`,
+  }));
+};
+
+export { resolveService };
+export default ServiceRegistry;
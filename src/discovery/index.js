@@ -0,0 +1,6 @@
+'use strict';
+
+import ServiceRegistry, { resolveService } from './ServiceRegistry.js';
+import ServiceClient, { CIRCUIT_STATE } from './ServiceClient.js';
+
+export { ServiceRegistry, resolveService, ServiceClient, CIRCUIT_STATE };
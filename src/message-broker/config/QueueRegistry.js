@@ -0,0 +1,199 @@
+'use strict';
+
+import { EventEmitter } from 'events';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import yaml from 'yaml';
+import { QUEUES } from './queue.config.js';
+import { logger } from '../../utils/index.js';
+
+const log = logger('queue-registry');
+
+/**
+ * queueDefinitionSchema
+ *
+ * Joi schema describing a single queue topology definition.
+ */
+const queueDefinitionSchema = Joi.object({
+  queue: Joi.string().required(),
+  exchange: Joi.string().required(),
+  type: Joi.string()
+    .valid('direct', 'topic', 'fanout', 'headers')
+    .default('direct'),
+  routingKey: Joi.string().allow('').default(''),
+  dlq: Joi.string().required(),
+});
+
+/**
+ * QueueRegistry
+ *
+ * Runtime registry of queue topology definitions used by publishers, consumers, and topology assertion.
+ *
+ * Services register their own queues at startup (or load them from a YAML/JSON file) instead of relying on a hard-coded map.
+ * The library defaults from QUEUES are registered on construction.
+ *
+ * Events:
+ * - `changed` (queueKey) - Emitted when a definition is registered, replaced or unregistered, so caches built from it are dropped
+ */
+
+class QueueRegistry extends EventEmitter {
+  /**
+   * Creates a new QueueRegistry instance seeded with the given default definitions.
+   *
+   * @param {Object<string, Object>} [defaults={}] - Queue definitions keyed by queue key.
+   */
+  constructor(defaults = {}) {
+    super();
+    this.queues = new Map();
+    this.registerMany(defaults);
+  }
+
+  /**
+   * validate
+   *
+   * Validates a queue definition and applies schema defaults.
+   *
+   * @param {string} queueKey - Queue key the definition is registered under.
+   * @param {Object} definition - Queue definition to validate.
+   * @returns {Object} - Validated queue definition.
+   * @throws {Error} - Thrown when the definition does not match the schema.
+   */
+  validate(queueKey, definition) {
+    const { error, value } = queueDefinitionSchema.validate(definition);
+    if (error) {
+      throw new Error(
+        `Invalid queue definition for ${queueKey}: ${error.message}`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * register
+   *
+   * Registers (or replaces) a single queue definition.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {Object} definition - Queue definition.
+   * @param {string} definition.queue - Primary queue name.
+   * @param {string} definition.exchange - Exchange the queue is bound to.
+   * @param {string} [definition.type='direct'] - Exchange type.
+   * @param {string} [definition.routingKey=''] - Routing key used for the binding.
+   * @param {string} definition.dlq - Dead-letter queue name.
+   * @returns {Object} - Validated queue definition.
+   * @throws {Error} - Thrown when the key or definition is invalid.
+   */
+  register(queueKey, definition) {
+    if (!queueKey || typeof queueKey !== 'string') {
+      throw new Error('Queue key must be a non-empty string');
+    }
+
+    const queueConfig = this.validate(queueKey, definition);
+    if (this.queues.has(queueKey)) {
+      log.warning(`Queue definition for ${queueKey} replaced`);
+    }
+    this.queues.set(queueKey, queueConfig);
+    this.emit('changed', queueKey);
+    log.debug(`Queue definition registered for ${queueKey}`);
+
+    return queueConfig;
+  }
+
+  /**
+   * registerMany
+   *
+   * Registers every queue definition of the given map.
+   *
+   * @param {Object<string, Object>} definitions - Queue definitions keyed by queue key.
+   * @returns {void}
+   */
+  registerMany(definitions = {}) {
+    for (const [queueKey, definition] of Object.entries(definitions)) {
+      this.register(queueKey, definition);
+    }
+  }
+
+  /**
+   * loadFromFile
+   *
+   * Loads queue definitions from a YAML or JSON file. The file may either hold the definitions map directly or under a `queues` key.
+   *
+   * @param {string} filePath - Absolute or cwd-relative path to the definitions file.
+   * @returns {string[]} - Keys of the registered definitions.
+   * @throws {Error} - Thrown when the file is missing or its content is invalid.
+   */
+  loadFromFile(filePath) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+    if (!existsSync(resolvedPath)) {
+      throw new Error(`Queue definitions file not found: ${resolvedPath}`);
+    }
+
+    // YAML is a superset of JSON, so a single parser covers both formats.
+    const content = yaml.parse(readFileSync(resolvedPath, 'utf8')) || {};
+    const definitions = content.queues || content;
+    if (typeof definitions !== 'object' || Array.isArray(definitions)) {
+      throw new Error(`Queue definitions file is malformed: ${resolvedPath}`);
+    }
+
+    this.registerMany(definitions);
+    log.info(
+      `Loaded ${Object.keys(definitions).length} queue definitions from ${resolvedPath}`
+    );
+
+    return Object.keys(definitions);
+  }
+
+  /**
+   * has
+   *
+   * @param {string} queueKey
+   * @returns {boolean}
+   */
+  has(queueKey) {
+    return this.queues.has(queueKey);
+  }
+
+  /**
+   * resolve
+   *
+   * Resolves the queue definition registered for the given key.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @returns {Object} - Registered queue definition.
+   * @throws {Error} - Thrown when no definition exists for the key.
+   */
+  resolve(queueKey) {
+    const queueConfig = this.queues.get(queueKey);
+    if (!queueConfig) {
+      throw new Error(`Queue config not found for key: ${queueKey}`);
+    }
+    return queueConfig;
+  }
+
+  /**
+   * list
+   *
+   * @returns {Object<string, Object>} - Snapshot of every registered definition keyed by queue key.
+   */
+  list() {
+    return Object.fromEntries(this.queues);
+  }
+
+  /**
+   * unregister
+   *
+   * @param {string} queueKey
+   * @returns {boolean} - True if a definition was removed.
+   */
+  unregister(queueKey) {
+    const removed = this.queues.delete(queueKey);
+    if (removed) {
+      this.emit('changed', queueKey);
+    }
+    return removed;
+  }
+}
+
+export { QueueRegistry };
+export default new QueueRegistry(QUEUES);
@@ -2,5 +2,6 @@
 
 import { QUEUES } from './queue.config.js';
 import RabbitMQConfig from './rabbitmq.config.js';
+import queueRegistry from './QueueRegistry.js';
 
-export { QUEUES, RabbitMQConfig };
+export { QUEUES, RabbitMQConfig, queueRegistry };
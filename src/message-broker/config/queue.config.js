@@ -8,6 +8,8 @@
  * Defines queue names, exchanges, routing types, routing keys, and dead-letter queues (DLQ)
  * for messaging infrastructure (e.g., RabbitMQ).
  *
+ * These are the library defaults seeded into the queue registry. Services register additional queues through `queueRegistry`.
+ *
  * @property {Object} EMAIL_TASKS - Configuration for email-related background tasks.
  * @property {string} EMAIL_TASKS.queue - Primary queue name used to process email tasks.
  * @property {string} EMAIL_TASKS.exchange - Exchange responsible for routing email messages.
@@ -46,6 +46,46 @@ class RabbitMQConfig {
       connectionTimeout: Number(process.env.RABBITMQ_CONN_TIMEOUT || 10000), // Fail connection attempts after 10s
     };
   }
+
+  /**
+   * isPublishConfirmEnabled
+   *
+   * Indicates whether publishers should use a confirm channel and wait for broker acknowledgements.
+   *
+   * @returns {boolean} - True when RABBITMQ_PUBLISH_CONFIRMS is set to `true`.
+   */
+  static isPublishConfirmEnabled() {
+    return process.env.RABBITMQ_PUBLISH_CONFIRMS === 'true';
+  }
+
+  /**
+   * getEventExchange
+   *
+   * Retrieves the name of the topic exchange used for domain events.
+   *
+   * @returns {string} - Event exchange name (EVENT_EXCHANGE, defaults to `domain.events`).
+   */
+  static getEventExchange() {
+    return (process.env.EVENT_EXCHANGE || 'domain.events').trim();
+  }
+
+  /**
+   * getReconnectOptions
+   *
+   * Builds and returns the automatic reconnect settings using environment variables with fallback defaults.
+   *
+   * @returns {Object} - Reconnect configuration options.
+   * @property {number} maxAttempts - Maximum number of reconnect attempts before giving up (0 disables reconnecting).
+   * @property {number} baseDelayMs - Base delay (in milliseconds) of the exponential backoff.
+   * @property {number} maxDelayMs - Upper bound (in milliseconds) of a single backoff delay.
+   */
+  static getReconnectOptions() {
+    return {
+      maxAttempts: Number(process.env.RABBITMQ_RECONNECT_ATTEMPTS ?? 10),
+      baseDelayMs: Number(process.env.RABBITMQ_RECONNECT_BASE_DELAY || 1000),
+      maxDelayMs: Number(process.env.RABBITMQ_RECONNECT_MAX_DELAY || 30000),
+    };
+  }
 }
 
 export default RabbitMQConfig;
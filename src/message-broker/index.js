@@ -2,19 +2,67 @@
 
 import {
   publishTask,
+  deadLetterTask,
+  getPublisherConnection,
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
   startConsumer,
   SecureConsumer,
   RabbitMQConnection,
+  DeadLetterManager,
+  RpcClient,
+  rpcCall,
+  sendRpcReply,
+  EventBus,
+  getEventBus,
+  publishEvent,
+  subscribe,
+  captureTaskContext,
+  restoreTaskContext,
 } from './rabbitmq/index.js';
-import { RedisConnection, RetryManager } from './redis/index.js';
-import { QUEUES } from './config/index.js';
+import {
+  RedisConnection,
+  RetryManager,
+  TaskScheduler,
+  IdempotencyStore,
+  IDEMPOTENCY_STATE,
+} from './redis/index.js';
+import { QUEUES, queueRegistry } from './config/index.js';
+import { TaskOutbox } from './outbox/index.js';
 
 export {
   publishTask,
+  deadLetterTask,
+  getPublisherConnection,
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
   startConsumer,
   RedisConnection,
   RetryManager,
+  TaskScheduler,
+  IdempotencyStore,
+  IDEMPOTENCY_STATE,
   SecureConsumer,
   QUEUES,
+  queueRegistry,
   RabbitMQConnection,
+  DeadLetterManager,
+  RpcClient,
+  rpcCall,
+  sendRpcReply,
+  EventBus,
+  getEventBus,
+  publishEvent,
+  subscribe,
+  captureTaskContext,
+  restoreTaskContext,
+  TaskOutbox,
 };
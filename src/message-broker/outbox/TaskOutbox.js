@@ -0,0 +1,286 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+import { db } from '../../db/index.js';
+import { queueRegistry } from '../config/index.js';
+import { captureTaskContext, RabbitMQConnection } from '../rabbitmq/index.js';
+import { BasePublisher, TaskPublisher } from '../rabbitmq/publisher/index.js';
+import { logger } from '../../utils/index.js';
+
+const log = logger('task-outbox');
+
+/**
+ * TaskOutbox
+ *
+ * Transactional outbox for task publishing. A task is written to the outbox table in the same database transaction
+ * as the business data, and a relay later drains pending rows to RabbitMQ. The DB write and its event therefore commit together.
+ *
+ * Expected table (PostgreSQL):
+ *
+ *   CREATE TABLE TASK_OUTBOX (
+ *     ID             UUID PRIMARY KEY,          -- Task ID used when publishing
+ *     QUEUE_KEY      VARCHAR(100) NOT NULL,
+ *     PAYLOAD        JSONB NOT NULL,
+ *     CONTEXT        JSONB NOT NULL DEFAULT '{}',
+ *     STATUS         VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING | RELAYING | PUBLISHED | FAILED
+ *     ATTEMPTS       INTEGER NOT NULL DEFAULT 0,
+ *     LAST_ERROR     TEXT,
+ *     LEASE_UNTIL    TIMESTAMP,                 -- End of the relay lease of a RELAYING row
+ *     CREATED_DATE   TIMESTAMP NOT NULL DEFAULT NOW(),
+ *     PUBLISHED_DATE TIMESTAMP
+ *   );
+ *
+ * Rows are claimed in a single statement (`FOR UPDATE SKIP LOCKED`) that marks them RELAYING under a lease, so several relays can
+ * run side by side and no lock is held while publishing. A row whose relay died before recording the outcome is claimed again
+ * once its lease expired, so it may be published twice; consumers should be idempotent.
+ *
+ * The relay publishes through its own confirm channel, whatever `RABBITMQ_PUBLISH_CONFIRMS` says, and marks a row PUBLISHED only
+ * once the broker acknowledged it.
+ */
+
+class TaskOutbox {
+  /**
+   * Creates a new TaskOutbox instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.table='TASK_OUTBOX'] - Outbox table name.
+   * @param {number} [options.batchSize=50] - Maximum number of rows relayed per poll.
+   * @param {number} [options.intervalMs=1000] - Relay polling interval in milliseconds.
+   * @param {number} [options.maxAttempts=10] - Publish attempts before a row is marked FAILED.
+   * @param {number} [options.leaseMs=60000] - How long a claimed row is reserved for its relay.
+   * @param {RabbitMQConnection} [options.connection] - RabbitMQ connection opening a confirm channel; a dedicated one is created by
+   * default.
+   */
+  constructor(options = {}) {
+    this.table = options.table || 'TASK_OUTBOX';
+    this.batchSize = options.batchSize ?? 50;
+    this.intervalMs = options.intervalMs ?? 1000;
+    this.maxAttempts = options.maxAttempts ?? 10;
+    this.leaseMs = options.leaseMs ?? 60000;
+    this.connection =
+      options.connection || new RabbitMQConnection({ confirm: true });
+    this.publishers = new Map();
+    this.relayTimer = null;
+    this.relaying = false;
+
+    // Cached publishers are bound to the channel they were built on
+    this.connection.on('closed', () => this.publishers.clear());
+    queueRegistry.on('changed', (queueKey) => this.publishers.delete(queueKey));
+  }
+
+  /**
+   * enqueue
+   *
+   * Writes a task to the outbox within the caller's transaction.
+   *
+   * The request context (user ID, locale, correlation ID, session ID) is captured now, since the relay publishes the task later,
+   * outside of the request.
+   *
+   * @param {Object} trx - Knex transaction received from db.transaction().
+   * @param {string} queueKey - Key used to resolve the queue configuration when relaying.
+   * @param {any} payload - Data payload to be processed by the consumer.
+   * @param {Object} [context={}] - Optional contextual metadata for tracing or debugging.
+   * @returns {Promise<string>} - Resolves with the task ID the message will be published with.
+   */
+  async enqueue(trx, queueKey, payload, context = {}) {
+    if (!trx) {
+      throw new Error('Outbox enqueue requires a database transaction');
+    }
+
+    const taskId = randomUUID();
+    const query = `INSERT INTO ${this.table} (ID, QUEUE_KEY, PAYLOAD, CONTEXT)
+      VALUES (?, ?, ?, ?);`;
+    const params = [
+      taskId,
+      queueKey,
+      JSON.stringify(payload),
+      JSON.stringify(captureTaskContext(context)),
+    ];
+
+    await db.execute(query, params, trx);
+    return taskId;
+  }
+
+  /**
+   * parseColumn
+   *
+   * @param {string|Object} value - JSON column value (parsed for JSONB, raw for text columns).
+   * @returns {any}
+   */
+  parseColumn(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * claimBatch
+   *
+   * Marks a batch of pending rows, and rows whose relay lease expired, as RELAYING in a single statement.
+   *
+   * @returns {Promise<Object[]>} - Claimed rows.
+   */
+  async claimBatch() {
+    const now = new Date();
+    const result = await db.execute(
+      `UPDATE ${this.table} SET STATUS = 'RELAYING', LEASE_UNTIL = ?
+        WHERE ID IN (
+          SELECT ID FROM ${this.table}
+            WHERE STATUS = 'PENDING' OR (STATUS = 'RELAYING' AND LEASE_UNTIL < ?)
+            ORDER BY CREATED_DATE
+            LIMIT ?
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING ID, QUEUE_KEY, PAYLOAD, CONTEXT, ATTEMPTS;`,
+      [new Date(now.getTime() + this.leaseMs), now, this.batchSize]
+    );
+    return result.rows;
+  }
+
+  /**
+   * getPublisher
+   *
+   * Returns the relay publisher of a queue, asserting its topology on first use.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @returns {Promise<TaskPublisher>} - Publisher bound to the confirm channel of the relay.
+   * @throws {Error} - Thrown when the queue is unknown or the connection does not open a confirm channel.
+   */
+  async getPublisher(queueKey) {
+    if (this.publishers.has(queueKey)) {
+      return this.publishers.get(queueKey);
+    }
+
+    const queueConfig = queueRegistry.resolve(queueKey);
+    const channel = await this.connection.connect();
+    if (typeof channel.waitForConfirms !== 'function') {
+      throw new Error('Outbox relay requires a confirm channel');
+    }
+
+    await new BasePublisher(channel).setupTopology(queueConfig);
+    const publisher = new TaskPublisher(channel, queueConfig);
+    this.publishers.set(queueKey, publisher);
+    return publisher;
+  }
+
+  /**
+   * relayBatch
+   *
+   * Claims a batch of rows, publishes them outside of any transaction, and records the outcome of each row. A row is marked
+   * PUBLISHED once the broker confirmed its publish.
+   *
+   * @returns {Promise<number>} - Number of rows published.
+   */
+  async relayBatch() {
+    const claimed = await this.claimBatch();
+
+    let published = 0;
+    for (const row of claimed) {
+      try {
+        const publisher = await this.getPublisher(row.queue_key);
+        await publisher.publish(
+          this.parseColumn(row.payload),
+          this.parseColumn(row.context) || {},
+          { taskId: row.id }
+        );
+      } catch (err) {
+        const status =
+          row.attempts + 1 >= this.maxAttempts ? 'FAILED' : 'PENDING';
+        log.error(`Outbox relay failed for task ${row.id}: ${err.message}`);
+        await this.recordOutcome(
+          `ATTEMPTS = ATTEMPTS + 1, LAST_ERROR = ?, STATUS = ?, LEASE_UNTIL = NULL`,
+          [err.message, status],
+          row.id
+        );
+        continue;
+      }
+
+      await this.recordOutcome(
+        `STATUS = 'PUBLISHED', PUBLISHED_DATE = NOW(), LEASE_UNTIL = NULL`,
+        [],
+        row.id
+      );
+      published++;
+    }
+
+    return published;
+  }
+
+  /**
+   * recordOutcome
+   *
+   * Updates a claimed row after its publish attempt. A failed update is logged; the row is then claimed again once its lease expired.
+   *
+   * @param {string} assignments - SET clause of the update.
+   * @param {Array<any>} params - Parameters of the SET clause.
+   * @param {string} taskId - ID of the claimed row.
+   * @returns {Promise<void>}
+   */
+  async recordOutcome(assignments, params, taskId) {
+    try {
+      await db.execute(
+        `UPDATE ${this.table} SET ${assignments}
+          WHERE ID = ? AND STATUS = 'RELAYING';`,
+        [...params, taskId]
+      );
+    } catch (err) {
+      log.error(
+        `Outbox relay could not record the outcome of task ${taskId}: ${err.message || err}`
+      );
+    }
+  }
+
+  /**
+   * startRelay
+   *
+   * Starts a polling loop that drains pending outbox rows to RabbitMQ.
+   *
+   * @returns {void}
+   */
+  startRelay() {
+    if (this.relayTimer) {
+      return;
+    }
+
+    this.relayTimer = setInterval(async () => {
+      if (this.relaying) return;
+      this.relaying = true;
+      try {
+        const published = await this.relayBatch();
+        if (published) {
+          log.info(`Outbox relay published ${published} tasks`);
+        }
+      } catch (err) {
+        log.error(`Outbox relay error: ${err.message || err}`);
+      } finally {
+        this.relaying = false;
+      }
+    }, this.intervalMs);
+    log.info(`Outbox relay started for ${this.table}`);
+  }
+
+  /**
+   * stopRelay
+   *
+   * Stops the relay polling loop.
+   *
+   * @returns {void}
+   */
+  stopRelay() {
+    clearInterval(this.relayTimer);
+    this.relayTimer = null;
+  }
+
+  /**
+   * close
+   *
+   * Stops the relay and closes its RabbitMQ connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.stopRelay();
+    this.publishers.clear();
+    await this.connection.close();
+  }
+}
+
+export default TaskOutbox;
@@ -0,0 +1,5 @@
+'use strict';
+
+import TaskOutbox from './TaskOutbox.js';
+
+export { TaskOutbox };
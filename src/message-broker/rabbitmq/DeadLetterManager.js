@@ -0,0 +1,294 @@
+'use strict';
+
+import RabbitMQConnection from './RabbitMQConnection.js';
+import { TaskPublisher } from './publisher/index.js';
+import { parseRetryHeaders } from './retryHeaders.js';
+import { verifyMessage } from './messageSignature.js';
+import { queueRegistry } from '../config/index.js';
+import { logger } from '../../utils/index.js';
+
+const log = logger('dead-letter-manager');
+
+/**
+ * DeadLetterManager
+ *
+ * Inspection and replay API for the dead-letter queues (DLQ) created by assertTopology.
+ *
+ * Responsibilities:
+ * - Count, list, and peek messages in a DLQ without consuming them
+ * - Purge messages from a DLQ, optionally filtered
+ * - Replay messages back to the main exchange, re-signed with the TaskPublisher HMAC scheme
+ *
+ * Filters match on `taskId`, `action` (task context) and `producer` (`x-producer` header).
+ */
+
+class DeadLetterManager {
+  /**
+   * Creates a new DeadLetterManager instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {RabbitMQConnection} [options.connection] - RabbitMQ connection opening a confirm channel; a dedicated one is created by
+   * default.
+   * @param {number} [options.maxScan=1000] - Maximum number of messages read from a DLQ per operation.
+   */
+  constructor(options = {}) {
+    this.connection =
+      options.connection || new RabbitMQConnection({ confirm: true });
+    this.maxScan = options.maxScan ?? 1000;
+  }
+
+  /**
+   * getQueueConfig
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @returns {Object} - Queue configuration of the key.
+   */
+  getQueueConfig(queueKey) {
+    return queueRegistry.resolve(queueKey);
+  }
+
+  /**
+   * decode
+   *
+   * Converts a raw DLQ message into a readable task summary.
+   *
+   * @param {Object} msg - Raw message returned by `channel.get`.
+   * @returns {Object} - Task summary including headers, retry metadata and death information.
+   */
+  decode(msg) {
+    const headers = msg.properties.headers || {};
+    let message = null;
+    try {
+      message = JSON.parse(msg.content.toString());
+    } catch {
+      message = null;
+    }
+
+    return {
+      taskId: message?.taskId,
+      payload: message?.payload,
+      context: message?._ctx,
+      createdAt: message?.createdAt,
+      producer: headers['x-producer'],
+      deadLetterReason:
+        headers['x-dead-letter-reason'] || headers['x-first-death-reason'],
+      retry: parseRetryHeaders(headers),
+      death: headers['x-death'],
+      raw: message,
+      headers,
+    };
+  }
+
+  /**
+   * matches
+   *
+   * @param {Object} task - Decoded task summary.
+   * @param {Object} [filter={}] - Optional filter.
+   * @param {string} [filter.taskId]
+   * @param {string} [filter.action]
+   * @param {string} [filter.producer]
+   * @returns {boolean} - True if the task satisfies every provided filter.
+   */
+  matches(task, filter = {}) {
+    if (filter.taskId && task.taskId !== filter.taskId) {
+      return false;
+    }
+    if (filter.action && task.context?.action !== filter.action) {
+      return false;
+    }
+    if (filter.producer && task.producer !== filter.producer) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * scan
+   *
+   * Reads messages from a DLQ and lets the visitor decide, per message, whether it is consumed (acked) or kept.
+   *
+   * Kept messages are held unacknowledged until the scan ends, so each message is visited at most once, and are then requeued.
+   * When the visitor throws, the current message is requeued with them.
+   *
+   * @async
+   * @param {string} dlq - Dead-letter queue name.
+   * @param {Function} visitor - Async callback receiving the decoded task and a `markVisited` function; returns true to ack (remove) the message.
+   * @param {number} [limit] - Stop after `markVisited` has been called this many times.
+   * @returns {Promise<void>}
+   */
+  async scan(dlq, visitor, limit = this.maxScan) {
+    const channel = await this.connection.connect();
+    const held = [];
+    let scanned = 0;
+    let visited = 0;
+
+    try {
+      while (scanned < this.maxScan && visited < limit) {
+        const msg = await channel.get(dlq, { noAck: false });
+        if (!msg) break;
+        scanned++;
+
+        let consumed;
+        try {
+          consumed = await visitor(this.decode(msg), () => visited++);
+        } catch (err) {
+          held.push(msg);
+          throw err;
+        }
+        if (consumed) {
+          channel.ack(msg);
+        } else {
+          held.push(msg);
+        }
+      }
+    } finally {
+      for (const msg of held) {
+        channel.nack(msg, false, true);
+      }
+    }
+  }
+
+  /**
+   * count
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @returns {Promise<number>} - Number of messages ready in the DLQ.
+   */
+  async count(queueKey) {
+    const { dlq } = this.getQueueConfig(queueKey);
+    const channel = await this.connection.connect();
+    const { messageCount } = await channel.checkQueue(dlq);
+    return messageCount;
+  }
+
+  /**
+   * list
+   *
+   * Lists DLQ messages matching the filter without removing them.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {Object} [filter={}] - Optional filter (taskId, action, producer).
+   * @param {number} [limit=50] - Maximum number of messages to return.
+   * @returns {Promise<Object[]>} - Decoded task summaries.
+   */
+  async list(queueKey, filter = {}, limit = 50) {
+    const { dlq } = this.getQueueConfig(queueKey);
+    const tasks = [];
+
+    await this.scan(
+      dlq,
+      async (task, markVisited) => {
+        if (this.matches(task, filter)) {
+          const { raw, ...summary } = task;
+          tasks.push(summary);
+          markVisited();
+        }
+        return false;
+      },
+      limit
+    );
+
+    return tasks;
+  }
+
+  /**
+   * peek
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {Object} [filter={}] - Optional filter (taskId, action, producer).
+   * @returns {Promise<Object|null>} - First matching task summary, or null when none matches.
+   */
+  async peek(queueKey, filter = {}) {
+    const [task] = await this.list(queueKey, filter, 1);
+    return task || null;
+  }
+
+  /**
+   * purge
+   *
+   * Removes messages from the DLQ. Without a filter the whole queue is purged.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {Object} [filter={}] - Optional filter (taskId, action, producer).
+   * @returns {Promise<number>} - Number of removed messages.
+   */
+  async purge(queueKey, filter = {}) {
+    const { dlq } = this.getQueueConfig(queueKey);
+
+    if (!filter.taskId && !filter.action && !filter.producer) {
+      const channel = await this.connection.connect();
+      const { messageCount } = await channel.purgeQueue(dlq);
+      log.warning(`Purged ${messageCount} messages from ${dlq}`);
+      return messageCount;
+    }
+
+    let purged = 0;
+    await this.scan(dlq, async (task, markVisited) => {
+      if (!this.matches(task, filter)) {
+        return false;
+      }
+      markVisited();
+      purged++;
+      return true;
+    });
+
+    log.warning(`Purged ${purged} messages from ${dlq}`);
+    return purged;
+  }
+
+  /**
+   * replay
+   *
+   * Publishes matching DLQ messages back to the main exchange with their original task ID and removes them from the DLQ.
+   *
+   * Messages are re-signed with the TaskPublisher HMAC scheme. Messages whose original signature does not verify are left in the DLQ.
+   *
+   * Each message is published on a confirm channel and only removed from the DLQ once the broker acknowledged the publish. A failed
+   * publish stops the replay and leaves the message in the DLQ.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {Object} [filter={}] - Optional filter (taskId, action, producer).
+   * @param {number} [limit] - Maximum number of messages to replay.
+   * @returns {Promise<{ replayed: string[], rejected: string[] }>} - Task IDs replayed and task IDs skipped for an invalid signature.
+   * @throws {Error} - Thrown when the connection does not open a confirm channel, or a publish is not confirmed.
+   */
+  async replay(queueKey, filter = {}, limit = this.maxScan) {
+    const queueConfig = this.getQueueConfig(queueKey);
+    const channel = await this.connection.connect();
+    if (typeof channel.waitForConfirms !== 'function') {
+      throw new Error('DLQ replay requires a confirm channel');
+    }
+    const publisher = new TaskPublisher(channel, queueConfig);
+    const replayed = [];
+    const rejected = [];
+
+    await this.scan(
+      queueConfig.dlq,
+      async (task, markVisited) => {
+        if (!this.matches(task, filter)) {
+          return false;
+        }
+        markVisited();
+
+        if (!task.raw || !verifyMessage(task.raw, task.headers)) {
+          rejected.push(task.taskId);
+          return false;
+        }
+
+        await publisher.publish(task.payload, task.context, {
+          taskId: task.taskId,
+        });
+        replayed.push(task.taskId);
+        return true;
+      },
+      limit
+    );
+
+    log.info(
+      `Replayed ${replayed.length} messages from ${queueConfig.dlq}; ${rejected.length} rejected`
+    );
+    return { replayed, rejected };
+  }
+}
+
+export default DeadLetterManager;
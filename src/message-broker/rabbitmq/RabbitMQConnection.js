@@ -1,5 +1,6 @@
 'use strict';
 
+import { EventEmitter } from 'events';
 import amqp from 'amqplib';
 import { RabbitMQConfig } from '../config/index.js';
 import { logger } from '../../utils/index.js';
@@ -12,17 +13,45 @@ const log = logger('RabbitMQ Connection');
  * Manages the lifecycle of a RabbitMQ connection and channel within the application.
  *
  * Ensures a single active connection and channel, provides automatic reuse, and handles connection events and graceful shutdown.
+ *
+ * When the connection or channel is lost unexpectedly, it reconnects with exponential backoff and jitter and then runs the
+ * registered recovery handlers (topology assertion, consumer re-registration, cache invalidation).
+ *
+ * Lifecycle events:
+ * - `reconnecting` ({ attempt, delay }) - Emitted before each reconnect attempt
+ * - `recovered` ({ attempt, channel }) - Emitted once the connection, channel and recovery handlers are restored
+ * - `failed` (error) - Emitted when every reconnect attempt failed
+ * - `closed` - Emitted whenever the active channel is lost or closed, whether or not a reconnect follows
  */
 
-class RabbitMQConnection {
+class RabbitMQConnection extends EventEmitter {
   /**
    * constructor
    *
    * Initializes the RabbitMQ connection manager with no active connection or channel.
+   *
+   * @param {Object} [options={}] - Optional configuration; reconnect settings default to RabbitMQConfig.getReconnectOptions().
+   * @param {boolean} [options.confirm=false] - Opens a confirm channel so publishes are acknowledged by the broker.
+   * @param {number} [options.maxAttempts] - Maximum number of reconnect attempts (0 disables reconnecting).
+   * @param {number} [options.baseDelayMs] - Base delay of the exponential backoff.
+   * @param {number} [options.maxDelayMs] - Upper bound of a single backoff delay.
    */
-  constructor() {
+  constructor(options = {}) {
+    super();
+    const { confirm = false, ...reconnectOptions } = options;
+    this.confirm = confirm;
     this.connection = null;
     this.channel = null;
+    this.connecting = null;
+    this.recovering = null;
+    this.closing = false;
+    this.opened = false;
+    this.recoveryHandlers = [];
+    this.consumers = new Set();
+    this.reconnectOptions = {
+      ...RabbitMQConfig.getReconnectOptions(),
+      ...reconnectOptions,
+    };
   }
 
   /**
@@ -30,7 +59,7 @@ class RabbitMQConnection {
    *
    * Establishes a connection to RabbitMQ and creates a channel if one does not already exist.
    *
-   * Reuses the existing channel when available to prevent multiple connections.
+   * Reuses the existing channel when available to prevent multiple connections. Concurrent calls share the same attempt.
    *
    * @async
    * @returns {Promise<Object>} - Active RabbitMQ channel instance.
@@ -41,30 +70,81 @@ class RabbitMQConnection {
       return this.channel;
     }
 
+    if (!this.connecting) {
+      this.closing = false;
+      this.connecting = this.openChannel().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * openChannel
+   *
+   * Opens the connection (when needed) and a channel, and attaches the lifecycle listeners that trigger recovery.
+   *
+   * @async
+   * @returns {Promise<Object>} - Active RabbitMQ channel instance.
+   * @throws {Error} - If connection or channel creation fails.
+   */
+  async openChannel() {
     const url = RabbitMQConfig.getUrl();
     const options = RabbitMQConfig.getOptions();
 
     try {
-      log.info('[RabbitMQ] Connecting...');
-      log.info(`Connecting URL: ${url}`);
-      log.info(`Options Provided: ${JSON.stringify(options)}`);
+      if (!this.connection) {
+        log.info('[RabbitMQ] Connecting...');
+        log.info(`Connecting URL: ${url}`);
+        log.info(`Options Provided: ${JSON.stringify(options)}`);
 
-      this.connection = await amqp.connect(url, options);
-      log.info('[RabbitMQ] Connection build');
+        const connection = await amqp.connect(url, options);
+        log.info('[RabbitMQ] Connection build');
 
-      this.connection.on('error', (err) => {
-        log.error(`[RabbitMQ] Connection error ${err}`);
-      });
+        connection.on('error', (err) => {
+          log.error(`[RabbitMQ] Connection error ${err}`);
+        });
+
+        connection.on('close', () => {
+          log.warning('[RabbitMQ] Connection closed');
+          this.connection = null;
+          this.channel = null;
+          this.emit('closed');
+          this.handleUnexpectedClose();
+        });
+
+        this.connection = connection;
+      }
+
+      const channel = this.confirm
+        ? await this.connection.createConfirmChannel()
+        : await this.connection.createChannel();
+      log.info(
+        `[RabbitMQ] ${this.confirm ? 'Confirm channel' : 'Channel'} created`
+      );
 
-      this.connection.on('close', () => {
-        log.warning('[RabbitMQ] Connection closed');
-        this.connection = null;
-        this.channel = null;
+      channel.on('error', (err) => {
+        log.error(`[RabbitMQ] Channel error ${err}`);
       });
 
-      this.channel = await this.connection.createChannel();
-      log.info('[RabbitMQ] Channel created');
+      channel.on('close', () => {
+        // Deliveries of a closed channel can no longer be acked; the broker redelivers them
+        for (const consumer of this.consumers) {
+          if (consumer.channel === channel) {
+            this.consumers.delete(consumer);
+          }
+        }
 
+        if (this.channel === channel) {
+          this.channel = null;
+          this.emit('closed');
+          this.handleUnexpectedClose();
+        }
+      });
+
+      this.channel = channel;
+      this.opened = true;
       return this.channel;
     } catch (err) {
       log.error(`[RabbitMQ] Failed to connect --> ${err}`);
@@ -72,20 +152,216 @@ class RabbitMQConnection {
     }
   }
 
+  /**
+   * getState
+   *
+   * Reports the state of the channel without opening it, e.g. for readiness probes.
+   *
+   * @returns {'idle' | 'connecting' | 'open' | 'recovering' | 'lost' | 'closed'} - `idle` until the first connect, `lost` once every
+   * reconnect attempt after an unexpected close failed.
+   */
+  getState() {
+    if (this.channel) return 'open';
+    if (this.closing) return 'closed';
+    if (this.recovering) return 'recovering';
+    if (this.connecting) return 'connecting';
+    return this.opened ? 'lost' : 'idle';
+  }
+
+  /**
+   * onRecover
+   *
+   * Registers a handler that runs, in registration order, every time the channel is restored after an unexpected close.
+   *
+   * @param {Function} handler - Async callback receiving the new channel.
+   * @returns {Function} - Function that unregisters the handler.
+   */
+  onRecover(handler) {
+    this.recoveryHandlers.push(handler);
+    return () => {
+      this.recoveryHandlers = this.recoveryHandlers.filter(
+        (registered) => registered !== handler
+      );
+    };
+  }
+
+  /**
+   * addConsumer
+   *
+   * Tracks a consumer registered on this connection so it can be cancelled and drained on shutdown.
+   *
+   * @param {BaseConsumer} consumer - Consumer instance.
+   * @returns {void}
+   */
+  addConsumer(consumer) {
+    this.consumers.add(consumer);
+  }
+
+  /**
+   * cancelConsumers
+   *
+   * Cancels every tracked consumer so the broker stops delivering new messages.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async cancelConsumers() {
+    for (const consumer of this.consumers) {
+      try {
+        await consumer.cancel();
+      } catch (err) {
+        log.error(`[RabbitMQ] Failed to cancel consumer --> ${err}`);
+      }
+    }
+  }
+
+  /**
+   * drainConsumers
+   *
+   * Waits for the in-flight messages of every tracked consumer to settle.
+   *
+   * @async
+   * @param {number} timeoutMs - Maximum time to wait in milliseconds.
+   * @returns {Promise<boolean>} - True when every consumer drained before the timeout.
+   */
+  async drainConsumers(timeoutMs) {
+    const results = await Promise.all(
+      [...this.consumers].map((consumer) => consumer.drain(timeoutMs))
+    );
+    return results.every(Boolean);
+  }
+
+  /**
+   * handleUnexpectedClose
+   *
+   * Starts recovery unless the close was requested through close() or recovery is already running.
+   *
+   * @returns {void}
+   */
+  handleUnexpectedClose() {
+    if (this.closing || this.recovering) {
+      return;
+    }
+
+    this.recovering = this.reconnect()
+      .catch((err) => {
+        log.error(`[RabbitMQ] Recovery failed --> ${err}`);
+        this.emit('failed', err);
+      })
+      .finally(() => {
+        this.recovering = null;
+      });
+  }
+
+  /**
+   * getReconnectDelay
+   *
+   * Calculates the backoff delay of a reconnect attempt using exponential backoff with jitter.
+   *
+   * Formula: delay = min(maxDelayMs, baseDelayMs * 2 ^ (attempt - 1)), randomized within its upper half.
+   *
+   * @param {number} attempt - Reconnect attempt number (starting at 1).
+   * @returns {number} - Delay in milliseconds before the attempt.
+   */
+  getReconnectDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.reconnectOptions;
+    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * reconnect
+   *
+   * Reconnects with exponential backoff and runs the recovery handlers on the new channel.
+   *
+   * When a recovery handler fails, the channel of that attempt is closed before the next attempt, so consumers already
+   * re-registered on it are dropped rather than registered twice.
+   *
+   * @async
+   * @returns {Promise<Object>} - Restored RabbitMQ channel instance.
+   * @throws {Error} - Last connection error once every attempt failed.
+   */
+  async reconnect() {
+    const { maxAttempts } = this.reconnectOptions;
+    let lastError = new Error('RabbitMQ reconnect disabled');
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const delay = this.getReconnectDelay(attempt);
+      log.warning(
+        `[RabbitMQ] Reconnect attempt ${attempt}/${maxAttempts} in ${delay} ms`
+      );
+      this.emit('reconnecting', { attempt, delay });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      if (this.closing) {
+        throw new Error('RabbitMQ connection closed during recovery');
+      }
+
+      let channel = null;
+      try {
+        channel = await this.connect();
+        for (const handler of this.recoveryHandlers) {
+          await handler(channel);
+        }
+
+        log.info(`[RabbitMQ] Recovered after ${attempt} attempt(s)`);
+        this.emit('recovered', { attempt, channel });
+        return channel;
+      } catch (err) {
+        lastError = err;
+        log.error(`[RabbitMQ] Recovery attempt ${attempt} failed --> ${err}`);
+        await this.discardChannel(channel);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * discardChannel
+   *
+   * Closes a channel of a failed recovery attempt. Consumers registered on it are dropped by its close listener.
+   *
+   * @async
+   * @param {Object|null} channel - Channel to close.
+   * @returns {Promise<void>}
+   */
+  async discardChannel(channel) {
+    if (!channel) {
+      return;
+    }
+
+    if (this.channel === channel) {
+      this.channel = null;
+      this.emit('closed');
+    }
+    try {
+      await channel.close();
+    } catch (err) {
+      log.warning(`[RabbitMQ] Failed to close discarded channel --> ${err}`);
+    }
+  }
+
   /**
    * close
    *
    * Gracefully closes the RabbitMQ channel and connection if they exist.
    *
-   * Ensures resources are properly released during application shutdown.
+   * Ensures resources are properly released during application shutdown. No reconnect is attempted afterwards.
    *
    * @async
    * @throws {Error} - If an error occurs while closing the connection.
    */
   async close() {
+    this.closing = true;
     try {
-      await this.channel?.close();
+      const channel = this.channel;
+      this.channel = null;
+      await channel?.close();
       await this.connection?.close();
+      this.connection = null;
+      this.consumers.clear();
+      this.emit('closed');
       log.info('[RabbitMQ] Connection closed cleanly');
     } catch (err) {
       log.error(`[RabbitMQ] Error during shutdown --> ${err}`);
@@ -1,6 +1,7 @@
 'use strict';
 
 import { logger } from '../../utils/index.js';
+import { queueRegistry } from '../config/index.js';
 
 const log = logger('queue-topology');
 
@@ -14,7 +15,7 @@ const log = logger('queue-topology');
  * @function assertTopology
  *
  * @param {Object} channel - An active RabbitMQ channel instance used to perform topology assertions.
- * @param {Object} config - Configuration object defining the messaging topology.
+ * @param {string|Object} config - Queue key resolved through the queue registry, or a configuration object defining the messaging topology.
  * @param {string} config.exchange - Name of the exchange to assert.
  * @param {string} config.type - Type of the exchange (e.g., 'direct', 'topic', 'fanout').
  * @param {string} config.queue - Name of the primary queue to assert.
@@ -23,11 +24,12 @@ const log = logger('queue-topology');
  *
  * @returns {Promise<void>} - Asserts exchange and queues, applies bindings, and logs each setup step.
  *
- * @throws {Error} - Thrown if exchange/queue assertion or queue binding fails.
+ * @throws {Error} - Thrown if the queue key is unknown, or exchange/queue assertion or queue binding fails.
  */
 
 const assertTopology = async (channel, config) => {
-  const { queue, exchange, type, routingKey, dlq } = config;
+  const { queue, exchange, type, routingKey, dlq } =
+    typeof config === 'string' ? queueRegistry.resolve(config) : config;
 
   log.info('Set Exchange initiated');
   await channel.assertExchange(exchange, type, { durable: true });
@@ -1,6 +1,7 @@
 'use strict';
 
 import { logger } from '../../../utils/index.js';
+import { queueMessagesConsumed } from '../../../metrics/index.js';
 
 const log = logger('Consumer');
 
@@ -14,7 +15,8 @@ const log = logger('Consumer');
  * - Listen for channel-level errors and closures
  * - Consume messages from a queue
  * - Safely parse and process messages
- * - Acknowledge or reject messages based on processing outcome
+ * - Acknowledge or reject messages based on processing outcome, skipping deliveries whose channel has closed
+ * - Cancel consumption and wait for in-flight messages to settle
  */
 
 class BaseConsumer {
@@ -28,6 +30,10 @@ class BaseConsumer {
   constructor(channel, options = {}) {
     this.channel = channel;
     this.prefetch = options.prefetch ?? 5;
+    this.consumerTag = null;
+    this.queueName = null;
+    this.inFlight = new Set();
+    this.channelClosed = false;
 
     this.channel.prefetch(this.prefetch);
 
@@ -35,6 +41,7 @@ class BaseConsumer {
       log.error(`[RabbitMQ] Channel error, ${err}`);
     });
     this.channel.on('close', () => {
+      this.channelClosed = true;
       log.warning('[RabbitMQ] Channel closed');
     });
   }
@@ -52,21 +59,122 @@ class BaseConsumer {
    * @param {Function} onMessage - Async callback function invoked for each message.
    * @param {Object} onMessage.content - Parsed JSON content of the message.
    * @param {Object} onMessage.headers - Message headers provided by RabbitMQ.
+   * @param {Object} onMessage.properties - Message properties provided by RabbitMQ (replyTo, correlationId, ...).
    * @returns {Promise<void>} - Resolves once the consumer is successfully registered.
    */
   async consume(queueName, onMessage) {
-    await this.channel.consume(queueName, async (msg) => {
+    this.queueName = queueName;
+    const { consumerTag } = await this.channel.consume(queueName, (msg) => {
       if (!msg) return;
 
-      try {
-        const content = JSON.parse(msg.content.toString());
-        await onMessage(content, msg.properties.headers);
+      const processing = this.process(msg, onMessage).finally(() => {
+        this.inFlight.delete(processing);
+      });
+      this.inFlight.add(processing);
+      return processing;
+    });
+    this.consumerTag = consumerTag;
+  }
+
+  /**
+   * process
+   *
+   * Parses a single message, invokes the handler, and acknowledges or rejects the message.
+   *
+   * @param {Object} msg - Raw RabbitMQ message.
+   * @param {Function} onMessage - Async callback function invoked for the message.
+   * @returns {Promise<void>} - Resolves once the message has been acknowledged or rejected; never rejects.
+   */
+  async process(msg, onMessage) {
+    try {
+      const content = JSON.parse(msg.content.toString());
+      await onMessage(content, msg.properties.headers, msg.properties);
+    } catch (err) {
+      log.error(`[RabbitMQ] Processing failed, ${err}`);
+      this.settle(msg, 'nack');
+      return;
+    }
+    this.settle(msg, 'ack');
+  }
+
+  /**
+   * settle
+   *
+   * Acknowledges or rejects (without requeue, so it goes to the DLQ) a delivered message.
+   *
+   * Delivery tags belong to the channel the message arrived on. Once that channel closed (e.g., the connection dropped while the
+   * handler ran) the message cannot be settled anymore and the broker redelivers it, so settling is skipped. A failing ack or nack
+   * is logged instead of thrown, so a broker outage never surfaces as an unhandled rejection.
+   *
+   * @param {Object} msg - Raw RabbitMQ message.
+   * @param {'ack' | 'nack'} outcome - Settlement to apply.
+   * @returns {void}
+   */
+  settle(msg, outcome) {
+    if (this.channelClosed) {
+      log.warning(
+        `[RabbitMQ] Channel closed before ${outcome} of delivery ${msg.fields?.deliveryTag}, the broker redelivers it`
+      );
+      return;
+    }
+
+    try {
+      if (outcome === 'ack') {
         this.channel.ack(msg);
-      } catch (err) {
-        log.error(`[RabbitMQ] Processing failed, ${err}`);
+      } else {
         this.channel.nack(msg, false, false); // DLQ
       }
+      queueMessagesConsumed.inc({ queue: this.queueName, outcome });
+    } catch (err) {
+      log.error(`[RabbitMQ] Failed to ${outcome} message, ${err}`);
+    }
+  }
+
+  /**
+   * cancel
+   *
+   * Stops the delivery of new messages. Messages already delivered keep processing.
+   *
+   * @returns {Promise<void>} - Resolves once the broker confirmed the cancellation.
+   */
+  async cancel() {
+    if (!this.consumerTag) {
+      return;
+    }
+
+    const consumerTag = this.consumerTag;
+    this.consumerTag = null;
+    await this.channel.cancel(consumerTag);
+  }
+
+  /**
+   * drain
+   *
+   * Waits until every in-flight message has been acknowledged or rejected, or the timeout elapsed.
+   *
+   * @param {number} timeoutMs - Maximum time to wait in milliseconds.
+   * @returns {Promise<boolean>} - True when no message is in flight anymore; false on timeout.
+   */
+  async drain(timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
     });
+
+    try {
+      while (this.inFlight.size > 0) {
+        const settled = await Promise.race([
+          Promise.allSettled([...this.inFlight]).then(() => true),
+          timeout,
+        ]);
+        if (!settled) {
+          return false;
+        }
+      }
+      return true;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 }
 
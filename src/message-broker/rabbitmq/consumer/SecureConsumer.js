@@ -1,7 +1,9 @@
 'use strict';
 
-import { createHmac } from 'crypto';
 import { BaseConsumer } from './index.js';
+import { parseRetryHeaders } from '../retryHeaders.js';
+import { verifyMessage } from '../messageSignature.js';
+import { getTracer, SPAN_KIND } from '../../../tracing/index.js';
 
 /**
  * SecureConsumer
@@ -13,6 +15,8 @@ import { BaseConsumer } from './index.js';
  * - Verify message integrity using a shared secret
  * - Reject messages with invalid or missing signatures
  * - Forward only verified messages to the handler
+ * - Restore retry metadata carried in the message headers
+ * - Continue the trace of the publisher (`traceparent` header) in a consumer span
  */
 
 class SecureConsumer extends BaseConsumer {
@@ -42,11 +46,7 @@ class SecureConsumer extends BaseConsumer {
    * @returns {boolean} - Returns true if the message signature is valid; otherwise, false.
    */
   verifySignature(message, headers) {
-    const expected = createHmac('sha256', this.secret)
-      .update(JSON.stringify(message))
-      .digest('hex');
-
-    return headers?.['x-message-signature'] === expected;
+    return verifyMessage(message, headers, this.secret);
   }
 
   /**
@@ -58,6 +58,7 @@ class SecureConsumer extends BaseConsumer {
    * - Validates the message signature before processing
    * - Rejects messages with invalid signatures
    * - Passes only verified and normalized data to the provided handler
+   * - Runs the handler inside a consumer span that is a child of the publishing span
    *
    * @param {string} queueName -  Name of the RabbitMQ queue to consume from.
    * @param {Function} handler - Async function invoked for each verified message.
@@ -66,20 +67,44 @@ class SecureConsumer extends BaseConsumer {
    * @param {Object} handler.data.payload - Task-specific payload.
    * @param {Object} handler.data.context - Execution context metadata.
    * @param {string} handler.data.createdAt - Message creation timestamp.
+   * @param {Object|null} handler.data.retry - Retry metadata restored from the message headers; null on the first attempt.
+   * @param {Object|null} handler.data.rpc - Reply address (replyTo, correlationId) when the message is an RPC request; otherwise null.
    * @returns {Promise<void>} - Resolves once the consumer is successfully registered.
    */
   async consume(queueName, handler) {
-    return super.consume(queueName, async (message, headers) => {
+    return super.consume(queueName, async (message, headers, properties) => {
       if (!this.verifySignature(message, headers)) {
         throw new Error('Invalid message signature');
       }
 
-      await handler({
-        taskId: message.taskId,
-        payload: message.payload,
-        context: message._ctx,
-        createdAt: message.createdAt,
-      });
+      const tracer = getTracer();
+      await tracer.withSpan(
+        `process ${queueName}`,
+        {
+          kind: SPAN_KIND.CONSUMER,
+          parent: tracer.extract(headers),
+          attributes: {
+            'messaging.system': 'rabbitmq',
+            'messaging.destination.name': queueName,
+            'messaging.message.id': message.taskId,
+            'correlation.id': headers?.['x-correlation-id'],
+          },
+        },
+        () =>
+          handler({
+            taskId: message.taskId,
+            payload: message.payload,
+            context: message._ctx,
+            createdAt: message.createdAt,
+            retry: parseRetryHeaders(headers),
+            rpc: properties?.replyTo
+              ? {
+                  replyTo: properties.replyTo,
+                  correlationId: properties.correlationId,
+                }
+              : null,
+          })
+      );
     });
   }
 }
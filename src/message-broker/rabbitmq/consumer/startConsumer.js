@@ -2,7 +2,7 @@
 
 import RabbitMQConnection from '../RabbitMQConnection.js';
 import { SecureConsumer } from './index.js';
-import { QUEUES } from '../../config/queue.config.js';
+import { queueRegistry } from '../../config/index.js';
 import { logger } from '../../../utils/index.js';
 import assertTopology from '../assertTopology.js';
 
@@ -13,33 +13,42 @@ const log = logger('Consumer');
  *
  * @function startConsumer
  *
- * @param {string} queueKey - Key used to resolve queue configuration from the QUEUES map.
+ * @param {string} queueKey - Key used to resolve queue configuration from the queue registry.
  * @param {Function} handler - Message handler function invoked for each consumed message. Receives the message payload and is responsible for processing it.
  * @param {Object} [options={}] - Optional consumer configuration.
  * @param {number} [options.prefetch] - Number of messages to prefetch for the consumer. Defaults to the consumer implementation’s internal setting.
- * @returns {Promise<void>} - Establishes a RabbitMQ connection, starts consuming messages, and logs consumer readiness.
+ * @returns {Promise<RabbitMQConnection>} - Resolves with the consumer connection once consuming started; its lifecycle events report recovery. The consumer is re-registered automatically after a connection recovery and can be cancelled and drained through the connection.
  * @throws {Error} - Thrown when the queue configuration cannot be resolved or when the consumer fails to initialize.
  */
 
 const startConsumer = async (queueKey, handler, options = {}) => {
-  const queueConfig = QUEUES[queueKey];
-  if (!queueConfig) {
-    throw new Error(`Queue config not found for ${queueKey}`);
-  }
+  const queueConfig = queueRegistry.resolve(queueKey);
 
   const rmq = new RabbitMQConnection();
-  const channel = await rmq.connect();
 
-  await assertTopology(channel, queueConfig);
+  const register = async (channel) => {
+    await assertTopology(channel, queueConfig);
 
-  const consumer = new SecureConsumer(channel, {
-    prefetch: options.prefetch,
+    const consumer = new SecureConsumer(channel, {
+      prefetch: options.prefetch,
+    });
+    await consumer.consume(queueConfig.queue, handler);
+    rmq.addConsumer(consumer);
+  };
+
+  await register(await rmq.connect());
+
+  // Re-assert topology and re-register the consumer whenever the channel is restored
+  rmq.onRecover(async (channel) => {
+    await register(channel);
+    log.info(`[Consumer] Re-registered for queue ${queueConfig.queue}`);
   });
-  await consumer.consume(queueConfig.queue, handler);
 
   log.info(
     `[Consumer] Started for queue ${queueConfig.queue} with prefetch ${options.prefetch ?? 5}`
   );
+
+  return rmq;
 };
 
 export default startConsumer;
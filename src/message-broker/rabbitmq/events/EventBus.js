@@ -0,0 +1,248 @@
+'use strict';
+
+import Joi from 'joi';
+import RabbitMQConnection from '../RabbitMQConnection.js';
+import assertTopology from '../assertTopology.js';
+import { SecureConsumer } from '../consumer/index.js';
+import { TaskPublisher, getPublisherConnection } from '../publisher/index.js';
+import { RabbitMQConfig } from '../../config/index.js';
+import { logger, RequestContext } from '../../../utils/index.js';
+import { captureTaskContext, restoreTaskContext } from '../taskContext.js';
+
+const log = logger('event-bus');
+
+const eventNameSchema = Joi.string()
+  .pattern(/^[\w-]+(\.[\w-]+)*$/)
+  .required();
+const eventPatternSchema = Joi.string()
+  .pattern(/^([\w-]+|\*|#)(\.([\w-]+|\*|#))*$/)
+  .required();
+
+/**
+ * EventBus
+ *
+ * Domain-event API on top of a durable topic exchange.
+ *
+ * Responsibilities:
+ * - Publish signed events (e.g., `transaction.created`) with correlation and context propagation
+ * - Subscribe with topic patterns (e.g., `transaction.*`), giving each subscribing service its own durable queue and DLQ
+ * - Re-register subscriptions after a connection recovery
+ */
+
+class EventBus {
+  /**
+   * Creates a new EventBus instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.exchange] - Topic exchange name; defaults to RabbitMQConfig.getEventExchange().
+   * @param {string} [options.serviceName=process.env.SERVICE_NAME] - Name used to derive subscriber queue names.
+   */
+  constructor(options = {}) {
+    this.exchange = options.exchange || RabbitMQConfig.getEventExchange();
+    this.serviceName = options.serviceName || process.env.SERVICE_NAME;
+    this.subscriberConnection = null;
+    this.publishChannel = null;
+  }
+
+  /**
+   * publish
+   *
+   * Publishes a domain event to the topic exchange.
+   *
+   * The user ID, locale, correlation ID and session ID of the current request are merged under the given context and travel signed with the event.
+   *
+   * @param {string} eventName - Dot-separated event name used as routing key (e.g., `transaction.created`).
+   * @param {any} payload - Event payload.
+   * @param {Object} [context={}] - Optional contextual metadata.
+   * @returns {Promise<string>} - Resolves with the generated event ID.
+   * @throws {Error} - Thrown when the event name is invalid or publishing fails.
+   */
+  async publish(eventName, payload, context = {}) {
+    const { error } = eventNameSchema.validate(eventName);
+    if (error) {
+      throw new Error(`Publish event validation failed: ${error.message}`);
+    }
+
+    const channel = await getPublisherConnection().connect();
+    if (this.publishChannel !== channel) {
+      await channel.assertExchange(this.exchange, 'topic', { durable: true });
+      this.publishChannel = channel;
+    }
+
+    const publisher = new TaskPublisher(channel, {
+      exchange: this.exchange,
+      routingKey: eventName,
+    });
+    const eventContext = captureTaskContext(context);
+    const correlationId = eventContext.correlationId;
+
+    return publisher.publish(
+      payload,
+      { ...eventContext, event: eventName },
+      {
+        headers: {
+          'x-event-name': eventName,
+          ...(correlationId && { 'x-correlation-id': correlationId }),
+        },
+      }
+    );
+  }
+
+  /**
+   * getSubscriptionTopology
+   *
+   * Derives the durable queue and DLQ of a subscription.
+   *
+   * @param {string} pattern - Topic pattern.
+   * @param {string} [queueName] - Explicit queue name; defaults to `<serviceName>.<pattern>`.
+   * @returns {Object} - Topology configuration for assertTopology.
+   */
+  getSubscriptionTopology(pattern, queueName) {
+    if (!queueName && !this.serviceName) {
+      throw new Error(
+        'Service name not configured. Set SERVICE_NAME to subscribe to events.'
+      );
+    }
+
+    const queue = queueName || `${this.serviceName}.${pattern}`;
+    return {
+      queue,
+      exchange: this.exchange,
+      type: 'topic',
+      routingKey: pattern,
+      dlq: `${queue}.dlq`,
+    };
+  }
+
+  /**
+   * subscribe
+   *
+   * Subscribes a handler to every event matching the topic pattern (`*` matches one word, `#` zero or more words).
+   *
+   * The handler runs inside a fresh RequestContext holding only the publisher's context and the consumer span. A failing handler
+   * rejects the event to the subscription's DLQ.
+   *
+   * @param {string} pattern - Topic pattern (e.g., `transaction.*`).
+   * @param {Function} handler - Async function invoked for each event.
+   * @param {Object} handler.event - Verified event.
+   * @param {string} handler.event.eventId - Unique identifier of the event.
+   * @param {string} handler.event.eventName - Name of the event.
+   * @param {any} handler.event.payload - Event payload.
+   * @param {Object} handler.event.context - Context metadata of the publisher.
+   * @param {string} handler.event.createdAt - Event creation timestamp.
+   * @param {Object} [options={}] - Optional subscription settings.
+   * @param {string} [options.queue] - Explicit queue name.
+   * @param {number} [options.prefetch] - Number of events to prefetch.
+   * @returns {Promise<Object>} - Resolves with the asserted subscription topology.
+   */
+  async subscribe(pattern, handler, options = {}) {
+    const { error } = eventPatternSchema.validate(pattern);
+    if (error) {
+      throw new Error(`Subscribe validation failed: ${error.message}`);
+    }
+
+    const topology = this.getSubscriptionTopology(pattern, options.queue);
+    if (!this.subscriberConnection) {
+      this.subscriberConnection = new RabbitMQConnection();
+    }
+
+    const register = async (channel) => {
+      await assertTopology(channel, topology);
+
+      const consumer = new SecureConsumer(channel, {
+        prefetch: options.prefetch,
+      });
+      this.subscriberConnection.addConsumer(consumer);
+      await consumer.consume(topology.queue, async (data) => {
+        const { event, ...context } = data.context || {};
+        await RequestContext.run(
+          {
+            trace: RequestContext.get()?.trace,
+            ...restoreTaskContext(context),
+          },
+          () =>
+            handler({
+              eventId: data.taskId,
+              eventName: event,
+              payload: data.payload,
+              context,
+              createdAt: data.createdAt,
+            })
+        );
+      });
+    };
+
+    await register(await this.subscriberConnection.connect());
+    this.subscriberConnection.onRecover(register);
+
+    log.info(`Subscribed ${topology.queue} to ${pattern}`);
+    return topology;
+  }
+
+  /**
+   * close
+   *
+   * Cancels the subscriptions, waits for events being handled, and closes the subscriber connection.
+   *
+   * @param {number} [timeoutMs=5000] - Maximum time to wait for in-flight events.
+   * @returns {Promise<void>}
+   */
+  async close(timeoutMs = 5000) {
+    if (!this.subscriberConnection) {
+      return;
+    }
+
+    const connection = this.subscriberConnection;
+    this.subscriberConnection = null;
+    await connection.cancelConsumers();
+    await connection.drainConsumers(timeoutMs);
+    await connection.close();
+  }
+}
+
+/**
+ * eventBus
+ *
+ * Shared EventBus instance used by publishEvent and subscribe.
+ */
+let eventBus = null;
+
+const getEventBus = () => {
+  if (!eventBus) {
+    eventBus = new EventBus();
+  }
+  return eventBus;
+};
+
+/**
+ * publishEvent
+ *
+ * Publishes a domain event on the shared event bus.
+ *
+ * @param {string} eventName - Dot-separated event name (e.g., `transaction.created`).
+ * @param {any} payload - Event payload.
+ * @param {Object} [context={}] - Optional contextual metadata.
+ * @returns {Promise<string>} - Resolves with the generated event ID.
+ */
+
+const publishEvent = async (eventName, payload, context = {}) => {
+  return getEventBus().publish(eventName, payload, context);
+};
+
+/**
+ * subscribe
+ *
+ * Subscribes a handler to domain events matching a topic pattern on the shared event bus.
+ *
+ * @param {string} pattern - Topic pattern (e.g., `transaction.*`).
+ * @param {Function} handler - Async function invoked for each event.
+ * @param {Object} [options={}] - Optional subscription settings (queue, prefetch).
+ * @returns {Promise<Object>} - Resolves with the asserted subscription topology.
+ */
+
+const subscribe = async (pattern, handler, options = {}) => {
+  return getEventBus().subscribe(pattern, handler, options);
+};
+
+export { getEventBus, publishEvent, subscribe };
+export default EventBus;
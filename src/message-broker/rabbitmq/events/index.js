@@ -0,0 +1,5 @@
+'use strict';
+
+import EventBus, { getEventBus, publishEvent, subscribe } from './EventBus.js';
+
+export { EventBus, getEventBus, publishEvent, subscribe };
@@ -1,7 +1,49 @@
 'use strict';
 
-import { publishTask } from './publisher/index.js';
+import {
+  publishTask,
+  deadLetterTask,
+  getPublisherConnection,
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
+} from './publisher/index.js';
 import { startConsumer, SecureConsumer } from './consumer/index.js';
 import RabbitMQConnection from './RabbitMQConnection.js';
+import { captureTaskContext, restoreTaskContext } from './taskContext.js';
+import DeadLetterManager from './DeadLetterManager.js';
+import { RpcClient, rpcCall, sendRpcReply } from './rpc/index.js';
+import {
+  EventBus,
+  getEventBus,
+  publishEvent,
+  subscribe,
+} from './events/index.js';
 
-export { publishTask, startConsumer, SecureConsumer, RabbitMQConnection };
+export {
+  publishTask,
+  deadLetterTask,
+  getPublisherConnection,
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
+  startConsumer,
+  SecureConsumer,
+  RabbitMQConnection,
+  DeadLetterManager,
+  RpcClient,
+  rpcCall,
+  sendRpcReply,
+  EventBus,
+  getEventBus,
+  publishEvent,
+  subscribe,
+  captureTaskContext,
+  restoreTaskContext,
+};
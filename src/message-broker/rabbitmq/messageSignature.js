@@ -0,0 +1,47 @@
+'use strict';
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * signMessage
+ *
+ * Generates the HMAC signature of a message using the shared MESSAGE_SIGNING_SECRET.
+ *
+ * @param {Object} message - Message object to be signed.
+ * @param {string} [secret=process.env.MESSAGE_SIGNING_SECRET] - Shared signing secret.
+ * @returns {string} - Hex-encoded HMAC signature of the message.
+ */
+
+const signMessage = (message, secret = process.env.MESSAGE_SIGNING_SECRET) => {
+  return createHmac('sha256', secret)
+    .update(JSON.stringify(message))
+    .digest('hex');
+};
+
+/**
+ * verifyMessage
+ *
+ * Verifies the signature carried in the `x-message-signature` header against the message content.
+ *
+ * @param {Object} message - Parsed message payload.
+ * @param {Object} headers - Message headers received from RabbitMQ.
+ * @param {string} [secret=process.env.MESSAGE_SIGNING_SECRET] - Shared signing secret.
+ * @returns {boolean} - True if the signature is valid.
+ */
+
+const verifyMessage = (
+  message,
+  headers,
+  secret = process.env.MESSAGE_SIGNING_SECRET
+) => {
+  const received = headers?.['x-message-signature'];
+  if (typeof received !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signMessage(message, secret));
+  const actual = Buffer.from(received);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+export { signMessage, verifyMessage };
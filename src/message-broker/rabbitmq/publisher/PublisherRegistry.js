@@ -1,6 +1,6 @@
 'use strict';
 
-import { QUEUES } from '../../config/index.js';
+import { queueRegistry, RabbitMQConfig } from '../../config/index.js';
 import RabbitMQConnection from '../RabbitMQConnection.js';
 import { BasePublisher, TaskPublisher } from './index.js';
 
@@ -11,9 +11,21 @@ import { BasePublisher, TaskPublisher } from './index.js';
  *
  * Key:   Queue identifier (string)
  * Value: TaskPublisher instance
+ *
+ * The cache is invalidated whenever the channel of the shared RabbitMQ connection closes or is recovered, and per queue key
+ * when its definition changes in the queue registry.
  */
 const registry = new Map();
-const rmqConnection = new RabbitMQConnection();
+const rmqConnection = new RabbitMQConnection({
+  confirm: RabbitMQConfig.isPublishConfirmEnabled(),
+});
+
+// Cached publishers are bound to the lost channel, so drop them as soon as it closes, even when no reconnect follows
+rmqConnection.on('closed', () => registry.clear());
+rmqConnection.onRecover(() => registry.clear());
+
+// A publisher keeps the exchange and routing key of the definition it was built from
+queueRegistry.on('changed', (queueKey) => registry.delete(queueKey));
 
 /**
  * getPublisher
@@ -27,7 +39,7 @@ const rmqConnection = new RabbitMQConnection();
  * - Sets up exchange, queue, and bindings
  * - Creates and caches a TaskPublisher instance
  *
- * @param {string} queueKey - Key used to look up queue configuration from QUEUES.
+ * @param {string} queueKey - Key used to look up queue configuration from the queue registry.
  * @returns {Promise<TaskPublisher>} - Resolves with a TaskPublisher instance for the given queue.
  * @throws {Error} - Thrown when no queue configuration exists for the provided key.
  */
@@ -37,10 +49,7 @@ async function getPublisher(queueKey) {
     return registry.get(queueKey);
   }
 
-  const queueConfig = QUEUES[queueKey];
-  if (!queueConfig) {
-    throw new Error(`Queue config not found for key: ${queueConfig}`);
-  }
+  const queueConfig = queueRegistry.resolve(queueKey);
 
   const channel = await rmqConnection.connect();
 
@@ -53,4 +62,15 @@ async function getPublisher(queueKey) {
   return publisher;
 }
 
+/**
+ * getPublisherConnection
+ *
+ * Returns the RabbitMQ connection shared by every cached publisher, e.g. to subscribe to its lifecycle events.
+ *
+ * @returns {RabbitMQConnection} - Shared publisher connection.
+ */
+
+const getPublisherConnection = () => rmqConnection;
+
+export { getPublisherConnection };
 export default getPublisher;
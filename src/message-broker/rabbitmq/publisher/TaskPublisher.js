@@ -1,6 +1,11 @@
 'use strict';
 
-import { randomUUID, createHmac } from 'crypto';
+import { randomUUID } from 'crypto';
+import { signMessage } from '../messageSignature.js';
+import { buildRetryHeaders } from '../retryHeaders.js';
+import { RequestContext } from '../../../utils/index.js';
+import { queueMessagesPublished } from '../../../metrics/index.js';
+import { getTracer, SPAN_KIND } from '../../../tracing/index.js';
 
 /**
  * TaskPublisher
@@ -11,6 +16,12 @@ import { randomUUID, createHmac } from 'crypto';
  * - Assigned a unique task ID
  * - Signed using an HMAC signature for integrity verification
  * - Published as a persistent JSON message
+ * - Confirmed by the broker when the channel is a confirm channel
+ *
+ * Publishing honours channel backpressure: when the write buffer is full, the next publish waits for the `drain` event.
+ *
+ * Published tasks are counted in `queue_messages_published_total` and traced as producer spans whose context travels in the
+ * `traceparent` header, together with the `x-correlation-id` of the request.
  *
  * This class abstracts message construction and publishing logic for asynchronous task processing.
  */
@@ -23,6 +34,7 @@ class TaskPublisher {
    * @param {Object} queueConfig - Queue configuration object containing exchange and routing details.
    * @param {string} queueConfig.exchange - Name of the exchange to publish messages to.
    * @param {string} [queueConfig.routingKey] - Optional routing key for message delivery.
+   * @param {string} [queueConfig.dlq] - Dead-letter queue receiving tasks that exhausted their retries.
    */
   constructor(channel, queueConfig) {
     this.channel = channel;
@@ -41,9 +53,67 @@ class TaskPublisher {
    * @returns {string} - Hex-encoded HMAC signature of the message.
    */
   signMessage(message) {
-    return createHmac('sha256', this.secret)
-      .update(JSON.stringify(message))
-      .digest('hex');
+    return signMessage(message, this.secret);
+  }
+
+  /**
+   * waitForDrain
+   *
+   * Waits until the channel write buffer has drained.
+   *
+   * @returns {Promise<void>} - Resolves on `drain`; rejects if the channel closes first.
+   */
+  waitForDrain() {
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        this.channel.removeListener('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        this.channel.removeListener('drain', onDrain);
+        reject(new Error('Channel closed while waiting for drain'));
+      };
+      this.channel.once('drain', onDrain);
+      this.channel.once('close', onClose);
+    });
+  }
+
+  /**
+   * send
+   *
+   * Publishes a raw message and waits for backpressure and, on a confirm channel, for the broker acknowledgement.
+   *
+   * @param {string} exchange - Target exchange ('' targets the default exchange).
+   * @param {string} routingKey - Routing key (the queue name on the default exchange).
+   * @param {Buffer} content - Serialized message content.
+   * @param {Object} options - AMQP publish options.
+   * @returns {Promise<void>} - Resolves once the message is accepted (and acknowledged in confirm mode).
+   * @throws {Error} - Thrown when the broker nacks the message or the channel closes.
+   */
+  async send(exchange, routingKey, content, options) {
+    const confirmMode = typeof this.channel.waitForConfirms === 'function';
+    let confirmed = null;
+    let ok;
+
+    if (confirmMode) {
+      confirmed = new Promise((resolve, reject) => {
+        ok = this.channel.publish(
+          exchange,
+          routingKey,
+          content,
+          options,
+          (err) =>
+            err ? reject(new Error('Message nacked by broker')) : resolve()
+        );
+      });
+    } else {
+      ok = this.channel.publish(exchange, routingKey, content, options);
+    }
+
+    if (!ok) {
+      await this.waitForDrain();
+    }
+    await confirmed;
   }
 
   /**
@@ -52,27 +122,109 @@ class TaskPublisher {
    * Creates a task message, signs it, and publishes it to the configured message exchange.
    *
    * The published message includes:
-   * - A unique task identifier
+   * - A unique task identifier (reused when republishing a retry)
    * - Task payload data
    * - Optional contextual metadata
    * - Creation timestamp
    *
+   * Retry metadata, when provided, travels in the message headers so the consumer can restore the attempt count and failure history.
+   *
    * @param {any} data - Payload data to be processed by the consumer.
    * @param {Object} [context={}] - Optional contextual metadata for tracing or debugging.
-   * @returns {Promise<string>} - Resolves with the generated task ID after successful publish.
+   * @param {Object} [options={}] - Optional publish settings.
+   * @param {string} [options.taskId] - Task ID to reuse instead of generating a new one.
+   * @param {Object} [options.retry] - Retry metadata of the task (see buildRetryHeaders).
+   * @param {Object} [options.headers] - Additional message headers.
+   * @param {Object} [options.properties] - Additional AMQP properties (e.g., replyTo, correlationId, expiration).
+   * @returns {Promise<string>} - Resolves with the task ID after successful publish (broker acknowledged in confirm mode).
    */
-  async publish(data, context = {}) {
+  async publish(data, context = {}, options = {}) {
     const message = {
-      taskId: randomUUID(),
+      taskId: options.taskId || randomUUID(),
       payload: data,
       _ctx: context,
       createdAt: new Date().toISOString(),
     };
     const signature = this.signMessage(message);
+    const labels = {
+      exchange: this.queueConfig.exchange,
+      routing_key: this.queueConfig.routingKey || '',
+    };
+    const correlationId =
+      context.correlationId || RequestContext.get()?.correlationId;
+    const tracer = getTracer();
+    const span = tracer.startSpan(
+      `publish ${this.queueConfig.routingKey || this.queueConfig.exchange}`,
+      {
+        kind: SPAN_KIND.PRODUCER,
+        attributes: {
+          'messaging.system': 'rabbitmq',
+          'messaging.destination.name': this.queueConfig.exchange,
+          'messaging.rabbitmq.destination.routing_key': labels.routing_key,
+          'messaging.message.id': message.taskId,
+          'correlation.id': correlationId,
+        },
+      }
+    );
+
+    try {
+      await this.send(
+        this.queueConfig.exchange,
+        this.queueConfig.routingKey || '',
+        Buffer.from(JSON.stringify(message)),
+        {
+          persistent: true,
+          contentType: 'application/json',
+          ...options.properties,
+          headers: tracer.inject(
+            {
+              ...(correlationId && { 'x-correlation-id': correlationId }),
+              ...options.headers,
+              'x-message-signature': signature,
+              'x-producer': process.env.SERVICE_NAME,
+              ...buildRetryHeaders(options.retry),
+            },
+            span.context()
+          ),
+        }
+      );
+    } catch (err) {
+      queueMessagesPublished.inc({ ...labels, status: 'failure' });
+      span.recordException(err);
+      throw err;
+    } finally {
+      span.end();
+    }
+    queueMessagesPublished.inc({ ...labels, status: 'success' });
+
+    return message.taskId;
+  }
+
+  /**
+   * deadLetter
+   *
+   * Sends a task that exhausted its retries directly to the configured dead-letter queue together with its full failure history.
+   *
+   * @param {Object} task - Task as received by the consumer.
+   * @param {string} task.taskId - Unique identifier for the task.
+   * @param {any} task.payload - Task payload.
+   * @param {Object} [task.context={}] - Task context metadata.
+   * @param {string} [task.createdAt] - Original creation timestamp.
+   * @param {Object} task.retry - Retry metadata including the failure history.
+   * @returns {Promise<string>} - Resolves with the task ID once sent to the DLQ.
+   */
+  async deadLetter(task) {
+    const message = {
+      taskId: task.taskId,
+      payload: task.payload,
+      _ctx: task.context || {},
+      createdAt: task.createdAt || new Date().toISOString(),
+    };
+    const signature = this.signMessage(message);
 
-    this.channel.publish(
-      this.queueConfig.exchange,
-      this.queueConfig.routingKey || '',
+    await this.send(
+      '',
+      this.queueConfig.dlq,
       Buffer.from(JSON.stringify(message)),
       {
         persistent: true,
@@ -80,6 +232,8 @@ class TaskPublisher {
         headers: {
           'x-message-signature': signature,
           'x-producer': process.env.SERVICE_NAME,
+          'x-dead-letter-reason': 'max-retries-exceeded',
+          ...buildRetryHeaders(task.retry),
         },
       }
     );
@@ -0,0 +1,20 @@
+'use strict';
+
+import { getPublisher } from './index.js';
+
+/**
+ * deadLetterTask
+ *
+ * Moves a task that exhausted its retries to the dead-letter queue of the given queue key.
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {Object} task - Task as received by the consumer, including its retry metadata.
+ * @returns {Promise<string>} - Resolves with the task ID once sent to the DLQ.
+ */
+
+const deadLetterTask = async (queueKey, task) => {
+  const publisher = await getPublisher(queueKey);
+  return publisher.deadLetter(task);
+};
+
+export default deadLetterTask;
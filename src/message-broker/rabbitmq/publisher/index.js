@@ -2,7 +2,31 @@
 
 import BasePublisher from './BasePublisher.js';
 import TaskPublisher from './TaskPublisher.js';
-import getPublisher from './PublisherRegistry.js';
+import getPublisher, { getPublisherConnection } from './PublisherRegistry.js';
 import publishTask from './publishTask.js';
+import deadLetterTask from './deadLetterTask.js';
+import {
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  scheduleTask,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
+} from './scheduledTasks.js';
 
-export { BasePublisher, TaskPublisher, getPublisher, publishTask };
+export {
+  BasePublisher,
+  TaskPublisher,
+  getPublisher,
+  getPublisherConnection,
+  publishTask,
+  deadLetterTask,
+  getTaskScheduler,
+  closeTaskScheduler,
+  startSchedulePoller,
+  scheduleTask,
+  publishDueTasks,
+  cancelScheduledTask,
+  listScheduledTasks,
+};
@@ -1,7 +1,8 @@
 'use strict';
 
 import Joi from 'joi';
-import { getPublisher } from './index.js';
+import { getPublisher, scheduleTask } from './index.js';
+import { captureTaskContext } from '../taskContext.js';
 
 /**
  * validateArgs
@@ -11,24 +12,34 @@ import { getPublisher } from './index.js';
  * Ensures:
  * - A valid queue key is provided
  * - A payload exists for the task
+ * - At most one of `delayMs` and `runAt` is provided
  *
  * Throws an error when validation fails to prevent publishing invalid messages.
  *
  * @param {string} queueKey - Identifier used to select the target queue configuration.
  * @param {any} payload - Task payload data to be published.
+ * @param {Object} [options={}] - Publish options.
+ * @returns {Object} - Validated publish options.
  * @throws {Error} - Thrown when argument validation fails.
  */
 
-function validateArgs(queueKey, payload) {
+function validateArgs(queueKey, payload, options = {}) {
   const schema = Joi.object({
     queueKey: Joi.string().required(),
     payload: Joi.any().required(),
+    options: Joi.object({
+      delayMs: Joi.number().integer().min(0),
+      runAt: Joi.date(),
+    })
+      .oxor('delayMs', 'runAt')
+      .unknown(true),
   });
 
-  const { error } = schema.validate({ queueKey, payload });
+  const { error, value } = schema.validate({ queueKey, payload, options });
   if (error) {
     throw new Error(`Publish validation failed: ${error.message}`);
   }
+  return value.options;
 }
 
 /**
@@ -39,21 +50,40 @@ function validateArgs(queueKey, payload) {
  * This function:
  * - Validates input arguments
  * - Retrieves or creates a publisher instance
+ * - Captures the user ID, locale, correlation ID and session ID of the current request into the task context
  * - Publishes the task with optional context metadata
+ * - Defers the task to the Redis scheduler when `delayMs` or a future `runAt` is given
+ *
+ * Deferred tasks are published by a schedule poller of the queue: the one of a running Worker of that queue, or a standalone
+ * poller started with startSchedulePoller. Without a poller they stay in Redis and are never delivered.
  *
  * Acts as the primary public API for task publishing.
  *
  * @param {string} queueKey - Key used to resolve the queue configuration.
  * @param {any} payload - Data payload to be processed by the consumer.
- * @param {Object} [context={}] - Optional contextual metadata for tracing or debugging.
- * @returns {Promise<string>} - Resolves with the generated task ID after publishing.
+ * @param {Object} [context={}] - Optional contextual metadata (e.g., `action`); takes precedence over the captured request context.
+ * @param {Object} [options={}] - Optional publish settings forwarded to the publisher.
+ * @param {string} [options.taskId] - Task ID to reuse (e.g., when republishing a retry).
+ * @param {Object} [options.retry] - Retry metadata carried in the message headers.
+ * @param {number} [options.delayMs] - Publish the task after this delay in milliseconds.
+ * @param {Date|string|number} [options.runAt] - Publish the task at this time (include the offset for user-local times).
+ * @returns {Promise<string>} - Resolves with the task ID after publishing (or scheduling; usable with cancelScheduledTask).
  */
 
-const publishTask = async (queueKey, payload, context = {}) => {
-  validateArgs(queueKey, payload);
+const publishTask = async (queueKey, payload, context = {}, options = {}) => {
+  options = validateArgs(queueKey, payload, options);
+  context = captureTaskContext(context);
+
+  const runAt =
+    options.delayMs !== undefined
+      ? Date.now() + options.delayMs
+      : options.runAt?.getTime();
+  if (runAt > Date.now()) {
+    return scheduleTask(queueKey, payload, context, runAt);
+  }
 
   const publisher = await getPublisher(queueKey);
-  return publisher.publish(payload, context);
+  return publisher.publish(payload, context, options);
 };
 
 export default publishTask;
@@ -0,0 +1,213 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+import publishTask from './publishTask.js';
+import { RedisConnection, TaskScheduler } from '../../redis/index.js';
+import { queueRegistry } from '../../config/index.js';
+import { logger } from '../../../utils/index.js';
+
+const log = logger('Task Scheduler');
+
+/**
+ * scheduler
+ *
+ * Shared TaskScheduler instance, created on first use so services that never schedule tasks need no Redis configuration.
+ */
+let scheduler = null;
+let schedulerConnection = null;
+
+/**
+ * schedulePollers
+ *
+ * Timers of the standalone schedule pollers, stopped when the shared TaskScheduler is closed.
+ */
+const schedulePollers = new Set();
+
+/**
+ * getTaskScheduler
+ *
+ * Returns the shared TaskScheduler, connecting to Redis on first use.
+ *
+ * @returns {TaskScheduler} - Shared task scheduler.
+ * @throws {Error} - Thrown when the Redis configuration is missing.
+ */
+
+const getTaskScheduler = () => {
+  if (!scheduler) {
+    schedulerConnection = new RedisConnection();
+    scheduler = new TaskScheduler(schedulerConnection.connect());
+  }
+  return scheduler;
+};
+
+/**
+ * closeTaskScheduler
+ *
+ * Stops the standalone schedule pollers and closes the Redis connection of the shared TaskScheduler, if one was created.
+ *
+ * @returns {Promise<void>}
+ */
+
+const closeTaskScheduler = async () => {
+  for (const poller of schedulePollers) {
+    clearInterval(poller);
+  }
+  schedulePollers.clear();
+
+  if (schedulerConnection) {
+    const connection = schedulerConnection;
+    scheduler = null;
+    schedulerConnection = null;
+    await connection.disconnect();
+  }
+};
+
+/**
+ * scheduleTask
+ *
+ * Stores a task in Redis to be published once its run time is reached, by a schedule poller of the queue (see startSchedulePoller).
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {any} payload - Data payload to be processed by the consumer.
+ * @param {Object} [context={}] - Optional contextual metadata.
+ * @param {number} runAt - Run time as a timestamp in milliseconds.
+ * @returns {Promise<string>} - Resolves with the task ID the message will be published with.
+ */
+
+const scheduleTask = async (queueKey, payload, context = {}, runAt) => {
+  queueRegistry.resolve(queueKey);
+
+  return getTaskScheduler().schedule(queueKey, {
+    taskId: randomUUID(),
+    payload,
+    context,
+    runAt,
+  });
+};
+
+/**
+ * cancelScheduledTask
+ *
+ * Cancels a delayed or scheduled task that has not been published yet.
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {string} taskId - Task ID returned by publishTask.
+ * @returns {Promise<boolean>} - True if the task was pending and is now cancelled.
+ */
+
+const cancelScheduledTask = async (queueKey, taskId) => {
+  return getTaskScheduler().cancel(queueKey, taskId);
+};
+
+/**
+ * listScheduledTasks
+ *
+ * Lists delayed or scheduled tasks of a queue that are waiting to be published, ordered by run time.
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {Object} [options={}] - Optional paging settings (offset, limit).
+ * @returns {Promise<Object[]>} - Pending scheduled tasks.
+ */
+
+const listScheduledTasks = async (queueKey, options = {}) => {
+  return getTaskScheduler().listPending(queueKey, options);
+};
+
+/**
+ * publishDueTasks
+ *
+ * Claims the delayed and scheduled tasks of a queue whose run time is reached and publishes them with their original task ID.
+ *
+ * A claimed task is only removed from Redis once publishTask resolved, i.e. once the broker acknowledged it when publisher confirms
+ * are enabled. A task whose publish failed is released and due again one second later; one whose release failed too, or whose
+ * poller crashed, is due again once its lease expired.
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {TaskScheduler} [taskScheduler] - Scheduler holding the tasks (defaults to the shared TaskScheduler).
+ * @returns {Promise<number>} - Number of tasks published.
+ * @throws {Error} - Thrown when the due tasks could not be claimed.
+ */
+
+const publishDueTasks = async (
+  queueKey,
+  taskScheduler = getTaskScheduler()
+) => {
+  const dueTasks = await taskScheduler.claimDue(queueKey);
+  let published = 0;
+
+  for (const task of dueTasks) {
+    log.info(`Scheduled task ${task.taskId} publish initiated`);
+    try {
+      await publishTask(queueKey, task.payload, task.context, {
+        taskId: task.taskId,
+      });
+    } catch (err) {
+      log.error(`Scheduled publish failed for ${task.taskId}: ${err.message}`);
+      await taskScheduler
+        .release(queueKey, task.taskId, Date.now() + 1000)
+        .catch((releaseErr) =>
+          log.error(
+            `Scheduled task release failed for ${task.taskId}, it is due again once its lease expired: ${releaseErr.message}`
+          )
+        );
+      continue;
+    }
+
+    published++;
+    await taskScheduler
+      .acknowledge(queueKey, task.taskId)
+      .catch((ackErr) =>
+        log.error(
+          `Scheduled task acknowledge failed for ${task.taskId}, it may be published again once its lease expired: ${ackErr.message}`
+        )
+      );
+  }
+  return published;
+};
+
+/**
+ * startSchedulePoller
+ *
+ * Standalone runner that publishes the delayed and scheduled tasks of the given queues once they are due.
+ *
+ * A Worker publishes the scheduled tasks of its own queue. Services that schedule tasks onto a queue whose worker does not run
+ * this library's Worker (or any queue that must not depend on a worker being up) start this runner instead; without either,
+ * scheduled tasks are never published. Running several pollers for the same queue is safe, as due tasks are claimed atomically.
+ *
+ * @param {string|string[]} queueKeys - Keys of the queues to poll.
+ * @param {Object} [options={}] - Optional poller settings.
+ * @param {number} [options.intervalMs=1000] - Polling interval in milliseconds.
+ * @returns {Function} - Stops the poller.
+ */
+
+const startSchedulePoller = (queueKeys, options = {}) => {
+  const keys = [].concat(queueKeys);
+  keys.forEach((queueKey) => queueRegistry.resolve(queueKey));
+
+  const poller = setInterval(async () => {
+    for (const queueKey of keys) {
+      try {
+        await publishDueTasks(queueKey);
+      } catch (err) {
+        log.error(`Schedule Poller Error for ${queueKey}: ${err.message}`);
+      }
+    }
+  }, options.intervalMs ?? 1000);
+  schedulePollers.add(poller);
+  log.info(`Schedule poller started for ${keys.join(', ')}`);
+
+  return () => {
+    clearInterval(poller);
+    schedulePollers.delete(poller);
+  };
+};
+
+export {
+  getTaskScheduler,
+  closeTaskScheduler,
+  scheduleTask,
+  publishDueTasks,
+  startSchedulePoller,
+  cancelScheduledTask,
+  listScheduledTasks,
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * RETRY_HEADERS
+ *
+ * AMQP header names used to carry retry metadata alongside a task message.
+ */
+const RETRY_HEADERS = {
+  count: 'x-retry-count',
+  originalTaskId: 'x-original-task-id',
+  firstFailedAt: 'x-first-failure-at',
+  lastError: 'x-last-error',
+  history: 'x-failure-history',
+};
+
+/**
+ * buildRetryHeaders
+ *
+ * Serializes retry metadata into AMQP message headers.
+ *
+ * @param {Object} [retry] - Retry metadata of the task.
+ * @param {number} retry.attempt - Number of failed attempts so far.
+ * @param {string} retry.originalTaskId - Task ID of the first attempt.
+ * @param {string} retry.firstFailedAt - ISO timestamp of the first failure.
+ * @param {string} [retry.lastError] - Error message of the latest failure.
+ * @param {Object[]} [retry.history=[]] - Failure record of every attempt.
+ * @returns {Object} - Header map; empty when no retry metadata is provided.
+ */
+
+const buildRetryHeaders = (retry) => {
+  if (!retry) {
+    return {};
+  }
+
+  return {
+    [RETRY_HEADERS.count]: retry.attempt,
+    [RETRY_HEADERS.originalTaskId]: retry.originalTaskId,
+    [RETRY_HEADERS.firstFailedAt]: retry.firstFailedAt,
+    [RETRY_HEADERS.lastError]: retry.lastError || '',
+    [RETRY_HEADERS.history]: JSON.stringify(retry.history || []),
+  };
+};
+
+/**
+ * parseRetryHeaders
+ *
+ * Restores retry metadata from AMQP message headers.
+ *
+ * @param {Object} [headers={}] - Message headers received from RabbitMQ.
+ * @returns {Object|null} - Retry metadata, or null when the message is a first attempt.
+ */
+
+const parseRetryHeaders = (headers = {}) => {
+  if (headers?.[RETRY_HEADERS.count] === undefined) {
+    return null;
+  }
+
+  let history = [];
+  try {
+    history = JSON.parse(headers[RETRY_HEADERS.history] || '[]');
+  } catch {
+    history = [];
+  }
+
+  return {
+    attempt: Number(headers[RETRY_HEADERS.count]) || 0,
+    originalTaskId: headers[RETRY_HEADERS.originalTaskId],
+    firstFailedAt: headers[RETRY_HEADERS.firstFailedAt],
+    lastError: headers[RETRY_HEADERS.lastError],
+    history,
+  };
+};
+
+export { RETRY_HEADERS, buildRetryHeaders, parseRetryHeaders };
@@ -0,0 +1,224 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+import RabbitMQConnection from '../RabbitMQConnection.js';
+import { BasePublisher, TaskPublisher } from '../publisher/index.js';
+import { verifyMessage } from '../messageSignature.js';
+import { queueRegistry } from '../../config/index.js';
+import { captureTaskContext } from '../taskContext.js';
+import { generalServiceConfig } from '../../../../constants.js';
+import { _Error, logger, RequestContext } from '../../../utils/index.js';
+
+const log = logger('rpc-client');
+
+/**
+ * REPLY_QUEUE
+ *
+ * RabbitMQ direct reply-to pseudo queue. Replies are delivered to the channel that published the request.
+ */
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+
+/**
+ * RpcClient
+ *
+ * Request/reply client over RabbitMQ using `replyTo` (direct reply-to) and `correlationId`.
+ *
+ * Responsibilities:
+ * - Publish signed requests to a registered queue with a reply address
+ * - Propagate the caller's `x-correlation-id`
+ * - Match signed replies to pending calls and enforce call timeouts
+ */
+
+class RpcClient {
+  /**
+   * Creates a new RpcClient instance.
+   *
+   * @param {RabbitMQConnection} [connection] - Connection dedicated to RPC calls; created by default.
+   */
+  constructor(connection = new RabbitMQConnection()) {
+    this.connection = connection;
+    this.pending = new Map();
+    this.replyChannel = null;
+    this.assertedQueues = new Set();
+
+    this.connection.onRecover(async () => {
+      this.assertedQueues.clear();
+      this.failPending(_Error(503, 'RPC connection lost'));
+    });
+  }
+
+  /**
+   * getChannel
+   *
+   * Returns the RPC channel, subscribing to the reply queue the first time a channel is used.
+   *
+   * @returns {Promise<Object>} - Channel used for publishing requests and receiving replies.
+   */
+  async getChannel() {
+    const channel = await this.connection.connect();
+    if (this.replyChannel !== channel) {
+      await channel.consume(REPLY_QUEUE, (msg) => this.handleReply(msg), {
+        noAck: true,
+      });
+      this.replyChannel = channel;
+    }
+    return channel;
+  }
+
+  /**
+   * handleReply
+   *
+   * Verifies a reply and settles the matching pending call.
+   *
+   * @param {Object} msg - Raw reply message.
+   * @returns {void}
+   */
+  handleReply(msg) {
+    if (!msg) return;
+
+    const correlationId = msg.properties.correlationId;
+    const call = this.pending.get(correlationId);
+    if (!call) {
+      log.warning(`Discarding reply for unknown call ${correlationId}`);
+      return;
+    }
+
+    let reply;
+    try {
+      reply = JSON.parse(msg.content.toString());
+    } catch (err) {
+      call.reject(_Error(502, 'Malformed RPC reply', err));
+      return;
+    }
+
+    if (
+      reply.correlationId !== correlationId ||
+      !verifyMessage(reply, msg.properties.headers)
+    ) {
+      call.reject(_Error(502, 'Invalid RPC reply signature'));
+      return;
+    }
+
+    if (reply.error) {
+      call.reject(
+        _Error(
+          reply.error.status || 500,
+          reply.error.message,
+          reply.error.errors || []
+        )
+      );
+    } else {
+      call.resolve(reply.result);
+    }
+  }
+
+  /**
+   * failPending
+   *
+   * Rejects every pending call, e.g. after the reply channel was lost.
+   *
+   * @param {Error} error - Rejection reason.
+   * @returns {void}
+   */
+  failPending(error) {
+    for (const call of this.pending.values()) {
+      call.reject(error);
+    }
+  }
+
+  /**
+   * call
+   *
+   * Publishes a request and waits for its reply.
+   *
+   * @param {string} queueKey - Key used to resolve the queue configuration.
+   * @param {any} payload - Request payload.
+   * @param {Object} [options={}] - Optional call settings.
+   * @param {number} [options.timeoutMs=generalServiceConfig.timeout] - Maximum time to wait for the reply.
+   * @param {Object} [options.context={}] - Contextual metadata (e.g., `action` used for handler routing).
+   * @param {string} [options.correlationId] - Correlation ID to propagate; defaults to the request context's ID.
+   * @returns {Promise<any>} - Resolves with the handler's return value.
+   * @throws {Error} - 504 on timeout, or the remote error status and message.
+   */
+  async call(queueKey, payload, options = {}) {
+    const queueConfig = queueRegistry.resolve(queueKey);
+    const timeoutMs = options.timeoutMs ?? generalServiceConfig.timeout;
+    const correlationId =
+      options.correlationId ||
+      RequestContext.get()?.correlationId ||
+      randomUUID();
+    const callId = randomUUID();
+
+    const channel = await this.getChannel();
+    if (!this.assertedQueues.has(queueKey)) {
+      await new BasePublisher(channel).setupTopology(queueConfig);
+      this.assertedQueues.add(queueKey);
+    }
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(callId);
+        reject(_Error(504, `RPC call to ${queueKey} timed out`));
+      }, timeoutMs);
+
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        this.pending.delete(callId);
+        fn(value);
+      };
+      this.pending.set(callId, {
+        resolve: settle(resolve),
+        reject: settle(reject),
+      });
+    });
+
+    try {
+      await new TaskPublisher(channel, queueConfig).publish(
+        payload,
+        captureTaskContext(options.context),
+        {
+          taskId: callId,
+          headers: { 'x-correlation-id': correlationId },
+          properties: {
+            replyTo: REPLY_QUEUE,
+            correlationId: callId,
+            expiration: String(timeoutMs),
+            persistent: false,
+          },
+        }
+      );
+    } catch (err) {
+      this.pending.get(callId)?.reject(err);
+    }
+
+    return reply;
+  }
+}
+
+/**
+ * rpcClient
+ *
+ * Shared RpcClient instance, created on first use.
+ */
+let rpcClient = null;
+
+/**
+ * rpcCall
+ *
+ * Sends a request to a worker queue and resolves with the reply of its RPC handler.
+ *
+ * @param {string} queueKey - Key used to resolve the queue configuration.
+ * @param {any} payload - Request payload.
+ * @param {Object} [options={}] - Call settings (timeoutMs, context, correlationId).
+ * @returns {Promise<any>} - Resolves with the handler's return value.
+ */
+
+const rpcCall = async (queueKey, payload, options = {}) => {
+  if (!rpcClient) {
+    rpcClient = new RpcClient();
+  }
+  return rpcClient.call(queueKey, payload, options);
+};
+
+export { rpcCall };
+export default RpcClient;
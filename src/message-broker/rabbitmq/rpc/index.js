@@ -0,0 +1,6 @@
+'use strict';
+
+import RpcClient, { rpcCall } from './RpcClient.js';
+import sendRpcReply from './sendRpcReply.js';
+
+export { RpcClient, rpcCall, sendRpcReply };
@@ -0,0 +1,41 @@
+'use strict';
+
+import { getPublisherConnection } from '../publisher/index.js';
+import { signMessage } from '../messageSignature.js';
+
+/**
+ * sendRpcReply
+ *
+ * Sends the signed reply of an RPC request back to the caller's reply address.
+ *
+ * @param {Object} rpc - Reply address received with the request.
+ * @param {string} rpc.replyTo - Queue the caller listens on.
+ * @param {string} rpc.correlationId - Correlation ID of the call.
+ * @param {Object} outcome - Outcome of the handler.
+ * @param {any} [outcome.result] - Handler return value.
+ * @param {Object} [outcome.error] - Error details when the handler failed.
+ * @param {number} [outcome.error.status] - HTTP-like status code of the error.
+ * @param {string} outcome.error.message - Error message.
+ * @returns {Promise<void>} - Resolves once the reply is published.
+ */
+
+const sendRpcReply = async ({ replyTo, correlationId }, outcome) => {
+  const reply = {
+    correlationId,
+    result: outcome.result ?? null,
+    error: outcome.error || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const channel = await getPublisherConnection().connect();
+  channel.publish('', replyTo, Buffer.from(JSON.stringify(reply)), {
+    correlationId,
+    contentType: 'application/json',
+    headers: {
+      'x-message-signature': signMessage(reply),
+      'x-producer': process.env.SERVICE_NAME,
+    },
+  });
+};
+
+export default sendRpcReply;
@@ -0,0 +1,60 @@
+'use strict';
+
+import { RequestContext } from '../../utils/index.js';
+
+/**
+ * TASK_CONTEXT_FIELDS
+ *
+ * Request context fields captured when a task is published, mapped to the key they use in the task context.
+ * Credentials (access token) and tracing state are never captured; the trace travels in the `traceparent` header.
+ */
+const TASK_CONTEXT_FIELDS = {
+  id: 'userId',
+  locale: 'locale',
+  correlationId: 'correlationId',
+  sessionId: 'sessionId',
+};
+
+/**
+ * captureTaskContext
+ *
+ * Merges the current request context (user ID, locale, correlation ID, session ID) under the context given by the caller.
+ *
+ * @param {Object} [context={}] - Context provided by the caller; its values take precedence.
+ * @returns {Object} - Task context carried by the message.
+ */
+
+const captureTaskContext = (context = {}) => {
+  const requestContext = RequestContext.get() || {};
+  const captured = {};
+
+  for (const [field, key] of Object.entries(TASK_CONTEXT_FIELDS)) {
+    if (requestContext[field] !== undefined && requestContext[field] !== null) {
+      captured[key] = requestContext[field];
+    }
+  }
+  return { ...captured, ...context };
+};
+
+/**
+ * restoreTaskContext
+ *
+ * Rebuilds the request context of the publisher from a task context, so audit columns and translations behave as they did in the
+ * publishing request.
+ *
+ * @param {Object} [context={}] - Task context carried by the message.
+ * @returns {Object} - Request context store (`id`, `locale`, `correlationId`, `sessionId`).
+ */
+
+const restoreTaskContext = (context = {}) => {
+  const restored = {};
+
+  for (const [field, key] of Object.entries(TASK_CONTEXT_FIELDS)) {
+    if (context[key] !== undefined && context[key] !== null) {
+      restored[field] = context[key];
+    }
+  }
+  return restored;
+};
+
+export { captureTaskContext, restoreTaskContext };
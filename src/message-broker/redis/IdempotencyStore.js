@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * IDEMPOTENCY_STATE
+ *
+ * States a task key can be in.
+ */
+const IDEMPOTENCY_STATE = {
+  ACQUIRED: 'acquired',
+  IN_FLIGHT: 'in-flight',
+  PROCESSED: 'processed',
+};
+
+/**
+ * IdempotencyStore
+ *
+ * Records processed and in-flight task keys in Redis so a task delivered more than once is handled a single time.
+ *
+ * Responsibilities:
+ * - Claim a task key before processing, rejecting concurrent duplicates
+ * - Mark a task key as processed for a configurable TTL
+ * - Release a task key after a failure so the task can be retried
+ */
+
+class IdempotencyStore {
+  /**
+   * Creates a new IdempotencyStore instance.
+   *
+   * @param {Object} redisClient - Redis client instance used for storing task keys.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.prefix='idempotency'] - Redis key prefix used to namespace task keys.
+   * @param {number} [options.ttlMs=86400000] - How long (in milliseconds) a processed key is remembered.
+   * @param {number} [options.inFlightTtlMs=300000] - How long (in milliseconds) an in-flight claim is held if never completed.
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || 'idempotency';
+    this.ttlMs = Number(options.ttlMs) || 24 * 60 * 60 * 1000;
+    this.inFlightTtlMs = Number(options.inFlightTtlMs) || 5 * 60 * 1000;
+  }
+
+  /**
+   * getKey
+   *
+   * @param {string} key - Task key (task ID or handler-provided idempotency key).
+   * @returns {string} - Namespaced Redis key.
+   */
+  getKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  /**
+   * acquire
+   *
+   * Claims a task key for processing.
+   *
+   * @param {string} key - Task key.
+   * @returns {Promise<string>} - `acquired` when the caller may process the task, otherwise `in-flight` or `processed`.
+   */
+  async acquire(key) {
+    const redisKey = this.getKey(key);
+    const claimed = await this.redis.set(
+      redisKey,
+      'processing',
+      'PX',
+      this.inFlightTtlMs,
+      'NX'
+    );
+    if (claimed) {
+      return IDEMPOTENCY_STATE.ACQUIRED;
+    }
+
+    const state = await this.redis.get(redisKey);
+    return state === 'processed'
+      ? IDEMPOTENCY_STATE.PROCESSED
+      : IDEMPOTENCY_STATE.IN_FLIGHT;
+  }
+
+  /**
+   * complete
+   *
+   * Marks a task key as processed.
+   *
+   * @param {string} key - Task key.
+   * @returns {Promise<void>}
+   */
+  async complete(key) {
+    await this.redis.set(this.getKey(key), 'processed', 'PX', this.ttlMs);
+  }
+
+  /**
+   * release
+   *
+   * Removes an in-flight claim after a failed attempt so the task can be processed again.
+   *
+   * @param {string} key - Task key.
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    await this.redis.del(this.getKey(key));
+  }
+}
+
+export { IDEMPOTENCY_STATE };
+export default IdempotencyStore;
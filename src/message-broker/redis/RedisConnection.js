@@ -88,11 +88,11 @@ class RedisConnection {
     });
 
     this.client.on('error', (err) => {
-      this.error(`[Redis] Connection error ${err}`);
+      log.error(`[Redis] Connection error ${err}`);
     });
 
     this.client.on('close', () => {
-      this.warning('[Redis] Connection closed');
+      log.warning('[Redis] Connection closed');
     });
 
     return this.client;
@@ -107,8 +107,14 @@ class RedisConnection {
    */
   async disconnect() {
     if (this.client) {
-      await this.client.quit();
+      const client = this.client;
       this.client = null;
+      // A lazy client that never connected has nothing to flush
+      if (client.status === 'wait') {
+        client.disconnect();
+      } else {
+        await client.quit();
+      }
     }
   }
 }
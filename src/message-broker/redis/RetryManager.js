@@ -4,16 +4,45 @@ import { logger } from '../../utils/index.js';
 
 const log = logger('Redis Manager');
 
+/**
+ * CLAIM_DUE_RETRIES_SCRIPT
+ *
+ * Lua script that moves due retries to the processing set in a single atomic step, so concurrent pollers never claim the same entry.
+ *
+ * Entries whose lease expired (the poller holding them crashed before publishing) are made due again first.
+ *
+ * KEYS[1] - Retry sorted set key.
+ * KEYS[2] - Processing sorted set key, scored by lease expiry.
+ * ARGV[1] - Upper score bound (current timestamp in milliseconds).
+ * ARGV[2] - Maximum number of entries to claim.
+ * ARGV[3] - Lease expiry of the claimed entries (timestamp in milliseconds).
+ */
+const CLAIM_DUE_RETRIES_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+for _, entry in ipairs(expired) do
+  redis.call('ZREM', KEYS[2], entry)
+  redis.call('ZADD', KEYS[1], ARGV[1], entry)
+end
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, entry in ipairs(due) do
+  redis.call('ZREM', KEYS[1], entry)
+  redis.call('ZADD', KEYS[2], ARGV[3], entry)
+end
+return due
+`;
+
 /**
  * RetryManager
  *
  * Manages delayed retries for failed tasks using Redis sorted sets and an exponential backoff strategy.
  *
  * Responsibilities:
- * - Track retry attempts per message
+ * - Track retry attempts and failure history per message
  * - Calculate retry delays using exponential backoff
  * - Schedule messages for future retry execution
  * - Fetch retries that are due for processing
+ * - Atomically claim due retries under a lease so each one is republished by a single replica
+ * - Acknowledge republished retries, and make retries claimed by a crashed poller due again once their lease expired
  * - Remove retried or completed messages from storage
  */
 
@@ -26,12 +55,14 @@ class RetryManager {
    * @param {string} [options.prefix='retry'] - Redis key prefix used to namespace retry queues.
    * @param {number} [options.maxRetries=5] - Maximum number of retry attempts per message.
    * @param {number} [options.baseDelayMs=5000] - Base delay (in milliseconds) used to calculate exponential backoff between retries.
+   * @param {number} [options.leaseMs=30000] - How long (in milliseconds) a claimed retry is reserved for its poller before it is due again.
    */
   constructor(redisClient, options = {}) {
     this.redis = redisClient;
     this.prefix = options.prefix || 'retry';
-    this.maxRetries = options.maxRetries || 5;
-    this.baseDelayMs = options.baseDelayMs || 5000;
+    this.maxRetries = Number(options.maxRetries) || 5;
+    this.baseDelayMs = Number(options.baseDelayMs) || 5000;
+    this.leaseMs = Number(options.leaseMs) || 30000;
   }
 
   /**
@@ -46,6 +77,18 @@ class RetryManager {
     return `${this.prefix}:${queueName}`;
   }
 
+  /**
+   * getProcessingKey
+   *
+   * Generates the Redis key of the claimed retries of a queue.
+   *
+   * @param {string} queueName - Name of the queue.
+   * @returns {string} - Namespaced Redis key for claimed retries.
+   */
+  getProcessingKey(queueName) {
+    return `${this.prefix}:${queueName}:processing`;
+  }
+
   /**
    * calculateDelay
    *
@@ -60,39 +103,70 @@ class RetryManager {
     return this.baseDelayMs * Math.pow(2, retryCount);
   }
 
+  /**
+   * recordFailure
+   *
+   * Builds the retry metadata of a message after a failed attempt.
+   *
+   * The attempt count continues from the metadata already carried by the message, so a task keeps its count across republishing.
+   *
+   * @param {Object} message - Task message, optionally carrying previous retry metadata.
+   * @param {Error|string} [error] - Error raised by the failed attempt.
+   * @returns {Object} - Retry metadata (attempt, originalTaskId, firstFailedAt, lastError, history).
+   */
+  recordFailure(message, error) {
+    const previous = message.retry || {};
+    const attempt = (previous.attempt ?? message._retryCount ?? 0) + 1;
+    const failedAt = new Date().toISOString();
+    const lastError = error?.message || (error ? String(error) : undefined);
+
+    return {
+      attempt,
+      originalTaskId: previous.originalTaskId || message.taskId,
+      firstFailedAt: previous.firstFailedAt || failedAt,
+      lastError,
+      history: [
+        ...(previous.history || []),
+        { attempt, error: lastError, failedAt },
+      ],
+    };
+  }
+
   /**
    * scheduleRetry
    *
    * Schedules a message for retry execution at a future time.
    *
    * Behavior:
-   * - Increments the retry count on the message
+   * - Records the failure and increments the retry count on the message
    * - Applies exponential backoff to calculate delay
    * - Stores the message in a Redis sorted set
    * - Stops scheduling if the maximum retry count is exceeded
    *
    * @param {string} queueName - Name of the queue the message belongs to.
    * @param {Object} message - Original message payload.
+   * @param {Error|string} [error] - Error raised by the failed attempt.
    * @returns {Promise<boolean>} - Returns true if the retry was scheduled; false if the maximum retry limit was exceeded.
    */
-  async scheduleRetry(queueName, message) {
-    const retryCount = (message._retryCount || 0) + 1;
+  async scheduleRetry(queueName, message, error) {
+    const retry = this.recordFailure(message, error);
 
-    if (retryCount > this.maxRetries) {
+    if (retry.attempt > this.maxRetries) {
       log.warning(
         `[RetryManager] Max retries exceeded for task ${message.taskId}`
       );
       return false;
     }
 
-    const delay = this.calculateDelay(retryCount);
+    const delay = this.calculateDelay(retry.attempt);
     const runAt = Date.now() + delay;
 
     const retryMessage = {
       ...message,
-      _retryCount: retryCount,
+      retry,
       _nextRetryAt: runAt,
     };
+    delete retryMessage._retryCount;
 
     await this.redis.zadd(
       this.getKey(queueName),
@@ -103,6 +177,26 @@ class RetryManager {
     return true;
   }
 
+  /**
+   * deferRetry
+   *
+   * Stores a message for redelivery after `baseDelayMs` without recording a failed attempt, e.g. while a duplicate of it is still
+   * being processed by another consumer.
+   *
+   * @param {string} queueName - Name of the queue the message belongs to.
+   * @param {Object} message - Original message payload.
+   * @returns {Promise<void>} - Resolves once the message is stored.
+   */
+  async deferRetry(queueName, message) {
+    const runAt = Date.now() + this.baseDelayMs;
+
+    await this.redis.zadd(
+      this.getKey(queueName),
+      runAt,
+      JSON.stringify({ ...message, _nextRetryAt: runAt })
+    );
+  }
+
   /**
    * fetchDueRetries
    *
@@ -124,6 +218,67 @@ class RetryManager {
     );
   }
 
+  /**
+   * claimDueRetries
+   *
+   * Atomically moves messages that are due for retry execution to the processing set, leased for `leaseMs`.
+   *
+   * Unlike fetchDueRetries followed by removeRetry, a claimed message is no longer visible to any other poller,
+   * which makes it safe to run several replicas of the same worker. Every claimed message must be acknowledged once republished
+   * (acknowledgeRetry) or released (releaseRetry); otherwise it is due again when its lease expires, so a crash between claim and
+   * publish delays the retry instead of losing it.
+   *
+   * @param {string} queueName - Name of the retry queue.
+   * @param {number} [limit=10] - Maximum number of messages to claim.
+   * @returns {Promise<string[]>} - Array of serialized messages claimed for retry.
+   */
+  async claimDueRetries(queueName, limit = 10) {
+    const now = Date.now();
+    return this.redis.eval(
+      CLAIM_DUE_RETRIES_SCRIPT,
+      2,
+      this.getKey(queueName),
+      this.getProcessingKey(queueName),
+      now,
+      limit,
+      now + this.leaseMs
+    );
+  }
+
+  /**
+   * acknowledgeRetry
+   *
+   * Removes a claimed message from the processing set once it was republished (or discarded).
+   *
+   * @param {string} queueName - Name of the retry queue.
+   * @param {string} serializeMessage - Serialized message string previously claimed.
+   * @returns {Promise<void>} - Resolves once the claim is cleared.
+   */
+  async acknowledgeRetry(queueName, serializeMessage) {
+    await this.redis.zrem(this.getProcessingKey(queueName), serializeMessage);
+  }
+
+  /**
+   * releaseRetry
+   *
+   * Puts a claimed message back into the retry queue, e.g. when republishing it failed.
+   *
+   * @param {string} queueName - Name of the retry queue.
+   * @param {string} serializeMessage - Serialized message string previously claimed.
+   * @returns {Promise<void>} - Resolves once the message is stored again.
+   */
+  async releaseRetry(queueName, serializeMessage) {
+    await this.redis
+      .multi()
+      .zrem(this.getProcessingKey(queueName), serializeMessage)
+      .zadd(
+        this.getKey(queueName),
+        Date.now() + this.baseDelayMs,
+        serializeMessage
+      )
+      .exec();
+  }
+
   /**
    * removeRetry
    *
@@ -136,6 +291,18 @@ class RetryManager {
   async removeRetry(queueName, serializeMessage) {
     await this.redis.zrem(this.getKey(queueName), serializeMessage);
   }
+
+  /**
+   * getDepth
+   *
+   * Counts the messages waiting in the retry queue, due or not. Claimed messages that were not republished yet are not counted.
+   *
+   * @param {string} queueName - Name of the retry queue.
+   * @returns {Promise<number>} - Number of queued retries.
+   */
+  async getDepth(queueName) {
+    return this.redis.zcard(this.getKey(queueName));
+  }
 }
 
 export default RetryManager;
@@ -0,0 +1,245 @@
+'use strict';
+
+import { logger } from '../../utils/index.js';
+
+const log = logger('Task Scheduler');
+
+/**
+ * CLAIM_DUE_TASKS_SCRIPT
+ *
+ * Lua script that moves due scheduled tasks to the processing set in a single atomic step, so concurrent pollers never claim the
+ * same task. The serialized tasks stay in the hash until the claim is acknowledged.
+ *
+ * Tasks whose lease expired (the poller holding them crashed before publishing) are made due again first. A due ID without a
+ * stored task (cancelled meanwhile) is dropped.
+ *
+ * KEYS[1] - Sorted set of task IDs scored by their run time.
+ * KEYS[2] - Processing sorted set of task IDs, scored by lease expiry.
+ * KEYS[3] - Hash of serialized tasks keyed by task ID.
+ * ARGV[1] - Upper score bound (current timestamp in milliseconds).
+ * ARGV[2] - Maximum number of tasks to claim.
+ * ARGV[3] - Lease expiry of the claimed tasks (timestamp in milliseconds).
+ */
+const CLAIM_DUE_TASKS_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('ZADD', KEYS[1], ARGV[1], id)
+end
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+local tasks = {}
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[1], id)
+  local task = redis.call('HGET', KEYS[3], id)
+  if task then
+    redis.call('ZADD', KEYS[2], ARGV[3], id)
+    table.insert(tasks, task)
+  end
+end
+return tasks
+`;
+
+/**
+ * TaskScheduler
+ *
+ * Stores tasks that must be published later (delayed or scheduled at a given time) using Redis sorted sets.
+ *
+ * Responsibilities:
+ * - Store scheduled tasks per queue, ordered by their run time
+ * - Cancel a scheduled task by task ID
+ * - List pending scheduled tasks
+ * - Atomically claim tasks that are due for publishing under a lease, so each one is published by a single poller
+ * - Acknowledge published tasks, and make tasks claimed by a crashed poller due again once their lease expired
+ */
+
+class TaskScheduler {
+  /**
+   * Creates a new TaskScheduler instance.
+   *
+   * @param {Object} redisClient - Redis client instance used for storing scheduled tasks.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.prefix='scheduled'] - Redis key prefix used to namespace scheduled tasks.
+   * @param {number} [options.leaseMs=30000] - How long (in milliseconds) a claimed task is reserved for its poller before it is due again.
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.prefix = options.prefix || 'scheduled';
+    this.leaseMs = Number(options.leaseMs) || 30000;
+  }
+
+  /**
+   * getKeys
+   *
+   * Generates the Redis keys for a given queue key.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @returns {{ schedule: string, processing: string, tasks: string }} - Sorted set key, processing set key and task hash key.
+   */
+  getKeys(queueKey) {
+    return {
+      schedule: `${this.prefix}:${queueKey}`,
+      processing: `${this.prefix}:${queueKey}:processing`,
+      tasks: `${this.prefix}:${queueKey}:tasks`,
+    };
+  }
+
+  /**
+   * schedule
+   *
+   * Stores a task to be published at the given time.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {Object} task - Task to schedule.
+   * @param {string} task.taskId - Unique identifier for the task.
+   * @param {any} task.payload - Task payload.
+   * @param {Object} [task.context={}] - Task context metadata.
+   * @param {number} task.runAt - Run time as a timestamp in milliseconds.
+   * @returns {Promise<string>} - Resolves with the task ID once stored.
+   */
+  async schedule(queueKey, task) {
+    const { schedule, tasks } = this.getKeys(queueKey);
+    const scheduledTask = {
+      taskId: task.taskId,
+      payload: task.payload,
+      context: task.context || {},
+      runAt: task.runAt,
+      scheduledAt: new Date().toISOString(),
+    };
+
+    await this.redis
+      .multi()
+      .hset(tasks, task.taskId, JSON.stringify(scheduledTask))
+      .zadd(schedule, task.runAt, task.taskId)
+      .exec();
+
+    log.info(
+      `[TaskScheduler] Task ${task.taskId} scheduled for ${new Date(task.runAt).toISOString()}`
+    );
+    return task.taskId;
+  }
+
+  /**
+   * cancel
+   *
+   * Removes a scheduled task before it is published. A task already claimed by a poller is no longer pending, but is dropped as well
+   * so it is not made due again should its publish fail.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {string} taskId - Unique identifier for the task.
+   * @returns {Promise<boolean>} - True if the task was pending and is now cancelled.
+   */
+  async cancel(queueKey, taskId) {
+    const { schedule, processing, tasks } = this.getKeys(queueKey);
+    const [[, removed]] = await this.redis
+      .multi()
+      .zrem(schedule, taskId)
+      .zrem(processing, taskId)
+      .hdel(tasks, taskId)
+      .exec();
+
+    return removed === 1;
+  }
+
+  /**
+   * listPending
+   *
+   * Lists scheduled tasks ordered by their run time.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {Object} [options={}] - Optional paging settings.
+   * @param {number} [options.offset=0] - Number of tasks to skip.
+   * @param {number} [options.limit=50] - Maximum number of tasks to return.
+   * @returns {Promise<Object[]>} - Pending scheduled tasks.
+   */
+  async listPending(queueKey, options = {}) {
+    const { schedule, tasks } = this.getKeys(queueKey);
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? 50;
+
+    const ids = await this.redis.zrange(schedule, offset, offset + limit - 1);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const serializedTasks = await this.redis.hmget(tasks, ...ids);
+    return serializedTasks.filter(Boolean).map((task) => JSON.parse(task));
+  }
+
+  /**
+   * count
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @returns {Promise<number>} - Number of pending scheduled tasks.
+   */
+  async count(queueKey) {
+    return this.redis.zcard(this.getKeys(queueKey).schedule);
+  }
+
+  /**
+   * claimDue
+   *
+   * Atomically moves scheduled tasks whose run time has elapsed to the processing set, leased for `leaseMs`.
+   *
+   * Every claimed task must be acknowledged once published (acknowledge) or released (release); otherwise it is due again when
+   * its lease expires, so a crash between claim and publish delays the task instead of losing it.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {number} [limit=10] - Maximum number of tasks to claim.
+   * @returns {Promise<Object[]>} - Claimed tasks, ready to be published.
+   */
+  async claimDue(queueKey, limit = 10) {
+    const { schedule, processing, tasks } = this.getKeys(queueKey);
+    const now = Date.now();
+    const serializedTasks = await this.redis.eval(
+      CLAIM_DUE_TASKS_SCRIPT,
+      3,
+      schedule,
+      processing,
+      tasks,
+      now,
+      limit,
+      now + this.leaseMs
+    );
+
+    return serializedTasks.map((task) => JSON.parse(task));
+  }
+
+  /**
+   * acknowledge
+   *
+   * Removes a claimed task once it was published.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {string} taskId - Unique identifier of the claimed task.
+   * @returns {Promise<void>} - Resolves once the task is removed.
+   */
+  async acknowledge(queueKey, taskId) {
+    const { processing, tasks } = this.getKeys(queueKey);
+    await this.redis
+      .multi()
+      .zrem(processing, taskId)
+      .hdel(tasks, taskId)
+      .exec();
+  }
+
+  /**
+   * release
+   *
+   * Puts a claimed task back into the schedule, e.g. when publishing it failed.
+   *
+   * @param {string} queueKey - Key of the target queue.
+   * @param {string} taskId - Unique identifier of the claimed task.
+   * @param {number} runAt - New run time as a timestamp in milliseconds.
+   * @returns {Promise<void>} - Resolves once the task is scheduled again.
+   */
+  async release(queueKey, taskId, runAt) {
+    const { schedule, processing } = this.getKeys(queueKey);
+    await this.redis
+      .multi()
+      .zrem(processing, taskId)
+      .zadd(schedule, runAt, taskId)
+      .exec();
+  }
+}
+
+export default TaskScheduler;
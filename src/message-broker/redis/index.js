@@ -2,5 +2,13 @@
 
 import RedisConnection from './RedisConnection.js';
 import RetryManager from './RetryManager.js';
+import TaskScheduler from './TaskScheduler.js';
+import IdempotencyStore, { IDEMPOTENCY_STATE } from './IdempotencyStore.js';
 
-export { RedisConnection, RetryManager };
+export {
+  RedisConnection,
+  RetryManager,
+  TaskScheduler,
+  IdempotencyStore,
+  IDEMPOTENCY_STATE,
+};
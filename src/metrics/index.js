@@ -0,0 +1,33 @@
+'use strict';
+
+import {
+  metricsRegistry,
+  httpRequestDuration,
+  dbQueryDuration,
+  dbPoolConnections,
+  queueMessagesPublished,
+  queueMessagesConsumed,
+  workerTaskDuration,
+  workerTaskFailures,
+  retryQueueDepth,
+  observeDbPool,
+  observeRetryQueue,
+  httpMetricsMiddleware,
+  metricsHandler,
+} from './metrics.js';
+
+export {
+  metricsRegistry,
+  httpRequestDuration,
+  dbQueryDuration,
+  dbPoolConnections,
+  queueMessagesPublished,
+  queueMessagesConsumed,
+  workerTaskDuration,
+  workerTaskFailures,
+  retryQueueDepth,
+  observeDbPool,
+  observeRetryQueue,
+  httpMetricsMiddleware,
+  metricsHandler,
+};
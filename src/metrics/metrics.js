@@ -0,0 +1,182 @@
+'use strict';
+
+import client from 'prom-client';
+
+/**
+ * metricsRegistry
+ *
+ * Prometheus registry holding the metrics of the service or worker. Every metric carries a `service` label (SERVICE_NAME).
+ *
+ * Process metrics (CPU, memory, event loop lag, GC) are collected by default.
+ */
+const metricsRegistry = new client.Registry();
+metricsRegistry.setDefaultLabels({
+  service: process.env.SERVICE_NAME || 'unknown',
+});
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+/**
+ * Sources read when the gauges are scraped.
+ */
+let dbPoolSource = null;
+const retryQueueSources = new Map();
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [metricsRegistry],
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query duration in seconds',
+  labelNames: ['status'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [metricsRegistry],
+});
+
+const dbPoolConnections = new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Database pool connections by state (used, free, pending)',
+  labelNames: ['state'],
+  registers: [metricsRegistry],
+  collect() {
+    const pool = dbPoolSource?.();
+    if (!pool) return;
+
+    this.set({ state: 'used' }, pool.numUsed());
+    this.set({ state: 'free' }, pool.numFree());
+    this.set({ state: 'pending' }, pool.numPendingAcquires());
+  },
+});
+
+const queueMessagesPublished = new client.Counter({
+  name: 'queue_messages_published_total',
+  help: 'Messages published to RabbitMQ',
+  labelNames: ['exchange', 'routing_key', 'status'],
+  registers: [metricsRegistry],
+});
+
+const queueMessagesConsumed = new client.Counter({
+  name: 'queue_messages_consumed_total',
+  help: 'Messages consumed from RabbitMQ by outcome (ack, nack)',
+  labelNames: ['queue', 'outcome'],
+  registers: [metricsRegistry],
+});
+
+const workerTaskDuration = new client.Histogram({
+  name: 'worker_task_duration_seconds',
+  help: 'Worker handler duration in seconds',
+  labelNames: ['worker', 'action', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [metricsRegistry],
+});
+
+const workerTaskFailures = new client.Counter({
+  name: 'worker_task_failures_total',
+  help: 'Failed worker handler executions',
+  labelNames: ['worker', 'action'],
+  registers: [metricsRegistry],
+});
+
+const retryQueueDepth = new client.Gauge({
+  name: 'retry_queue_depth',
+  help: 'Tasks waiting in the Redis retry queue',
+  labelNames: ['queue'],
+  registers: [metricsRegistry],
+  async collect() {
+    await Promise.all(
+      [...retryQueueSources].map(async ([queue, getDepth]) => {
+        try {
+          this.set({ queue }, await getDepth());
+        } catch {
+          // Redis unavailable: keep the last known depth
+        }
+      })
+    );
+  },
+});
+
+/**
+ * observeDbPool
+ *
+ * @param {Function} getPool - Returns the Knex (tarn) pool, or null while it does not exist yet.
+ * @returns {void}
+ */
+
+const observeDbPool = (getPool) => {
+  dbPoolSource = getPool;
+};
+
+/**
+ * observeRetryQueue
+ *
+ * @param {string} queue - Queue key the retries belong to.
+ * @param {Function} getDepth - Async function returning the number of queued retries.
+ * @returns {Function} - Stops observing the queue.
+ */
+
+const observeRetryQueue = (queue, getDepth) => {
+  retryQueueSources.set(queue, getDepth);
+  return () => {
+    retryQueueSources.delete(queue);
+    retryQueueDepth.remove({ queue });
+  };
+};
+
+/**
+ * httpMetricsMiddleware
+ *
+ * Records the duration of every HTTP request, labelled by method, route template and status code.
+ * Requests that matched no route are labelled `unmatched` to keep the label cardinality bounded.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void}
+ */
+
+const httpMetricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route =
+      req.openapi?.openApiRoute ||
+      (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+    endTimer({ method: req.method, route, status_code: res.statusCode });
+  });
+  next();
+};
+
+/**
+ * metricsHandler
+ *
+ * Express handler serving the registry in the Prometheus text format.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<void>}
+ */
+
+const metricsHandler = async (req, res) => {
+  res.setHeader('Content-Type', metricsRegistry.contentType);
+  res.end(await metricsRegistry.metrics());
+};
+
+export {
+  metricsRegistry,
+  httpRequestDuration,
+  dbQueryDuration,
+  dbPoolConnections,
+  queueMessagesPublished,
+  queueMessagesConsumed,
+  workerTaskDuration,
+  workerTaskFailures,
+  retryQueueDepth,
+  observeDbPool,
+  observeRetryQueue,
+  httpMetricsMiddleware,
+  metricsHandler,
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+import { _Error, logger } from '../utils/index.js';
+
+const log = logger('middleware: authorize');
+
+/**
+ * normalizeList
+ *
+ * Accepts scopes or roles as an array or a space/comma separated string.
+ *
+ * @param {string[]|string} [value]
+ * @returns {string[]}
+ */
+
+const normalizeList = (value) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(normalizeList);
+  }
+  if (typeof value === 'string') {
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+  return [];
+};
+
+/**
+ * missingScopes
+ *
+ * @param {Object} user - Authenticated user attached by verifyToken.
+ * @param {string[]} requiredScopes
+ * @returns {string[]} - Required scopes the user is missing.
+ */
+
+const missingScopes = (user, requiredScopes) => {
+  const granted = new Set(normalizeList(user.scopes));
+  return requiredScopes.filter((scope) => !granted.has(scope));
+};
+
+/**
+ * requireScopes
+ *
+ * Middleware factory that allows the request only when the authenticated user holds every given scope.
+ *
+ * Must run after verifyToken.
+ *
+ * @function requireScopes
+ *
+ * @param {...string} scopes - Required scopes (e.g., `transactions:read`).
+ * @returns {Function} - Express middleware forwarding 401 without an authenticated user and 403 on a missing scope.
+ */
+
+const requireScopes = (...scopes) => {
+  const requiredScopes = normalizeList(scopes);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(_Error(401, 'User not authorized'));
+    }
+
+    const missing = missingScopes(req.user, requiredScopes);
+    if (missing.length > 0) {
+      log.error(`Missing scopes [${missing.join(', ')}] for ${req.path}`);
+      return next(_Error(403, 'Insufficient scope', missing));
+    }
+    next();
+  };
+};
+
+/**
+ * requireRole
+ *
+ * Middleware factory that allows the request only when the authenticated user has one of the given roles.
+ *
+ * Must run after verifyToken.
+ *
+ * @function requireRole
+ *
+ * @param {...string} roles - Accepted role codes.
+ * @returns {Function} - Express middleware forwarding 401 without an authenticated user and 403 on any other role.
+ */
+
+const requireRole = (...roles) => {
+  const acceptedRoles = normalizeList(roles);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(_Error(401, 'User not authorized'));
+    }
+
+    if (!acceptedRoles.includes(req.user.role_code)) {
+      log.error(`Role ${req.user.role_code} not allowed for ${req.path}`);
+      return next(_Error(403, 'Role not allowed'));
+    }
+    next();
+  };
+};
+
+/**
+ * openApiScopes
+ *
+ * Enforces the `x-required-scopes` extension of the matched OpenAPI operation:
+ *
+ *   /transactions:
+ *     get:
+ *       x-required-scopes: [transactions:read]
+ *
+ * Operations without the extension are not restricted. Must run after the OpenAPI validator and verifyToken.
+ *
+ * @function openApiScopes
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void} - Forwards 403 when a required scope is missing.
+ */
+
+const openApiScopes = (req, res, next) => {
+  const requiredScopes = normalizeList(
+    req.openapi?.schema?.['x-required-scopes']
+  );
+  if (requiredScopes.length === 0) {
+    return next();
+  }
+
+  requireScopes(...requiredScopes)(req, res, next);
+};
+
+export { requireScopes, requireRole, openApiScopes };
@@ -6,6 +6,12 @@ import errorHandler from './errorHandler.middleware.js';
 import verifyToken from './verifyToken.middleware.js';
 import correlationMiddleware from './correlation.middleware.js';
 import sessionMiddleware from './session.middleware.js';
+import tracingMiddleware from './tracing.middleware.js';
+import {
+  requireScopes,
+  requireRole,
+  openApiScopes,
+} from './authorize.middleware.js';
 
 export {
   infoLogger,
@@ -14,4 +20,8 @@ export {
   verifyToken,
   correlationMiddleware,
   sessionMiddleware,
+  tracingMiddleware,
+  requireScopes,
+  requireRole,
+  openApiScopes,
 };
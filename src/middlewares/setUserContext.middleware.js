@@ -5,7 +5,7 @@ import { RequestContext } from '../utils/index.js';
 /**
  * requestContextMiddleware
  *
- * Initializes request-scoped context and sets locale information for downstream handlers and services.
+ * Initializes request-scoped context and sets locale, correlation and session information for downstream handlers and services.
  *
  * @param {Object} req
  * @param {Object} res
@@ -16,6 +16,8 @@ import { RequestContext } from '../utils/index.js';
 const requestContextMiddleware = (req, res, next) => {
   const userData = {
     locale: req.headers['x-lang'] || 'en-US',
+    correlationId: req.correlationId,
+    sessionId: req.sessionId,
   };
 
   RequestContext.run(userData, () => {
@@ -0,0 +1,58 @@
+'use strict';
+
+import { RequestContext } from '../utils/index.js';
+import { getTracer, SPAN_KIND, SPAN_STATUS } from '../tracing/index.js';
+
+/**
+ * tracingMiddleware
+ *
+ * Starts a server span for every request, continuing the trace of an incoming W3C `traceparent` header.
+ * The span becomes the active span of the request context, so database queries, published tasks and outgoing service calls are
+ * recorded as its children.
+ *
+ * The span is named after the route template and ends once the response is closed; 5xx responses mark it as failed.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void}
+ */
+
+const tracingMiddleware = (req, res, next) => {
+  const tracer = getTracer();
+  const span = tracer.startSpan(req.method, {
+    kind: SPAN_KIND.SERVER,
+    parent: tracer.extract(req.headers),
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'correlation.id': req.correlationId,
+    },
+  });
+
+  res.once('close', () => {
+    const route =
+      req.openapi?.openApiRoute ||
+      (req.route ? `${req.baseUrl}${req.route.path}` : undefined);
+    if (route) {
+      span.name = `${req.method} ${route}`;
+    }
+
+    span.setAttributes({
+      'http.route': route,
+      'http.response.status_code': res.statusCode,
+    });
+    if (res.statusCode >= 500) {
+      span.setStatus(SPAN_STATUS.ERROR);
+    }
+    span.end();
+  });
+
+  if (RequestContext.get()) {
+    RequestContext.set('trace', span.context());
+    return next();
+  }
+  RequestContext.run({ trace: span.context() }, next);
+};
+
+export default tracingMiddleware;
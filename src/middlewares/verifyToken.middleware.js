@@ -8,9 +8,65 @@ import {
   RequestContext,
 } from '../utils/index.js';
 import { CoreDB } from '../db/index.js';
+import { getSessionStore, getTokenVerifier } from '../auth/index.js';
 
 const log = logger('middleware: verify-token');
 
+/**
+ * verifyRefreshToken
+ *
+ * @param {string} refreshToken - Refresh token stored in USER_METADATA.
+ * @returns {boolean} - True when its signature verifies and it has not expired.
+ * @throws {Error} - Thrown when REFRESH_TOKEN_KEY is not configured.
+ */
+
+const verifyRefreshToken = (refreshToken) => {
+  const refreshTokenKey = process.env.REFRESH_TOKEN_KEY;
+  if (!refreshTokenKey) {
+    throw new Error('REFRESH_TOKEN_KEY not configured');
+  }
+
+  try {
+    jwt.verify(refreshToken, refreshTokenKey);
+    return true;
+  } catch (err) {
+    log.error(`Stored refresh token invalid: ${err.message}`);
+    return false;
+  }
+};
+
+/**
+ * hasValidRefreshToken
+ *
+ * Checks whether the user still holds a valid refresh token. The result is cached in the session store, so USER_METADATA
+ * is only queried on a cache miss.
+ *
+ * The stored token is valid while it is present, its signature verifies with REFRESH_TOKEN_KEY and it has not expired. Logout and
+ * rotation remove or replace it.
+ *
+ * @param {string} userId - Decoded user ID.
+ * @returns {Promise<boolean>}
+ * @throws {Error} - Thrown when REFRESH_TOKEN_KEY is not configured.
+ */
+
+const hasValidRefreshToken = async (userId) => {
+  const sessionStore = getSessionStore();
+  const cached = await sessionStore.getRefreshValidity(userId);
+  if (cached !== null) {
+    return cached;
+  }
+
+  log.info('Verify if the user has an active refresh token');
+  const result = await CoreDB.getUserRefreshToken(userId);
+  const refreshToken =
+    result.rowCount === 1 ? result.rows[0].refresh_token : null;
+
+  const valid = refreshToken ? verifyRefreshToken(refreshToken) : false;
+
+  await sessionStore.setRefreshValidity(userId, valid);
+  return valid;
+};
+
 /**
  * verifyToken
  *
@@ -18,6 +74,15 @@ const log = logger('middleware: verify-token');
  * Extracts access token from cookies or Authorization header,
  * verifies token validity, attaches user data to the request, and initializes request-scoped context.
  *
+ * Access tokens are verified by the shared TokenVerifier: RS256/ES256 against the configured JWKS, or HMAC with ACCESS_TOKEN_KEY.
+ *
+ * The request is rejected with 401 when:
+ * - No token is present, or the access token is invalid, expired, or has an unexpected issuer or audience
+ * - The token's session (`sid`) was revoked
+ * - The user has no valid refresh token anymore
+ *
+ * Verification fails with 503 when the signing keys or the session store are unavailable.
+ *
  * @param {Object} req - Mutated to include `req.user` on successful verification.
  * @param {Object} res
  * @param {Function} next
@@ -25,54 +90,69 @@ const log = logger('middleware: verify-token');
  */
 
 const verifyToken = async (req, res, next) => {
-  try {
-    log.info('Token verification operation initiated');
-    const token =
-      req.cookies?.accessToken ||
-      req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      log.error('Token not received. Cannot proceed further!');
-      next(_Error(400, 'User not authorized'));
-    }
+  log.info('Token verification operation initiated');
+  const token =
+    req.cookies?.accessToken ||
+    req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    log.error('Token not received. Cannot proceed further!');
+    return next(_Error(401, 'User not authorized'));
+  }
 
-    const tokenKey = process.env.ACCESS_TOKEN_KEY;
-    const refreshTokenKey = process.env.REFRESH_TOKEN_KEY;
-    const decodedToken = jwt.verify(token, tokenKey);
-    req.user = {
-      id: decodedToken.id,
-      sid: decodedToken.sid,
-      username: decodedToken.username,
-      role_code: decodedToken.role,
-      scopes: decodedToken.scopes,
-      isVerified: decodedToken.isVerified,
-      isDeleted: decodedToken.isDeleted,
-    };
-    RequestContext.setList(req.user);
-
-    const userId = convertPrettyStringToId(decodedToken.id);
-
-    log.info('Verify if the user has an active refresh token');
-    let refreshToken = await CoreDB.getUserRefreshToken(userId);
-    refreshToken =
-      refreshToken.rowCount === 1 ? refreshToken.rows[0].refresh_token : '';
-    if (!refreshToken && !jwt.verify(refreshToken, refreshTokenKey)) {
-      log.error('Token not valid');
-      next(_Error(401, 'User authentication token expired'));
-    }
+  let decodedToken;
+  let userId;
+  try {
+    decodedToken = await getTokenVerifier().verify(token);
+    userId = convertPrettyStringToId(decodedToken.id);
+  } catch (err) {
+    log.error(`Token invalid: ${err.message}`);
+    return next(
+      err.status ? err : _Error(401, 'User authentication token expired', err)
+    );
+  }
 
+  try {
     if (
-      !req.headers['x-session-id'] ||
-      req.headers['x-session-id'] !== req.user.sid
+      decodedToken.sid &&
+      (await getSessionStore().isRevoked(decodedToken.sid))
     ) {
-      req.headers['x-session-id'] = req.user.sid;
+      log.error(`Session ${decodedToken.sid} revoked`);
+      return next(_Error(401, 'User session revoked'));
     }
 
-    log.success('Token verification completed successfully');
-    next();
+    if (!(await hasValidRefreshToken(userId))) {
+      log.error('Token not valid');
+      return next(_Error(401, 'User authentication token expired'));
+    }
   } catch (err) {
-    log.error('Token invalid');
-    next(_Error(401, 'User authentication token expired', err));
+    log.error(`Session validation failed: ${err.message || err}`);
+    return next(_Error(503, 'Session validation unavailable', err));
   }
+
+  req.user = {
+    id: decodedToken.id,
+    sid: decodedToken.sid,
+    username: decodedToken.username,
+    role_code: decodedToken.role,
+    scopes: decodedToken.scopes,
+    isVerified: decodedToken.isVerified,
+    isDeleted: decodedToken.isDeleted,
+  };
+  RequestContext.setList(req.user);
+
+  if (
+    !req.headers['x-session-id'] ||
+    req.headers['x-session-id'] !== req.user.sid
+  ) {
+    req.headers['x-session-id'] = req.user.sid;
+  }
+  RequestContext.setList({
+    sessionId: req.headers['x-session-id'],
+    accessToken: token,
+  });
+
+  log.success('Token verification completed successfully');
+  next();
 };
 
 export default verifyToken;
@@ -0,0 +1,231 @@
+'use strict';
+
+import { _Error, logger } from '../utils/index.js';
+
+const log = logger('rate-limiter');
+
+/**
+ * CONSUME_SCRIPT
+ *
+ * Lua script that counts a request in a fixed window and returns the counter with the window's remaining time.
+ *
+ * KEYS[1] - Counter key of the window.
+ * ARGV[1] - Time left in the window in milliseconds.
+ */
+const CONSUME_SCRIPT = `
+local current = redis.call('INCR', KEYS[1])
+if current == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+local ttl = redis.call('PTTL', KEYS[1])
+return {current, ttl}
+`;
+
+/**
+ * REFUND_SCRIPT
+ *
+ * Lua script that takes back a request counted in a window that has not expired yet.
+ *
+ * KEYS[1] - Counter key of the window.
+ */
+const REFUND_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * RateLimiter
+ *
+ * Distributed fixed-window rate limiter backed by Redis, so every replica of a service shares the same counters. Windows are aligned
+ * on multiples of the window size, and each window has its own counter key.
+ *
+ * Responsibilities:
+ * - Identify the caller by user ID (`req.user`), client ID (`X-Client-Id`) or IP, in that order
+ * - Apply the default policy or the `x-rate-limit` policy declared on the OpenAPI operation
+ * - Set the `RateLimit-*` response headers and reject exhausted callers with 429
+ * - Count each request once: a request counted by IP or client ID before authentication moves to its user's counter when the
+ *   middleware runs again after token verification
+ */
+
+class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance.
+   *
+   * @param {Object} redisClient - Redis client instance used for the counters.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {number} [options.limit=1000] - Requests allowed per window by the default policy.
+   * @param {number} [options.windowMs=300000] - Window size of the default policy in milliseconds.
+   * @param {string} [options.prefix='ratelimit'] - Redis key prefix.
+   */
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.limit = options.limit ?? 1000;
+    this.windowMs = options.windowMs ?? 5 * 60 * 1000;
+    this.prefix = options.prefix || 'ratelimit';
+  }
+
+  /**
+   * getIdentity
+   *
+   * @param {Object} req - Express request object.
+   * @returns {string} - Caller identity used in the counter key.
+   */
+  getIdentity(req) {
+    if (req.user?.id) {
+      return `user:${req.user.id}`;
+    }
+
+    const clientId = req.headers['x-client-id'];
+    if (clientId) {
+      return `client:${clientId}`;
+    }
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * getPolicy
+   *
+   * Resolves the policy of a request. An OpenAPI operation can override the default policy:
+   *
+   *   /auth/login:
+   *     post:
+   *       x-rate-limit:
+   *         limit: 10
+   *         windowMs: 60000
+   *
+   * @param {Object} req - Express request object.
+   * @returns {{ name: string, limit: number, windowMs: number }}
+   */
+  getPolicy(req) {
+    const override = req.openapi?.schema?.['x-rate-limit'];
+    if (!override) {
+      return { name: 'default', limit: this.limit, windowMs: this.windowMs };
+    }
+
+    return {
+      name: `${req.method}:${req.openapi.openApiRoute}`,
+      limit: Number(override.limit) || this.limit,
+      windowMs: Number(override.windowMs) || this.windowMs,
+    };
+  }
+
+  /**
+   * getKey
+   *
+   * @param {string} identity - Caller identity.
+   * @param {Object} policy - Policy resolved by getPolicy.
+   * @returns {string} - Counter key of the caller under the policy, without its window.
+   */
+  getKey(identity, policy) {
+    return `${this.prefix}:${policy.name}:${identity}`;
+  }
+
+  /**
+   * getWindowKey
+   *
+   * @param {string} identity - Caller identity.
+   * @param {Object} policy - Policy resolved by getPolicy.
+   * @param {number} [now=Date.now()] - Time of the request in milliseconds.
+   * @returns {string} - Counter key of the window the request falls in.
+   */
+  getWindowKey(identity, policy, now = Date.now()) {
+    const window = Math.floor(now / policy.windowMs);
+    return `${this.getKey(identity, policy)}:${window}`;
+  }
+
+  /**
+   * consume
+   *
+   * Counts a request against a policy, in the window it falls in.
+   *
+   * @param {string} identity - Caller identity.
+   * @param {Object} policy - Policy resolved by getPolicy.
+   * @returns {Promise<{ allowed: boolean, remaining: number, resetMs: number, windowKey: string }>}
+   */
+  async consume(identity, policy) {
+    const now = Date.now();
+    const windowKey = this.getWindowKey(identity, policy, now);
+    const windowLeftMs = policy.windowMs - (now % policy.windowMs);
+    const [current, ttl] = await this.redis.eval(
+      CONSUME_SCRIPT,
+      1,
+      windowKey,
+      windowLeftMs
+    );
+    const resetMs = ttl > 0 ? ttl : windowLeftMs;
+
+    return {
+      allowed: current <= policy.limit,
+      remaining: Math.max(policy.limit - current, 0),
+      resetMs,
+      windowKey,
+    };
+  }
+
+  /**
+   * refund
+   *
+   * Takes back a request counted in a window, unless that window already expired. A window that rolled over since is left
+   * untouched, as it has its own key.
+   *
+   * @param {string} windowKey - Window key returned by consume.
+   * @returns {Promise<void>}
+   */
+  async refund(windowKey) {
+    await this.redis.eval(REFUND_SCRIPT, 1, windowKey);
+  }
+
+  /**
+   * middleware
+   *
+   * Builds the Express middleware. When Redis is unreachable requests are let through and the failure is logged.
+   *
+   * The middleware can be mounted before and after token verification. The counter key and the window key the request was counted
+   * in are kept on `req.rateLimit`; when the caller identity changed in between, the earlier count is refunded from that window so
+   * an authenticated request is only counted for its user.
+   *
+   * @returns {Function} - Express middleware forwarding 429 through `_Error` once the limit is exceeded.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const policy = this.getPolicy(req);
+      const identity = this.getIdentity(req);
+      const key = this.getKey(identity, policy);
+
+      if (req.rateLimit?.key === key) {
+        return next();
+      }
+
+      let result;
+      try {
+        if (req.rateLimit) {
+          await this.refund(req.rateLimit.windowKey);
+        }
+        result = await this.consume(identity, policy);
+        req.rateLimit = { key, windowKey: result.windowKey };
+      } catch (err) {
+        log.error(`Rate limit check skipped: ${err.message}`);
+        return next();
+      }
+
+      const resetSec = Math.ceil(result.resetMs / 1000);
+      res.setHeader('RateLimit-Limit', policy.limit);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      res.setHeader('RateLimit-Reset', resetSec);
+      res.setHeader(
+        'RateLimit-Policy',
+        `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`
+      );
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', resetSec);
+        return next(_Error(429, 'Too many requests, please try again later'));
+      }
+      next();
+    };
+  }
+}
+
+export default RateLimiter;
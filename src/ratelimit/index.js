@@ -0,0 +1,5 @@
+'use strict';
+
+import RateLimiter from './RateLimiter.js';
+
+export { RateLimiter };
@@ -13,7 +13,15 @@ import path from 'path';
 import rateLimit from 'express-rate-limit';
 import swaggerUi from 'swagger-ui-express';
 import yaml from 'yaml';
-import { logger } from '../utils/index.js';
+import {
+  logger,
+  ResponseBuilder,
+  ShutdownManager,
+  HealthCheck,
+  HEALTH_STATUS,
+  _Response,
+  _Error,
+} from '../utils/index.js';
 import {
   infoLogger,
   requestContextMiddleware,
@@ -21,7 +29,24 @@ import {
   verifyToken,
   correlationMiddleware,
   sessionMiddleware,
+  tracingMiddleware,
+  openApiScopes,
+  requireScopes,
 } from '../middlewares/index.js';
+import {
+  DeadLetterManager,
+  queueRegistry,
+  getPublisherConnection,
+  getEventBus,
+  closeTaskScheduler,
+  RedisConnection,
+} from '../message-broker/index.js';
+import { db } from '../db/index.js';
+import { ServiceRegistry } from '../discovery/index.js';
+import { getSessionStore, closeSessionStore } from '../auth/index.js';
+import { RateLimiter } from '../ratelimit/index.js';
+import { httpMetricsMiddleware, metricsHandler } from '../metrics/index.js';
+import { closeTracer } from '../tracing/index.js';
 import { generalServiceConfig } from '../../constants.js';
 import { initializeI18n } from '../utils/index.js';
 
@@ -42,6 +67,11 @@ const log = logger('service-configuration');
  * @property {boolean} cookieEnabled - Indicates whether cookies are enabled.
  * @property {boolean} openAPIEnabled - Indicates whether OpenAPI validation is enabled.
  * @property {boolean} setUserContext - Indicates whether user context middleware is enabled.
+ * @property {string[]} internalPaths - Path prefixes mounted by the library itself and skipped by the OpenAPI validator.
+ * @property {ShutdownManager} shutdownManager - Drains the server and runs the registered cleanup hooks on shutdown.
+ * @property {HealthCheck} healthCheck - Dependency checks aggregated by the readiness endpoint.
+ * @property {ServiceRegistry|null} serviceRegistry - Registers the instance in SVC_CONFIG, set once the server is listening.
+ * @property {RateLimiter|null} rateLimiter - Redis-backed rate limiter; null when Redis is not configured.
  */
 
 class Service {
@@ -65,18 +95,146 @@ class Service {
     this.cookieEnabled = cookieEnabled;
     this.openAPIEnabled = openAPIEnabled;
     this.setUserContext = setUserContext;
+    this.internalPaths = [];
+    this.shutdownManager = new ShutdownManager();
+    this.healthCheck = new HealthCheck();
+    this.serviceRegistry = null;
+    this.rateLimiter = null;
 
     const parentModulePath = process.argv[1];
     const appPath = path.dirname(parentModulePath);
     this.openAPISpec = path.join(appPath, 'openapi.yaml');
 
+    this.registerDefaultShutdownHooks();
+    this.registerDefaultHealthChecks();
+    this.initializeRateLimiter();
     this.initializeApp();
     this.initializeOpenAPI();
   }
 }
 
 /**
- * Initializes core Express middlewares including payload limits, security headers, CORS, rate limiting, cookies, compression, static assets, and logging.
+ * Registers the cleanup hooks of the resources shared by the library: the knex pool, the RabbitMQ publisher and event
+ * subscriber connections, and the Redis connections of the task scheduler and the session store.
+ *
+ * They are registered first and therefore released last, after the hooks added by the service.
+ *
+ * @function registerDefaultShutdownHooks
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void}
+ */
+
+Service.prototype.registerDefaultShutdownHooks = function () {
+  this.onShutdown('tracing', () => closeTracer());
+  this.onShutdown('database', () => db.destroy());
+  this.onShutdown('rabbitmq-publisher', () => getPublisherConnection().close());
+  this.onShutdown('rabbitmq-events', () => getEventBus().close());
+  this.onShutdown('redis-scheduler', () => closeTaskScheduler());
+  this.onShutdown('redis-sessions', () => closeSessionStore());
+};
+
+/**
+ * Registers a cleanup hook run during graceful shutdown, after the server stopped accepting requests.
+ *
+ * Hooks run in reverse registration order.
+ *
+ * @function onShutdown
+ *
+ * @memberof Service.prototype
+ *
+ * @param {string} name - Name used in logs.
+ * @param {Function} hook - Async function releasing a resource.
+ * @returns {Function} - Function that unregisters the hook.
+ */
+
+Service.prototype.onShutdown = function (name, hook) {
+  return this.shutdownManager.register(name, hook);
+};
+
+/**
+ * Registers the readiness checks of the shared resources: the database (`SELECT 1`) always, RabbitMQ when RABBITMQ_URL is set,
+ * and Redis when REDIS_URL or REDIS_HOST is set. The RabbitMQ check fails while the publisher channel is lost or reconnecting; it
+ * never opens the channel itself. The Redis check pings the connections the service serves requests with: the rate limiter's and
+ * the session store's.
+ *
+ * @function registerDefaultHealthChecks
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void}
+ */
+
+Service.prototype.registerDefaultHealthChecks = function () {
+  this.addHealthCheck('database', () => db.ping());
+
+  if (process.env.RABBITMQ_URL) {
+    this.addHealthCheck('rabbitmq', async () => {
+      // Inspects the channel without opening it; it is opened by the first publish
+      const state = getPublisherConnection().getState();
+      if (state !== 'open' && state !== 'idle') {
+        throw new Error(`RabbitMQ publisher channel ${state}`);
+      }
+    });
+  }
+
+  if (process.env.REDIS_URL || process.env.REDIS_HOST) {
+    this.addHealthCheck('redis', () =>
+      Promise.all([
+        this.rateLimiter?.redis.ping(),
+        getSessionStore().redis.ping(),
+      ])
+    );
+  }
+};
+
+/**
+ * Registers a readiness check. The check passes when it resolves and fails when it throws or exceeds its timeout.
+ *
+ * @function addHealthCheck
+ *
+ * @memberof Service.prototype
+ *
+ * @param {string} name - Dependency name used in the readiness report.
+ * @param {Function} check - Async function probing the dependency.
+ * @param {Object} [options={}] - Optional check settings.
+ * @param {number} [options.timeoutMs] - Timeout of the check (defaults to HEALTH_CHECK_TIMEOUT_MS or 2 seconds).
+ * @returns {void}
+ */
+
+Service.prototype.addHealthCheck = function (name, check, options = {}) {
+  this.healthCheck.register(name, check, options);
+};
+
+/**
+ * Creates the Redis-backed rate limiter using the default policy of API_RATE_LIMIT requests per WINDOW_SIZE milliseconds.
+ *
+ * Without a Redis configuration (REDIS_URL or REDIS_HOST) the limiter falls back to an in-memory limit per replica and IP.
+ *
+ * @function initializeRateLimiter
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void}
+ */
+
+Service.prototype.initializeRateLimiter = function () {
+  if (!process.env.REDIS_URL && !process.env.REDIS_HOST) {
+    log.warning('Redis not configured, using in-memory rate limiting');
+    return;
+  }
+
+  const redisConnection = new RedisConnection();
+  this.rateLimiter = new RateLimiter(redisConnection.connect(), {
+    limit: this.apiRateLimit,
+    windowMs: this.windowSize,
+  });
+  this.onShutdown('redis-rate-limiter', () => redisConnection.disconnect());
+};
+
+/**
+ * Initializes core Express middlewares including request metrics, payload limits, security headers, CORS, cookies, compression, static assets, and logging.
  *
  * @function initializeApp
  *
@@ -88,6 +246,9 @@ class Service {
 Service.prototype.initializeApp = function () {
   log.debug('App middlewares initialization');
 
+  // Request duration metrics, exposed at /metrics
+  this.app.use(httpMetricsMiddleware);
+
   // Payload Configuration
   this.app.use(
     express.json({
@@ -151,20 +312,12 @@ Service.prototype.initializeApp = function () {
         'X-Request-Id',
         'X-Correlation-Id',
         'X-Client-Id',
+        'traceparent',
       ],
       maxAge: 300,
     })
   );
 
-  // TODO - To be replaced later - Basic Rate limiter configuration
-  this.app.use(
-    rateLimit({
-      windowMs: this.windowSize, // Window Size
-      limit: this.apiRateLimit, // Limit each IP to the provided number of requests per window size
-      message: 'Too many requests, please try again later',
-    })
-  );
-
   // Cookie Configuration
   if (this.cookieEnabled) {
     if (!this.cookieKey) {
@@ -196,6 +349,14 @@ Service.prototype.initializeApp = function () {
 
   this.app.use(express.static('public'));
 
+  // Ask keep-alive clients to reconnect elsewhere once shutdown started
+  this.app.use((req, res, next) => {
+    if (!this.shutdownManager.isReady()) {
+      res.setHeader('Connection', 'close');
+    }
+    next();
+  });
+
   this.app.use(infoLogger);
 };
 
@@ -223,6 +384,7 @@ Service.prototype.initializeOpenAPI = function () {
         apiSpec: this.openAPISpec,
         validateRequests: true,
         validateResponses: true,
+        ignorePaths: (reqPath) => this.isInternalPath(reqPath),
       })
     );
   }
@@ -258,6 +420,21 @@ Service.prototype.setSessionId = function () {
   this.app.use(sessionMiddleware);
 };
 
+/**
+ * Registers the tracing middleware, which starts a server span per request and continues incoming W3C `traceparent` headers.
+ *
+ * @function setTracing
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void} - Adds tracing middleware to the application.
+ */
+
+Service.prototype.setTracing = function () {
+  log.debug('Tracing middleware initialization');
+  this.app.use(tracingMiddleware);
+};
+
 /**
  * Registers request-scoped user context middleware if enabled via configuration.
  *
@@ -275,6 +452,37 @@ Service.prototype.setUserContextFn = function () {
   }
 };
 
+/**
+ * Registers the rate limiting middleware for requests that are not authenticated yet, keyed by client ID or IP.
+ *
+ * Requests reaching the private endpoints move to their user's counter once the token is verified (see setTokenVerification), so
+ * public and rejected requests are limited by client ID or IP and authenticated requests are counted once, per user.
+ *
+ * @function setRateLimit
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void} - Adds rate limiting middleware to the application.
+ */
+
+Service.prototype.setRateLimit = function () {
+  log.debug('Rate limiter middleware initialization');
+  if (this.rateLimiter) {
+    this.app.use(this.rateLimiter.middleware());
+    return;
+  }
+
+  this.app.use(
+    rateLimit({
+      windowMs: this.windowSize, // Window Size
+      limit: this.apiRateLimit, // Limit each IP to the provided number of requests per window size
+      standardHeaders: 'draft-7',
+      handler: (req, res, next) =>
+        next(_Error(429, 'Too many requests, please try again later')),
+    })
+  );
+};
+
 /**
  * Registers publicly accessible service endpoints.
  *
@@ -289,19 +497,114 @@ Service.prototype.registerPublicEndpoints = function () {
   log.debug('Register service public end-points called');
 };
 
+/**
+ * Mounts the liveness and readiness endpoints.
+ *
+ * Routes:
+ * - GET /health/live  - 200 while the process is running
+ * - GET /health/ready - 200 when every readiness check passed; 503 when a check failed or shutdown started
+ *
+ * The readiness body reports the status and latency of each dependency.
+ *
+ * @function registerHealthEndpoints
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void} - Registers the health routes on the application.
+ */
+
+Service.prototype.registerHealthEndpoints = function () {
+  log.debug('Health check end-points initialization');
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    res.status(200).json(
+      ResponseBuilder(
+        _Response(200, 'Service is alive', {
+          status: HEALTH_STATUS.UP,
+          uptime: process.uptime(),
+        })
+      )
+    );
+  });
+
+  router.get('/ready', async (req, res) => {
+    if (!this.shutdownManager.isReady()) {
+      return res.status(503).json(
+        ResponseBuilder(
+          _Response(503, 'Service is shutting down', {
+            status: HEALTH_STATUS.DOWN,
+            checks: {},
+          })
+        )
+      );
+    }
+
+    const report = await this.healthCheck.run();
+    const status = report.status === HEALTH_STATUS.UP ? 200 : 503;
+    if (status !== 200) {
+      log.warning(`Readiness check failed: ${JSON.stringify(report.checks)}`);
+    }
+
+    res
+      .status(status)
+      .json(
+        ResponseBuilder(
+          _Response(
+            status,
+            status === 200 ? 'Service is ready' : 'Service is not ready',
+            report
+          )
+        )
+      );
+  });
+
+  this.internalPaths.push('/health');
+  this.app.use('/health', router);
+};
+
+/**
+ * Registers the Prometheus scrape endpoint at `/metrics`.
+ *
+ * Reports HTTP request durations, database query durations and pool usage, RabbitMQ publish/consume counts and process metrics.
+ *
+ * @function registerMetricsEndpoint
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {void} - Registers the metrics route on the application.
+ */
+
+Service.prototype.registerMetricsEndpoint = function () {
+  log.debug('Metrics end-point initialization');
+  this.internalPaths.push('/metrics');
+  this.app.get('/metrics', metricsHandler);
+};
+
 /**
  * Registers authentication token verification middleware.
  *
+ * When OpenAPI is enabled, the `x-required-scopes` extension of each operation is enforced right after verification. Verified
+ * requests are then rate limited per user; their count by client ID or IP from setRateLimit is refunded.
+ *
  * @function setTokenVerification
  *
  * @memberof Service.prototype
  *
- * @returns {void} - Adds token verification middleware to the application.
+ * @returns {void} - Adds token verification, OpenAPI scope enforcement and per-user rate limiting middleware to the application.
  */
 
 Service.prototype.setTokenVerification = function () {
   log.debug('Verification token middleware initialization');
   this.app.use(verifyToken);
+
+  if (this.openAPIEnabled) {
+    this.app.use(openApiScopes);
+  }
+
+  if (this.rateLimiter) {
+    this.app.use(this.rateLimiter.middleware());
+  }
 };
 
 /**
@@ -318,6 +621,147 @@ Service.prototype.registerPrivateEndpoints = function () {
   log.debug('Register service private end-points');
 };
 
+/**
+ * Checks whether a request path belongs to a library-mounted route that is not described in the service OpenAPI spec.
+ *
+ * @function isInternalPath
+ *
+ * @memberof Service.prototype
+ *
+ * @param {string} reqPath - Request path.
+ * @returns {boolean} - True if the path starts with one of the registered internal path prefixes.
+ */
+
+Service.prototype.isInternalPath = function (reqPath) {
+  return this.internalPaths.some(
+    (prefix) => reqPath === prefix || reqPath.startsWith(`${prefix}/`)
+  );
+};
+
+/**
+ * Mounts admin routes to inspect and replay dead-letter queues.
+ *
+ * Intended to be called from registerPrivateEndpoints so the routes sit behind token verification. The routes are not part of the
+ * OpenAPI spec, so they are guarded by their own authorization middleware: by default the `admin:dlq` scope is required, which
+ * also rejects requests without an authenticated user.
+ *
+ * Routes (relative to basePath):
+ * - GET    /:queueKey/count     - Number of messages in the DLQ
+ * - GET    /:queueKey/messages  - List messages (query: taskId, action, producer, limit)
+ * - GET    /:queueKey/peek      - First matching message (query: taskId, action, producer)
+ * - POST   /:queueKey/replay    - Replay messages to the main exchange (body: taskId, action, producer, limit)
+ * - DELETE /:queueKey/messages  - Purge messages (query: taskId, action, producer); purging the whole DLQ requires `all=true`
+ *
+ * @function registerDeadLetterRoutes
+ *
+ * @memberof Service.prototype
+ *
+ * @param {string} [basePath='/admin/dlq'] - Path prefix the routes are mounted on.
+ * @param {DeadLetterManager} [manager] - Dead-letter manager instance; a new one is created by default.
+ * @param {Object} [options={}] - Optional route settings.
+ * @param {Function|Function[]} [options.authorize] - Authorization middleware run before every route (defaults to
+ * `requireScopes('admin:dlq')`).
+ * @returns {void} - Registers the dead-letter admin router on the application.
+ */
+
+Service.prototype.registerDeadLetterRoutes = function (
+  basePath = '/admin/dlq',
+  manager = new DeadLetterManager(),
+  options = {}
+) {
+  log.debug('Dead-letter admin routes initialization');
+  const router = express.Router();
+  router.use(options.authorize ?? requireScopes('admin:dlq'));
+  const toFilter = (source = {}) => ({
+    taskId: source.taskId,
+    action: source.action,
+    producer: source.producer,
+  });
+  const send = (res, message, data) =>
+    res.status(200).json(ResponseBuilder(_Response(200, message, data)));
+
+  router.param('queueKey', (req, res, next, queueKey) => {
+    if (!queueRegistry.has(queueKey)) {
+      return next(_Error(404, 'Queue not found'));
+    }
+    next();
+  });
+
+  router.get('/:queueKey/count', async (req, res, next) => {
+    try {
+      const count = await manager.count(req.params.queueKey);
+      send(res, 'Dead-letter queue count fetched', { count });
+    } catch (err) {
+      next(_Error(500, 'Dead-letter queue operation failed', err));
+    }
+  });
+
+  router.get('/:queueKey/messages', async (req, res, next) => {
+    try {
+      const messages = await manager.list(
+        req.params.queueKey,
+        toFilter(req.query),
+        Number(req.query.limit) || undefined
+      );
+      send(res, 'Dead-letter queue messages fetched', messages);
+    } catch (err) {
+      next(_Error(500, 'Dead-letter queue operation failed', err));
+    }
+  });
+
+  router.get('/:queueKey/peek', async (req, res, next) => {
+    try {
+      const message = await manager.peek(
+        req.params.queueKey,
+        toFilter(req.query)
+      );
+      send(res, 'Dead-letter queue message fetched', message);
+    } catch (err) {
+      next(_Error(500, 'Dead-letter queue operation failed', err));
+    }
+  });
+
+  router.post('/:queueKey/replay', async (req, res, next) => {
+    try {
+      const result = await manager.replay(
+        req.params.queueKey,
+        toFilter(req.body),
+        Number(req.body?.limit) || undefined
+      );
+      send(res, 'Dead-letter queue messages replayed', result);
+    } catch (err) {
+      next(_Error(500, 'Dead-letter queue operation failed', err));
+    }
+  });
+
+  router.delete('/:queueKey/messages', async (req, res, next) => {
+    const filter = toFilter(req.query);
+    if (
+      !filter.taskId &&
+      !filter.action &&
+      !filter.producer &&
+      req.query.all !== 'true'
+    ) {
+      return next(
+        _Error(
+          400,
+          'Provide a filter (taskId, action, producer) or all=true to purge the dead-letter queue'
+        )
+      );
+    }
+
+    try {
+      const purged = await manager.purge(req.params.queueKey, filter);
+      send(res, 'Dead-letter queue messages purged', { purged });
+    } catch (err) {
+      next(_Error(500, 'Dead-letter queue operation failed', err));
+    }
+  });
+
+  this.internalPaths.push(basePath);
+  this.app.use(basePath, router);
+};
+
 /**
  * Registers the global error handling middleware.
  *
@@ -336,6 +780,9 @@ Service.prototype.registerErrorHandler = function () {
 /**
  * Builds and starts the HTTP server, registers all middleware, initializes localization, and handles graceful shutdown.
  *
+ * On SIGTERM or SIGINT the shutdown manager drains the server and runs the cleanup hooks before exiting with 0. Uncaught
+ * exceptions and unhandled rejections are logged with their stack and exit with 1.
+ *
  * @function buildConnection
  *
  * @memberof Service.prototype
@@ -354,7 +801,11 @@ Service.prototype.buildConnection = function () {
   this.setCorrelationId();
   this.setSessionId();
   this.setUserContextFn();
+  this.setTracing();
   initializeI18n();
+  this.registerHealthEndpoints();
+  this.registerMetricsEndpoint();
+  this.setRateLimit();
   this.registerPublicEndpoints();
   this.setTokenVerification();
   this.registerPrivateEndpoints();
@@ -370,25 +821,52 @@ Service.prototype.buildConnection = function () {
     log.info(
       `Uptime : ${process.uptime()} seconds | Timestamp : ${Date.now()} | Hostname : ${os.hostname()}`
     );
-    // TODO - Add register service configuration for updating the PORT and PROTOCOL of service name
+    await this.registerService();
   });
 
-  process.on('SIGTERM', shutdown);
-  process.on('SIGINT', shutdown);
-  process.on('uncaughtException', shutdown);
-  process.on('unhandledRejection', shutdown);
+  this.shutdownManager.attachServer(server);
 
-  function shutdown() {
-    log.error('Shutting down server...');
-    server.close(() => {
-      log.success('Server closed');
-      process.exit(0);
-    });
+  process.on('SIGTERM', () => this.shutdownManager.shutdown('SIGTERM'));
+  process.on('SIGINT', () => this.shutdownManager.shutdown('SIGINT'));
+  process.on('uncaughtException', (err) =>
+    this.shutdownManager.shutdown(err, 1)
+  );
+  process.on('unhandledRejection', (reason) =>
+    this.shutdownManager.shutdown(reason, 1)
+  );
+};
+
+/**
+ * Registers the instance (host, port, protocol, version) in SVC_CONFIG, starts its heartbeat, and deregisters it on shutdown.
+ *
+ * Opt-in: runs only when SERVICE_DISCOVERY_ENABLED is `true`, since it needs the registry columns added by
+ * `ServiceRegistry.migrate()`. A failed registration is logged; the heartbeat registers the instance again.
+ *
+ * @function registerService
+ *
+ * @memberof Service.prototype
+ *
+ * @returns {Promise<void>}
+ */
+
+Service.prototype.registerService = async function () {
+  if (process.env.SERVICE_DISCOVERY_ENABLED !== 'true') {
+    return;
+  }
+
+  this.serviceRegistry = new ServiceRegistry(this.serviceConfig);
+  this.onShutdown('service-registry', () => this.serviceRegistry.deregister());
+
+  try {
+    await this.serviceRegistry.register();
+  } catch (err) {
+    log.error(`Service registration failed: ${err.message || err}`);
   }
+  this.serviceRegistry.startHeartbeat();
 };
 
 /**
- * Tests connectivity to the running service by invoking its health check endpoint with retry logic.
+ * Tests connectivity to the running service by invoking its readiness endpoint with retry logic.
  *
  * @function testConnection
  *
@@ -418,7 +896,7 @@ Service.prototype.testConnection = async function () {
 
   while (retry < retries) {
     try {
-      const API = `${PROTOCOL}://${HOST}:${PORT}/${serviceName}/api/v1.0/health`;
+      const API = `${PROTOCOL}://${HOST}:${PORT}/health/ready`;
       response = await axios.get(API, {
         timeout: timeout,
       });
@@ -1,12 +1,28 @@
 'use strict';
 
-import { logger } from '../utils/index.js';
+import http from 'http';
+import { logger, RequestContext } from '../utils/index.js';
 import {
   publishTask,
+  publishDueTasks,
+  deadLetterTask,
   RedisConnection,
   RetryManager,
+  TaskScheduler,
+  IdempotencyStore,
+  IDEMPOTENCY_STATE,
   startConsumer,
+  sendRpcReply,
+  getPublisherConnection,
+  restoreTaskContext,
 } from '../message-broker/index.js';
+import {
+  metricsRegistry,
+  workerTaskDuration,
+  workerTaskFailures,
+  observeRetryQueue,
+} from '../metrics/index.js';
+import { closeTracer } from '../tracing/index.js';
 
 const log = logger('worker-configuration');
 
@@ -22,7 +38,14 @@ const log = logger('worker-configuration');
  * @property {Object} redisConnection - Redis connection instance.
  * @property {Object} redisClient - Connected Redis client.
  * @property {RetryManager} retryManager - Manages retry scheduling and polling.
+ * @property {TaskScheduler} taskScheduler - Holds delayed and scheduled tasks of the queue until they are due.
  * @property {Map<string, Function>} handlers - Map of action names to their respective handler functions.
+ * @property {Map<string, Object>} handlerOptions - Map of action names to their handler options.
+ * @property {IdempotencyStore|null} idempotencyStore - Deduplication store, set once enableIdempotency is called.
+ * @property {RabbitMQConnection|null} rabbitConnection - Consumer connection, available once the worker started. Emits `reconnecting`, `recovered` and `failed`.
+ * @property {Object<string, Function[]>} lifecycleHooks - Hooks run before and after the worker stops.
+ * @property {Promise<boolean>|null} stopping - Pending stop, set once stop is called.
+ * @property {http.Server|null} metricsServer - Listener serving `/metrics`, set once startMetricsServer is called.
  */
 
 class Worker {
@@ -37,38 +60,252 @@ class Worker {
     this.retryManager = new RetryManager(this.redisClient, {
       maxRetries: process.env.MAX_RETRIES,
     });
+    this.taskScheduler = new TaskScheduler(this.redisClient);
+    this.retryPoller = null;
+    this.schedulePoller = null;
 
     // Map to store multiple handlers
     this.handlers = new Map();
+    this.handlerOptions = new Map();
+    this.idempotencyStore = null;
+    this.rabbitConnection = null;
+    this.lifecycleHooks = { beforeStop: [], afterStop: [] };
+    this.stopping = null;
+    this.metricsServer = null;
 
     this.setupProcessHandler();
   }
 }
 
 /**
- * Sets up process-level handlers to gracefully shut down the worker on fatal errors or termination signals.
+ * workers
+ *
+ * Workers created in this process, stopped together by the process-level handlers.
+ */
+const workers = new Set();
+let processHandlersRegistered = false;
+let processShuttingDown = false;
+
+/**
+ * Stops every worker of the process and exits.
+ *
+ * Exits with `exitCode` after a clean drain of every worker and with 1 when one of them still had tasks in flight at the timeout or
+ * failed to stop. A second shutdown request while stopping exits immediately.
+ *
+ * @param {Error|string} reason - Signal name or error that triggered the shutdown.
+ * @param {number} exitCode - Exit code used after a clean drain.
+ * @returns {Promise<void>}
+ */
+
+const shutdownWorkers = async (reason, exitCode) => {
+  if (processShuttingDown) {
+    log.error(`Forced shutdown of the workers: ${reason}`);
+    process.exit(1);
+  }
+  processShuttingDown = true;
+
+  if (reason instanceof Error) {
+    log.error(`Shutting down workers... Reason: ${reason.stack}`);
+  } else {
+    log.info(`Shutting down workers... Reason: ${reason}`);
+  }
+
+  const results = await Promise.allSettled(
+    [...workers].map((worker) => worker.stop())
+  );
+  let drained = true;
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      log.error(`Worker stop failed: ${result.reason?.message}`);
+    }
+    drained &&= result.status === 'fulfilled' && result.value;
+  }
+  process.exit(drained ? exitCode : 1);
+};
+
+/**
+ * Sets up process-level handlers to gracefully shut down the workers on fatal errors or termination signals.
+ *
+ * The handlers are registered once per process, however many workers it runs; each of them stops every worker before exiting.
  *
  * @function setupProcessHandler
  *
  * @memberof Worker.prototype
  *
  * @returns {void}
- *   Registers listeners for uncaught exceptions, unhandled promise rejections, and OS termination signals.
+ *   Adds the worker to the ones stopped by the listeners for uncaught exceptions, unhandled promise rejections, and OS
+ *   termination signals.
  */
 
 Worker.prototype.setupProcessHandler = function () {
-  process.on('uncaughtException', shutdown);
-  process.on('unhandledRejection', shutdown);
-  process.on('SIGTERM', shutdown);
-  process.on('SIGINT', shutdown);
-
-  function shutdown(reason) {
-    log.error('Shutting down worker...');
-    log.error(`Shutdown Reason: ${reason}`);
+  workers.add(this);
+  if (processHandlersRegistered) {
+    return;
+  }
+  processHandlersRegistered = true;
+
+  process.on('uncaughtException', (err) => shutdownWorkers(err, 1));
+  process.on('unhandledRejection', (reason) => shutdownWorkers(reason, 1));
+  process.on('SIGTERM', () => shutdownWorkers('SIGTERM', 0));
+  process.on('SIGINT', () => shutdownWorkers('SIGINT', 0));
+};
+
+/**
+ * Stops the worker and exits the process.
+ *
+ * Exits with `exitCode` after a clean drain and with 1 when tasks were still in flight at the timeout or stopping failed.
+ * A second shutdown request while stopping exits immediately.
+ *
+ * @function shutdown
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Error|string} reason - Signal name or error that triggered the shutdown.
+ * @param {number} exitCode - Exit code used after a clean drain.
+ * @returns {Promise<void>}
+ */
+
+Worker.prototype.shutdown = async function (reason, exitCode) {
+  if (this.stopping) {
+    log.error(`Forced shutdown of ${this.name}: ${reason}`);
+    process.exit(1);
+  }
+
+  if (reason instanceof Error) {
+    log.error(`Shutting down worker... Reason: ${reason.stack}`);
+  } else {
+    log.info(`Shutting down worker... Reason: ${reason}`);
+  }
+
+  try {
+    const drained = await this.stop();
+    process.exit(drained ? exitCode : 1);
+  } catch (err) {
+    log.error(`Worker stop failed: ${err.message}`);
     process.exit(1);
   }
 };
 
+/**
+ * Registers a hook that runs before the worker stops consuming.
+ *
+ * @function beforeStop
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Function} hook - Async function invoked with the worker instance.
+ * @returns {void}
+ */
+
+Worker.prototype.beforeStop = function (hook) {
+  this.lifecycleHooks.beforeStop.push(hook);
+};
+
+/**
+ * Registers a hook that runs after the worker stopped and its connections are closed.
+ *
+ * @function afterStop
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Function} hook - Async function invoked with the worker instance and `{ drained }`.
+ * @returns {void}
+ */
+
+Worker.prototype.afterStop = function (hook) {
+  this.lifecycleHooks.afterStop.push(hook);
+};
+
+/**
+ * Runs the hooks of a lifecycle stage in registration order. A failing hook is logged and does not stop the others.
+ *
+ * @function runLifecycleHooks
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {string} stage - Lifecycle stage (`beforeStop` or `afterStop`).
+ * @param {...any} args - Arguments passed to each hook after the worker instance.
+ * @returns {Promise<void>}
+ */
+
+Worker.prototype.runLifecycleHooks = async function (stage, ...args) {
+  for (const hook of this.lifecycleHooks[stage]) {
+    try {
+      await hook(this, ...args);
+    } catch (err) {
+      log.error(`[${this.name}] ${stage} hook failed: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Gracefully stops the worker.
+ *
+ * Steps:
+ * - Runs the `beforeStop` hooks
+ * - Stops the retry and schedule pollers
+ * - Cancels the consumer so no new task is delivered
+ * - Waits up to `timeoutMs` for in-flight tasks to be acknowledged
+ * - Closes the RabbitMQ and Redis connections and the metrics listener, and flushes pending spans
+ * - Runs the `afterStop` hooks
+ *
+ * Calling stop more than once returns the pending stop.
+ *
+ * @function stop
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Object} [options={}] - Stop settings.
+ * @param {number} [options.timeoutMs] - Maximum time to wait for in-flight tasks (defaults to WORKER_STOP_TIMEOUT_MS or 30 seconds).
+ * @returns {Promise<boolean>} - True when every in-flight task finished before the timeout.
+ */
+
+Worker.prototype.stop = function (options = {}) {
+  if (this.stopping) {
+    return this.stopping;
+  }
+
+  const timeoutMs =
+    options.timeoutMs ?? (Number(process.env.WORKER_STOP_TIMEOUT_MS) || 30000);
+
+  this.stopping = (async () => {
+    await this.runLifecycleHooks('beforeStop');
+
+    clearInterval(this.retryPoller);
+    clearInterval(this.schedulePoller);
+    this.retryPoller = null;
+    this.schedulePoller = null;
+
+    let drained = true;
+    if (this.rabbitConnection) {
+      await this.rabbitConnection.cancelConsumers();
+      log.info(`[${this.name}] Consumer cancelled, draining in-flight tasks`);
+
+      drained = await this.rabbitConnection.drainConsumers(timeoutMs);
+      if (!drained) {
+        log.warning(
+          `[${this.name}] In-flight tasks did not finish within ${timeoutMs} ms`
+        );
+      }
+      await this.rabbitConnection.close();
+    }
+
+    await getPublisherConnection().close();
+    await this.redisConnection.disconnect();
+    await closeTracer();
+    if (this.metricsServer) {
+      await new Promise((resolve) => this.metricsServer.close(resolve));
+      this.metricsServer = null;
+    }
+
+    await this.runLifecycleHooks('afterStop', { drained });
+    log.info(`${this.name} Service Stopped`);
+    return drained;
+  })();
+
+  return this.stopping;
+};
+
 /**
  * Registers a handler function for a specific action.
  *
@@ -78,72 +315,265 @@ Worker.prototype.setupProcessHandler = function () {
  *
  * @param {string} action - Action name used to route incoming tasks.
  * @param {Function} handler - Function responsible for processing tasks of the given action.
+ * @param {Object} [options={}] - Optional handler settings.
+ * @param {Function} [options.idempotencyKey] - Resolves the deduplication key from the task data; defaults to the task ID.
+ * @param {boolean} [options.rpc=false] - Sends the handler's return value (or error) back to the caller of rpcCall.
  * @returns {void} - Binds and stores the handler in the internal handler map.
  */
 
-Worker.prototype.registerHandler = function (action, handler) {
+Worker.prototype.registerHandler = function (action, handler, options = {}) {
   this.handlers.set(action, handler.bind(this));
+  this.handlerOptions.set(action, options);
   log.info(`Registered handler for action: ${action}`);
 };
 
 /**
- * Wraps task execution with routing, logging, and retry handling.
+ * Enables Redis-backed deduplication so a task is handled only once, even when it is delivered or republished more than once.
+ *
+ * Processed keys are remembered for `ttlMs`; a task whose key is still being processed by another consumer is deferred through the
+ * retry queue until the first run finished.
+ *
+ * @function enableIdempotency
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Object} [options={}] - IdempotencyStore options.
+ * @param {number} [options.ttlMs] - How long a processed key is remembered (defaults to IDEMPOTENCY_TTL_MS or 24 hours).
+ * @param {number} [options.inFlightTtlMs] - How long an in-flight claim is held if never completed.
+ * @returns {void}
+ */
+
+Worker.prototype.enableIdempotency = function (options = {}) {
+  this.idempotencyStore = new IdempotencyStore(this.redisClient, {
+    prefix: `idempotency:${this.queueKey}`,
+    ttlMs: process.env.IDEMPOTENCY_TTL_MS,
+    ...options,
+  });
+  log.info(`[${this.name}] Idempotent consumption enabled`);
+};
+
+/**
+ * Runs a task inside the request context of its publisher.
+ *
+ * The user ID, locale, correlation ID and session ID captured by publishTask are restored, so `RequestContext.get()`, audit columns
+ * and translations behave in handlers as they do in the HTTP request that published the task. Log lines also carry the task ID.
+ *
+ * The store starts empty apart from the consumer span, so fields of whatever context the delivery callback runs in never leak into
+ * the task.
  *
  * @function _messageWrapper
  *
  * @memberof Worker.prototype
  *
  * @param {Object} data - Task payload received from the queue.
+ * @returns {Promise<void>} - Resolves once the task was processed (see _processTask).
+ */
+
+Worker.prototype._messageWrapper = function (data) {
+  return RequestContext.run(
+    {
+      trace: RequestContext.get()?.trace,
+      locale: 'en-US',
+      ...restoreTaskContext(data.context),
+      taskId: data.taskId,
+    },
+    () => this._processTask(data)
+  );
+};
+
+/**
+ * Wraps task execution with routing, logging, and retry handling.
+ *
+ * When idempotency is enabled, duplicates of processed tasks are acknowledged without running the handler. A duplicate of a task
+ * still in flight is deferred through the retry queue, so it is redelivered (and then skipped or processed) once the first run
+ * finished or its claim expired. Marking a task as processed never triggers a retry: when it fails, the in-flight claim keeps
+ * rejecting duplicates until it expires.
+ *
+ * RPC handlers reply with their return value, or with the error when they fail; failed RPC requests are not retried, and duplicate
+ * RPC requests are answered with a 409 error.
+ *
+ * Handler latency and failures are recorded per action in `worker_task_duration_seconds` and `worker_task_failures_total`.
+ *
+ * A failed task is acknowledged once its retry is scheduled in Redis. When the retry limit is exceeded the task is moved to the
+ * queue's DLQ with its full failure history; if that fails the error is rethrown so the broker dead-letters the message instead.
+ *
+ * @function _processTask
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Object} data - Task payload received from the queue.
  * @param {string} data.taskId - Unique identifier for the task.
  * @param {Object} data.payload - Actual task payload.
  * @param {Object} [data.context] - Optional task metadata.
- * @returns {Promise<void>} - Executes the appropriate handler or schedules a retry on failure.
- * @throws {Error} - Rethrows handler errors after retry scheduling.
+ * @param {Object|null} [data.retry] - Retry metadata restored from the message headers.
+ * @param {Object|null} [data.rpc] - Reply address when the task is an RPC request.
+ * @returns {Promise<void>} - Executes the appropriate handler, schedules a retry, or dead-letters the task on failure.
+ * @throws {Error} - Rethrows handler errors when the task could not be moved to the DLQ.
  */
 
-Worker.prototype._messageWrapper = async function (data) {
+Worker.prototype._processTask = async function (data) {
+  const action = data.context?.action || 'default';
+  const isRpc = Boolean(data.rpc && this.handlerOptions.get(action)?.rpc);
+  let idempotencyKey = null;
+  let endTimer = null;
+
   try {
-    const action = data.context?.action || 'default';
     const handler = this.handlers.get(action);
 
     if (!handler) {
       throw new Error(`No handler registered for action: ${action}`);
     }
 
+    if (this.idempotencyStore) {
+      const resolveKey = this.handlerOptions.get(action)?.idempotencyKey;
+      idempotencyKey = resolveKey ? resolveKey(data) : data.taskId;
+
+      const state = await this.idempotencyStore.acquire(idempotencyKey);
+      if (state !== IDEMPOTENCY_STATE.ACQUIRED) {
+        idempotencyKey = null;
+        await this._skipDuplicate(data, state, isRpc);
+        return;
+      }
+    }
+
     log.info(`Routing Task [${data.taskId}] to [${action}] handler`);
-    await handler(data);
+    endTimer = workerTaskDuration.startTimer({ worker: this.name, action });
+    const result = await handler(data);
+    endTimer({ status: 'success' });
+    endTimer = null;
+
+    // The handler succeeded: from here on the task must never be retried, whatever happens to its key
+    if (idempotencyKey) {
+      const key = idempotencyKey;
+      idempotencyKey = null;
+      try {
+        await this.idempotencyStore.complete(key);
+      } catch (completeErr) {
+        log.error(
+          `[Worker] Task [${data.taskId}] could not be marked as processed, duplicates are rejected until its claim expires: ${completeErr.message}`
+        );
+      }
+    }
+
+    if (isRpc) {
+      await sendRpcReply(data.rpc, { result });
+    }
   } catch (err) {
     log.error(`[Worker] Task [${data.taskId}] Failed: ${err.message}`);
+    endTimer?.({ status: 'failure' });
+    workerTaskFailures.inc({ worker: this.name, action });
+    if (idempotencyKey) {
+      try {
+        await this.idempotencyStore.release(idempotencyKey);
+      } catch (releaseErr) {
+        log.error(
+          `[Worker] Task [${data.taskId}] claim could not be released, its retry waits until the claim expires: ${releaseErr.message}`
+        );
+      }
+    }
+
+    // The caller is waiting for the reply, so RPC failures are answered instead of retried
+    if (isRpc) {
+      await sendRpcReply(data.rpc, {
+        error: {
+          status: err.status || 500,
+          message: err.message,
+          errors: err.errors,
+        },
+      });
+      return;
+    }
+
     const scheduled = await this.retryManager.scheduleRetry(
       this.queueKey,
-      data
+      data,
+      err
     );
     if (scheduled) {
       log.info(`[Worker] Task ${data.taskId} moved to Redis for retry...`);
+      return;
+    }
+
+    try {
+      await deadLetterTask(this.queueKey, {
+        ...data,
+        retry: this.retryManager.recordFailure(data, err),
+      });
+      log.warning(`[Worker] Task ${data.taskId} moved to DLQ`);
+    } catch (dlqErr) {
+      log.error(
+        `[Worker] Task ${data.taskId} could not be moved to DLQ: ${dlqErr.message}`
+      );
+      throw err;
     }
-    throw err;
   }
 };
 
+/**
+ * Handles a task whose idempotency key was already claimed.
+ *
+ * A processed duplicate is dropped. A duplicate of a task still in flight is deferred through the retry queue without counting
+ * an attempt, so it survives a crash of the consumer processing the first copy.
+ *
+ * A duplicate RPC request is answered with a 409 error instead, so its caller does not wait for the reply until it times out.
+ *
+ * @function _skipDuplicate
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {Object} data - Task payload received from the queue.
+ * @param {string} state - IDEMPOTENCY_STATE of the task key.
+ * @param {boolean} [isRpc=false] - Whether the task is an RPC request awaiting a reply.
+ * @returns {Promise<void>} - Resolves once the duplicate is answered, dropped or deferred.
+ * @throws {Error} - Thrown when the duplicate could not be deferred.
+ */
+
+Worker.prototype._skipDuplicate = async function (data, state, isRpc = false) {
+  if (isRpc) {
+    log.warning(
+      `[Worker] RPC request [${data.taskId}] rejected as duplicate (${state})`
+    );
+    await sendRpcReply(data.rpc, {
+      error: {
+        status: 409,
+        message: 'Duplicate request',
+        errors: { taskId: data.taskId, state },
+      },
+    });
+    return;
+  }
+
+  if (state === IDEMPOTENCY_STATE.IN_FLIGHT) {
+    await this.retryManager.deferRetry(this.queueKey, data);
+    log.warning(
+      `[Worker] Task [${data.taskId}] is still in flight elsewhere, redelivery deferred`
+    );
+    return;
+  }
+
+  log.warning(`[Worker] Task [${data.taskId}] skipped as duplicate (${state})`);
+};
+
 /**
  * Starts a polling loop to fetch and requeue tasks whose retry delay has elapsed.
  *
+ * Due tasks are claimed atomically under a lease, so replicas of the same worker never republish a task twice. Each claimed task
+ * is acknowledged once republished and released when publishing failed; a malformed entry is logged and discarded without
+ * affecting the rest of the batch. Tasks claimed by a poller that crashed before publishing are due again once their lease expired.
+ *
  * @function startRetryPoller
  *
  * @memberof Worker.prototype
  *
- * @returns {void} - Periodically polls Redis for due retry tasks and republishes them to the queue.
+ * @returns {void} - Periodically polls Redis for due retry tasks and republishes them to the queue with their original task ID and retry metadata.
  */
 
 Worker.prototype.startRetryPoller = function () {
-  setInterval(async () => {
+  this.retryPoller = setInterval(async () => {
     try {
-      const dueTasks = await this.retryManager.fetchDueRetries(this.queueKey);
+      const dueTasks = await this.retryManager.claimDueRetries(this.queueKey);
       for (const serializedTask of dueTasks) {
-        log.info('Due Tasks retry initiated');
-        const task = JSON.parse(serializedTask);
-        await publishTask(this.queueKey, task.payload, task.context);
-        await this.retryManager.removeRetry(this.queueKey, serializedTask);
+        await this.republishRetry(serializedTask);
       }
     } catch (err) {
       log.error(`Poller Error: ${err.message}`);
@@ -152,7 +582,126 @@ Worker.prototype.startRetryPoller = function () {
 };
 
 /**
- * Starts the worker by initializing the queue consumer and retry poller.
+ * Republishes a claimed retry with its original task ID and retry metadata, then acknowledges the claim.
+ *
+ * Never throws: a failed publish releases the task for a later attempt, and a failed release leaves it to its lease expiry.
+ *
+ * @function republishRetry
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {string} serializedTask - Retry entry claimed from Redis.
+ * @returns {Promise<void>}
+ */
+
+Worker.prototype.republishRetry = async function (serializedTask) {
+  let task;
+  try {
+    task = JSON.parse(serializedTask);
+  } catch (err) {
+    log.error(`Discarding malformed retry entry: ${err.message}`);
+    await this.retryManager
+      .acknowledgeRetry(this.queueKey, serializedTask)
+      .catch((ackErr) =>
+        log.error(`Retry acknowledge failed: ${ackErr.message}`)
+      );
+    return;
+  }
+
+  log.info(`Due Task ${task.taskId} retry initiated`);
+  try {
+    await publishTask(this.queueKey, task.payload, task.context, {
+      taskId: task.taskId,
+      retry: task.retry,
+    });
+  } catch (err) {
+    log.error(`Retry publish failed for ${task.taskId}: ${err.message}`);
+    await this.retryManager
+      .releaseRetry(this.queueKey, serializedTask)
+      .catch((releaseErr) =>
+        log.error(
+          `Retry release failed for ${task.taskId}, it is due again once its lease expired: ${releaseErr.message}`
+        )
+      );
+    return;
+  }
+
+  try {
+    await this.retryManager.acknowledgeRetry(this.queueKey, serializedTask);
+  } catch (err) {
+    log.error(
+      `Retry acknowledge failed for ${task.taskId}, it may be republished once its lease expired: ${err.message}`
+    );
+  }
+};
+
+/**
+ * Starts a polling loop that publishes delayed and scheduled tasks of the queue once their run time is reached.
+ *
+ * Due tasks are claimed atomically under a lease, so replicas of the same worker never publish a scheduled task twice, and a task
+ * claimed by a poller that crashed before publishing is due again once its lease expired.
+ *
+ * @function startSchedulePoller
+ *
+ * @memberof Worker.prototype
+ *
+ * @returns {void} - Periodically polls Redis for due scheduled tasks and publishes them with their original task ID.
+ */
+
+Worker.prototype.startSchedulePoller = function () {
+  this.schedulePoller = setInterval(async () => {
+    try {
+      await publishDueTasks(this.queueKey, this.taskScheduler);
+    } catch (err) {
+      log.error(`Schedule Poller Error: ${err.message}`);
+    }
+  }, 1000);
+};
+
+/**
+ * Starts a minimal HTTP listener serving the metrics registry at `/metrics` in the Prometheus text format.
+ *
+ * The listener is closed when the worker stops.
+ *
+ * @function startMetricsServer
+ *
+ * @memberof Worker.prototype
+ *
+ * @param {number} [port] - Port to listen on (defaults to METRICS_PORT or 9464).
+ * @returns {Promise<http.Server>} - Resolves once the listener accepts connections.
+ */
+
+Worker.prototype.startMetricsServer = function (port) {
+  const metricsPort = port ?? (Number(process.env.METRICS_PORT) || 9464);
+
+  this.metricsServer = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      res.writeHead(200, { 'Content-Type': metricsRegistry.contentType });
+      res.end(await metricsRegistry.metrics());
+    } catch (err) {
+      log.error(`Metrics collection failed: ${err.message}`);
+      res.writeHead(500).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    this.metricsServer.once('error', reject);
+    this.metricsServer.listen(metricsPort, () => {
+      log.info(`[${this.name}] Metrics available on port ${metricsPort}`);
+      resolve(this.metricsServer);
+    });
+  });
+};
+
+/**
+ * Starts the worker by initializing the queue consumer, retry poller and schedule poller.
+ *
+ * The retry queue depth is reported in `retry_queue_depth`; when METRICS_PORT is set, the metrics listener is started as well.
  *
  * @function start
  *
@@ -166,12 +715,24 @@ Worker.prototype.startRetryPoller = function () {
 
 Worker.prototype.start = async function (options = { prefetch: 2 }) {
   try {
-    await startConsumer(
+    this.rabbitConnection = await startConsumer(
       this.queueKey,
       this._messageWrapper.bind(this),
       options
     );
+    this.rabbitConnection.on('failed', (err) => {
+      log.error(`[${this.name}] RabbitMQ recovery failed: ${err.message}`);
+    });
     this.startRetryPoller();
+    this.startSchedulePoller();
+    this.afterStop(
+      observeRetryQueue(this.queueKey, () =>
+        this.retryManager.getDepth(this.queueKey)
+      )
+    );
+    if (process.env.METRICS_PORT && !this.metricsServer) {
+      await this.startMetricsServer();
+    }
     log.info(`${this.name} Service Online`);
   } catch (err) {
     log.error(`Worker Startup Failed: ${err.message}`);
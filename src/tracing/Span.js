@@ -0,0 +1,193 @@
+'use strict';
+
+import { performance } from 'perf_hooks';
+import { generateSpanId, generateTraceId } from './traceparent.js';
+
+/**
+ * SPAN_KIND
+ *
+ * Span kinds, numbered as in OTLP.
+ */
+const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5,
+};
+
+/**
+ * SPAN_STATUS
+ *
+ * Span status codes, numbered as in OTLP.
+ */
+const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+/**
+ * nowUnixNano
+ *
+ * @returns {bigint} - Current wall-clock time in nanoseconds, with sub-millisecond precision.
+ */
+
+const nowUnixNano = () =>
+  BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+/**
+ * Span
+ *
+ * A timed operation within a trace. A span continues the trace of its parent, or starts a new trace without one.
+ *
+ * Ending a span hands it to the `onEnd` callback (the tracer's exporter) when the trace is sampled; a span ends only once.
+ */
+
+class Span {
+  /**
+   * Creates a new Span instance.
+   *
+   * @param {string} name - Operation name.
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {number} [options.kind=SPAN_KIND.INTERNAL] - Span kind.
+   * @param {Object} [options.parent] - Parent span context ({ traceId, spanId, sampled }).
+   * @param {boolean} [options.sampled=true] - Sampling decision for a new trace; a child inherits the decision of its parent.
+   * @param {Object} [options.attributes={}] - Initial attributes.
+   * @param {Function} [options.onEnd] - Called with the span once it ended.
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.kind = options.kind ?? SPAN_KIND.INTERNAL;
+    this.traceId = options.parent?.traceId || generateTraceId();
+    this.spanId = generateSpanId();
+    this.parentSpanId = options.parent?.spanId || null;
+    this.sampled = options.parent
+      ? options.parent.sampled
+      : (options.sampled ?? true);
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTime = nowUnixNano();
+    this.endTime = null;
+    this.onEnd = options.onEnd;
+
+    this.setAttributes(options.attributes || {});
+  }
+
+  /**
+   * context
+   *
+   * @returns {{ traceId: string, spanId: string, sampled: boolean }} - Context propagated to child spans and downstream calls.
+   */
+  context() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      sampled: this.sampled,
+    };
+  }
+
+  /**
+   * setAttribute
+   *
+   * @param {string} key - Attribute name (e.g., `http.route`).
+   * @param {string|number|boolean} value - Attribute value; undefined values are ignored.
+   * @returns {Span}
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * setAttributes
+   *
+   * @param {Object} attributes - Attributes to add.
+   * @returns {Span}
+   */
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * setStatus
+   *
+   * @param {number} code - SPAN_STATUS code.
+   * @param {string} [message] - Error description.
+   * @returns {Span}
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * recordException
+   *
+   * Adds an `exception` event and marks the span as failed.
+   *
+   * @param {Error|string} err - Error raised by the operation.
+   * @returns {Span}
+   */
+  recordException(err) {
+    const message = err?.message || String(err);
+    this.events.push({
+      name: 'exception',
+      time: nowUnixNano(),
+      attributes: {
+        'exception.type': err?.name || 'Error',
+        'exception.message': message,
+        ...(err?.stack && { 'exception.stacktrace': err.stack }),
+      },
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, message);
+  }
+
+  /**
+   * end
+   *
+   * @returns {void}
+   */
+  end() {
+    if (this.endTime) {
+      return;
+    }
+
+    this.endTime = nowUnixNano();
+    if (this.sampled && this.onEnd) {
+      this.onEnd(this);
+    }
+  }
+
+  /**
+   * toJSON
+   *
+   * @returns {Object} - Plain representation of the span, as written by the file exporter.
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: this.endTime ? String(this.endTime) : null,
+      attributes: this.attributes,
+      events: this.events.map((event) => ({
+        ...event,
+        time: String(event.time),
+      })),
+      status: this.status,
+    };
+  }
+}
+
+export { SPAN_KIND, SPAN_STATUS };
+export default Span;
@@ -0,0 +1,190 @@
+'use strict';
+
+import Span from './Span.js';
+import { OTLPExporter, FileExporter } from './exporters.js';
+import { formatTraceparent, parseTraceparent } from './traceparent.js';
+import { RequestContext } from '../utils/index.js';
+
+/**
+ * Tracer
+ *
+ * Creates spans and propagates W3C trace context across HTTP calls and RabbitMQ messages.
+ *
+ * The active span context is kept in RequestContext under `trace`, so spans started while handling a request or task become its
+ * children and log lines carry the trace ID.
+ *
+ * Spans are exported through the exporter selected by TRACING_EXPORTER: `otlp`, `file`, or `none` (default). Without an exporter,
+ * incoming trace context is still propagated downstream.
+ */
+
+class Tracer {
+  /**
+   * Creates a new Tracer instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {Object|null} [options.exporter] - Exporter receiving finished spans (defaults to the one selected by TRACING_EXPORTER).
+   * @param {number} [options.sampleRatio] - Share of new traces recorded, 0 to 1 (defaults to TRACING_SAMPLE_RATIO or 1).
+   */
+  constructor(options = {}) {
+    this.exporter =
+      options.exporter !== undefined
+        ? options.exporter
+        : Tracer.createExporter(process.env.TRACING_EXPORTER);
+    const ratio =
+      options.sampleRatio ?? Number(process.env.TRACING_SAMPLE_RATIO);
+    this.sampleRatio = Number.isFinite(ratio) ? ratio : 1;
+  }
+
+  /**
+   * createExporter
+   *
+   * @param {string} [name] - Exporter name: `otlp`, `file` or `none`.
+   * @returns {OTLPExporter|FileExporter|null}
+   */
+  static createExporter(name) {
+    switch (name?.toLowerCase()) {
+      case 'otlp':
+        return new OTLPExporter();
+      case 'file':
+        return new FileExporter();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * activeContext
+   *
+   * @returns {{ traceId: string, spanId: string, sampled: boolean }|null} - Span context of the current request or task.
+   */
+  activeContext() {
+    return RequestContext.get()?.trace || null;
+  }
+
+  /**
+   * startSpan
+   *
+   * Starts a span. Without an explicit parent the active span becomes the parent.
+   *
+   * @param {string} name - Operation name.
+   * @param {Object} [options={}] - Span options.
+   * @param {number} [options.kind] - SPAN_KIND of the span.
+   * @param {Object|null} [options.parent] - Parent span context; `null` forces a new trace.
+   * @param {Object} [options.attributes] - Initial attributes.
+   * @returns {Span} - Started span; call `end()` once the operation finished.
+   */
+  startSpan(name, options = {}) {
+    const parent =
+      options.parent !== undefined ? options.parent : this.activeContext();
+
+    return new Span(name, {
+      kind: options.kind,
+      parent,
+      sampled: Boolean(this.exporter) && Math.random() < this.sampleRatio,
+      attributes: options.attributes,
+      onEnd: this.exporter && ((span) => this.exporter.export(span)),
+    });
+  }
+
+  /**
+   * withSpan
+   *
+   * Runs a function inside a new span that is active for everything the function calls. The span records the error when the function
+   * throws, and ends once the function settled.
+   *
+   * @param {string} name - Operation name.
+   * @param {Object} options - Span options (see startSpan).
+   * @param {Function} fn - Function receiving the span.
+   * @returns {Promise<any>} - Result of the function.
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    return RequestContext.run(
+      { ...RequestContext.get(), trace: span.context() },
+      async () => {
+        try {
+          return await fn(span);
+        } catch (err) {
+          span.recordException(err);
+          throw err;
+        } finally {
+          span.end();
+        }
+      }
+    );
+  }
+
+  /**
+   * inject
+   *
+   * @param {Object} [headers={}] - Outgoing HTTP or AMQP headers.
+   * @param {Object} [spanContext] - Context to propagate (defaults to the active span).
+   * @returns {Object} - Headers with `traceparent` added when a trace is active.
+   */
+  inject(headers = {}, spanContext = this.activeContext()) {
+    return spanContext
+      ? { ...headers, traceparent: formatTraceparent(spanContext) }
+      : headers;
+  }
+
+  /**
+   * extract
+   *
+   * @param {Object} [headers={}] - Incoming HTTP or AMQP headers.
+   * @returns {Object|null} - Remote span context carried by `traceparent`; null when absent or malformed.
+   */
+  extract(headers = {}) {
+    return parseTraceparent(headers?.traceparent);
+  }
+
+  /**
+   * shutdown
+   *
+   * Flushes the spans waiting to be exported.
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.exporter?.shutdown();
+  }
+}
+
+/**
+ * tracer
+ *
+ * Shared Tracer instance, created on first use.
+ */
+let tracer = null;
+
+/**
+ * getTracer
+ *
+ * @returns {Tracer} - Shared tracer.
+ */
+
+const getTracer = () => {
+  if (!tracer) {
+    tracer = new Tracer();
+  }
+  return tracer;
+};
+
+/**
+ * closeTracer
+ *
+ * Flushes and releases the shared tracer. Called during graceful shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+
+const closeTracer = async () => {
+  if (tracer) {
+    const current = tracer;
+    tracer = null;
+    await current.shutdown();
+  }
+};
+
+export { getTracer, closeTracer };
+export default Tracer;
@@ -0,0 +1,282 @@
+'use strict';
+
+import axios from 'axios';
+import { appendFile } from 'fs/promises';
+import { generalServiceConfig } from '../../constants.js';
+import { logger } from '../utils/index.js';
+
+const log = logger('tracing');
+
+/**
+ * toOtlpAttributes
+ *
+ * @param {Object} attributes - Plain span or resource attributes.
+ * @returns {Object[]} - OTLP/JSON key-value list.
+ */
+
+const toOtlpAttributes = (attributes) =>
+  Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    if (Number.isInteger(value)) {
+      return { key, value: { intValue: String(value) } };
+    }
+    if (typeof value === 'number') {
+      return { key, value: { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+
+/**
+ * OTLPExporter
+ *
+ * Sends finished spans to an OpenTelemetry collector using OTLP/HTTP with JSON encoding.
+ *
+ * Spans are batched and sent when the batch is full or the flush interval elapsed. A failed export is logged and its spans are dropped,
+ * so an unreachable collector never grows memory or blocks requests.
+ */
+
+class OTLPExporter {
+  /**
+   * Creates a new OTLPExporter instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.url] - Traces endpoint (defaults to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, then OTEL_EXPORTER_OTLP_ENDPOINT
+   * followed by `/v1/traces`, then `http://localhost:4318/v1/traces`).
+   * @param {Object} [options.headers] - Extra request headers (defaults to OTEL_EXPORTER_OTLP_HEADERS, `key=value` comma separated).
+   * @param {string} [options.serviceName] - `service.name` resource attribute (defaults to SERVICE_NAME).
+   * @param {number} [options.maxBatchSize=512] - Spans sent per request.
+   * @param {number} [options.maxQueueSize=2048] - Spans kept while waiting to be sent; further spans are dropped.
+   * @param {number} [options.flushIntervalMs=5000] - Maximum time a span waits before being sent.
+   */
+  constructor(options = {}) {
+    this.url =
+      options.url ||
+      process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`;
+    this.headers =
+      options.headers ||
+      Object.fromEntries(
+        (process.env.OTEL_EXPORTER_OTLP_HEADERS || '')
+          .split(',')
+          .map((entry) => entry.split('=').map((part) => part.trim()))
+          .filter(([key, value]) => key && value)
+      );
+    this.serviceName =
+      options.serviceName || process.env.SERVICE_NAME || 'unknown';
+    this.maxBatchSize = options.maxBatchSize ?? 512;
+    this.maxQueueSize = options.maxQueueSize ?? 2048;
+    this.queue = [];
+    this.sending = null;
+
+    this.timer = setInterval(
+      () => this.flush(),
+      options.flushIntervalMs ?? 5000
+    );
+    this.timer.unref();
+  }
+
+  /**
+   * export
+   *
+   * @param {Span} span - Finished span.
+   * @returns {void}
+   */
+  export(span) {
+    if (this.queue.length >= this.maxQueueSize) {
+      return;
+    }
+
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * toPayload
+   *
+   * @param {Span[]} spans - Spans of one batch.
+   * @returns {Object} - OTLP `ExportTraceServiceRequest` body.
+   */
+  toPayload(spans) {
+    return {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: toOtlpAttributes({ 'service.name': this.serviceName }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: 'common-svc-lib' },
+              spans: spans.map((span) => ({
+                traceId: span.traceId,
+                spanId: span.spanId,
+                ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                name: span.name,
+                kind: span.kind,
+                startTimeUnixNano: String(span.startTime),
+                endTimeUnixNano: String(span.endTime),
+                attributes: toOtlpAttributes(span.attributes),
+                events: span.events.map((event) => ({
+                  name: event.name,
+                  timeUnixNano: String(event.time),
+                  attributes: toOtlpAttributes(event.attributes),
+                })),
+                status: span.status,
+              })),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * flush
+   *
+   * Sends the queued spans. Concurrent calls wait for the running export first.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.sending) {
+      await this.sending;
+    }
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const spans = this.queue.splice(0, this.maxBatchSize);
+    this.sending = axios
+      .post(this.url, this.toPayload(spans), {
+        headers: this.headers,
+        timeout: generalServiceConfig.timeout,
+      })
+      .catch((err) => {
+        log.error(`Failed to export ${spans.length} span(s): ${err.message}`);
+      })
+      .finally(() => {
+        this.sending = null;
+      });
+    await this.sending;
+
+    if (this.queue.length >= this.maxBatchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * shutdown
+   *
+   * Stops the flush timer and sends the remaining spans.
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    clearInterval(this.timer);
+    while (this.queue.length > 0 || this.sending) {
+      await this.flush();
+    }
+  }
+}
+
+/**
+ * FileExporter
+ *
+ * Appends every finished span as a JSON line to a local file. Meant for tests and local debugging.
+ *
+ * Spans are buffered and appended asynchronously when the batch is full or the flush interval elapsed, so exporting never blocks
+ * the event loop. A failed write is logged and its spans are dropped.
+ */
+
+class FileExporter {
+  /**
+   * Creates a new FileExporter instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {string} [options.path] - Target file (defaults to TRACING_FILE or `traces.jsonl`).
+   * @param {number} [options.maxBatchSize=512] - Spans appended per write.
+   * @param {number} [options.maxQueueSize=2048] - Spans kept while waiting to be written; further spans are dropped.
+   * @param {number} [options.flushIntervalMs=1000] - Maximum time a span waits before being written.
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.TRACING_FILE || 'traces.jsonl';
+    this.maxBatchSize = options.maxBatchSize ?? 512;
+    this.maxQueueSize = options.maxQueueSize ?? 2048;
+    this.queue = [];
+    this.writing = null;
+
+    this.timer = setInterval(
+      () => this.flush(),
+      options.flushIntervalMs ?? 1000
+    );
+    this.timer.unref();
+  }
+
+  /**
+   * export
+   *
+   * @param {Span} span - Finished span.
+   * @returns {void}
+   */
+  export(span) {
+    if (this.queue.length >= this.maxQueueSize) {
+      return;
+    }
+
+    this.queue.push(`${JSON.stringify(span)}\n`);
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * flush
+   *
+   * Appends the queued spans. Concurrent calls wait for the running write first.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.writing) {
+      await this.writing;
+    }
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const lines = this.queue.splice(0, this.maxBatchSize);
+    this.writing = appendFile(this.path, lines.join(''))
+      .catch((err) => {
+        log.error(
+          `Failed to write ${lines.length} span(s) to ${this.path}: ${err.message}`
+        );
+      })
+      .finally(() => {
+        this.writing = null;
+      });
+    await this.writing;
+
+    if (this.queue.length >= this.maxBatchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * shutdown
+   *
+   * Stops the flush timer and writes the remaining spans.
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    clearInterval(this.timer);
+    while (this.queue.length > 0 || this.writing) {
+      await this.flush();
+    }
+  }
+}
+
+export { OTLPExporter, FileExporter };
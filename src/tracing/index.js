@@ -0,0 +1,19 @@
+'use strict';
+
+import Tracer, { getTracer, closeTracer } from './Tracer.js';
+import Span, { SPAN_KIND, SPAN_STATUS } from './Span.js';
+import { OTLPExporter, FileExporter } from './exporters.js';
+import { parseTraceparent, formatTraceparent } from './traceparent.js';
+
+export {
+  Tracer,
+  getTracer,
+  closeTracer,
+  Span,
+  SPAN_KIND,
+  SPAN_STATUS,
+  OTLPExporter,
+  FileExporter,
+  parseTraceparent,
+  formatTraceparent,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+import { randomBytes } from 'crypto';
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * generateTraceId
+ *
+ * @returns {string} - Random 16-byte trace ID as lowercase hex.
+ */
+
+const generateTraceId = () => randomBytes(16).toString('hex');
+
+/**
+ * generateSpanId
+ *
+ * @returns {string} - Random 8-byte span ID as lowercase hex.
+ */
+
+const generateSpanId = () => randomBytes(8).toString('hex');
+
+/**
+ * parseTraceparent
+ *
+ * Parses a W3C `traceparent` header (version 00).
+ *
+ * @param {string} [header] - Header value, e.g. `00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01`.
+ * @returns {{ traceId: string, spanId: string, sampled: boolean }|null} - Remote span context; null when absent or malformed.
+ */
+
+const parseTraceparent = (header) => {
+  const match =
+    typeof header === 'string' &&
+    TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    traceId: match[1],
+    spanId: match[2],
+    sampled: (parseInt(match[3], 16) & 1) === 1,
+  };
+};
+
+/**
+ * formatTraceparent
+ *
+ * @param {Object} spanContext - Span context to propagate.
+ * @param {string} spanContext.traceId - Trace ID.
+ * @param {string} spanContext.spanId - Span ID of the caller.
+ * @param {boolean} spanContext.sampled - Whether the trace is recorded.
+ * @returns {string} - W3C `traceparent` header value.
+ */
+
+const formatTraceparent = ({ traceId, spanId, sampled }) =>
+  `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+
+export { generateTraceId, generateSpanId, parseTraceparent, formatTraceparent };
@@ -0,0 +1,135 @@
+'use strict';
+
+import { performance } from 'perf_hooks';
+
+/**
+ * HEALTH_STATUS
+ *
+ * Status reported for the service and for each dependency.
+ */
+const HEALTH_STATUS = {
+  UP: 'UP',
+  DOWN: 'DOWN',
+};
+
+/**
+ * HealthCheck
+ *
+ * Registry of dependency checks aggregated into a readiness report.
+ *
+ * Responsibilities:
+ * - Register named checks (database, Redis, RabbitMQ, custom)
+ * - Run every check in parallel, each bounded by its own timeout
+ * - Report per-dependency status and latency
+ */
+
+class HealthCheck {
+  /**
+   * Creates a new HealthCheck instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {number} [options.timeoutMs] - Default timeout of a check (defaults to HEALTH_CHECK_TIMEOUT_MS or 2 seconds).
+   */
+  constructor(options = {}) {
+    this.timeoutMs =
+      options.timeoutMs ??
+      (Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000);
+    this.checks = new Map();
+  }
+
+  /**
+   * register
+   *
+   * Registers a dependency check, replacing any check with the same name. The check passes when it resolves and fails when it throws.
+   *
+   * @param {string} name - Dependency name used in the report.
+   * @param {Function} check - Async function probing the dependency.
+   * @param {Object} [options={}] - Optional check settings.
+   * @param {number} [options.timeoutMs] - Timeout of this check.
+   * @returns {void}
+   */
+  register(name, check, options = {}) {
+    this.checks.set(name, {
+      check,
+      timeoutMs: options.timeoutMs ?? this.timeoutMs,
+    });
+  }
+
+  /**
+   * unregister
+   *
+   * @param {string} name - Dependency name.
+   * @returns {boolean} - True if a check was removed.
+   */
+  unregister(name) {
+    return this.checks.delete(name);
+  }
+
+  /**
+   * runCheck
+   *
+   * Runs a single check bounded by its timeout.
+   *
+   * @param {Object} entry - Registered check.
+   * @param {Function} entry.check - Async function probing the dependency.
+   * @param {number} entry.timeoutMs - Timeout of the check.
+   * @returns {Promise<{ status: string, latencyMs: number, error?: string }>}
+   */
+  async runCheck({ check, timeoutMs }) {
+    const start = performance.now();
+    let timer;
+
+    try {
+      await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Timed out after ${timeoutMs} ms`)),
+            timeoutMs
+          );
+        }),
+      ]);
+      return {
+        status: HEALTH_STATUS.UP,
+        latencyMs: Math.round(performance.now() - start),
+      };
+    } catch (err) {
+      return {
+        status: HEALTH_STATUS.DOWN,
+        latencyMs: Math.round(performance.now() - start),
+        error: err?.message || String(err),
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * run
+   *
+   * Runs every registered check in parallel.
+   *
+   * @returns {Promise<{ status: string, checks: Object<string, Object> }>} - `UP` only when every check passed.
+   */
+  async run() {
+    const entries = [...this.checks.entries()];
+    const results = await Promise.all(
+      entries.map(([, entry]) => this.runCheck(entry))
+    );
+
+    const checks = {};
+    entries.forEach(([name], index) => {
+      checks[name] = results[index];
+    });
+
+    return {
+      status: results.every((result) => result.status === HEALTH_STATUS.UP)
+        ? HEALTH_STATUS.UP
+        : HEALTH_STATUS.DOWN,
+      checks,
+    };
+  }
+}
+
+export { HEALTH_STATUS };
+export default HealthCheck;
@@ -0,0 +1,198 @@
+'use strict';
+
+import logger from './logger.js';
+
+const log = logger('shutdown-manager');
+
+/**
+ * ShutdownManager
+ *
+ * Coordinates the graceful shutdown of an HTTP service and the resources it owns.
+ *
+ * Shutdown sequence:
+ * 1. Flip readiness to failing so load balancers stop routing traffic
+ * 2. Keep serving for `readinessDelayMs`, so readiness probes observe the failure before connections are refused; skipped when an
+ *    error triggered the shutdown or it exits with a non-zero code, as the process should not keep serving in that state
+ * 3. Stop accepting connections and close idle keep-alive connections
+ * 4. Wait for active requests until the deadline, then destroy the remaining connections
+ * 5. Run the registered cleanup hooks in reverse registration order
+ * 6. Exit the process
+ */
+
+class ShutdownManager {
+  /**
+   * Creates a new ShutdownManager instance.
+   *
+   * @param {Object} [options={}] - Optional configuration object.
+   * @param {number} [options.timeoutMs] - Deadline for draining connections (defaults to SHUTDOWN_TIMEOUT_MS or 10 seconds).
+   * @param {number} [options.hookTimeoutMs] - Maximum duration of a single cleanup hook (defaults to 5 seconds).
+   * @param {number} [options.readinessDelayMs] - Delay between the readiness flip and closing the server (defaults to
+   * SHUTDOWN_READINESS_DELAY_MS or 5 seconds; set it above the readiness probe period).
+   */
+  constructor(options = {}) {
+    this.timeoutMs =
+      options.timeoutMs ?? (Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000);
+    this.hookTimeoutMs = options.hookTimeoutMs ?? 5000;
+    this.readinessDelayMs =
+      options.readinessDelayMs ??
+      Number(process.env.SHUTDOWN_READINESS_DELAY_MS ?? 5000);
+    this.hooks = [];
+    this.server = null;
+    this.shuttingDown = false;
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * register
+   *
+   * Registers a cleanup hook. Hooks run in reverse registration order, so resources registered first are released last.
+   *
+   * @param {string} name - Name used in logs.
+   * @param {Function} hook - Async function releasing the resource.
+   * @returns {Function} - Function that unregisters the hook.
+   */
+  register(name, hook) {
+    const entry = { name, hook };
+    this.hooks.push(entry);
+    return () => {
+      this.hooks = this.hooks.filter((registered) => registered !== entry);
+    };
+  }
+
+  /**
+   * attachServer
+   *
+   * Sets the HTTP server drained during shutdown.
+   *
+   * @param {Object} server - Node.js HTTP server instance.
+   * @returns {void}
+   */
+  attachServer(server) {
+    this.server = server;
+  }
+
+  /**
+   * isReady
+   *
+   * @returns {boolean} - False once shutdown started.
+   */
+  isReady() {
+    return !this.shuttingDown;
+  }
+
+  /**
+   * closeServer
+   *
+   * Stops accepting connections and waits for active requests to complete. Connections still open at the deadline are destroyed.
+   *
+   * @returns {Promise<boolean>} - True when every connection closed before the deadline.
+   */
+  async closeServer() {
+    if (!this.server) {
+      return true;
+    }
+
+    const server = this.server;
+    let timer;
+    const closed = new Promise((resolve) => {
+      server.close(() => resolve(true));
+      server.closeIdleConnections();
+    });
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), this.timeoutMs);
+    });
+
+    const drained = await Promise.race([closed, deadline]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      log.warning(
+        `Connections still open after ${this.timeoutMs} ms, closing them`
+      );
+      server.closeAllConnections();
+    }
+    return drained;
+  }
+
+  /**
+   * runHooks
+   *
+   * Runs the cleanup hooks in reverse registration order. A failing or hanging hook is logged and does not block the others.
+   *
+   * @returns {Promise<boolean>} - True when every hook completed successfully.
+   */
+  async runHooks() {
+    let succeeded = true;
+
+    for (const { name, hook } of [...this.hooks].reverse()) {
+      let timer;
+      try {
+        await Promise.race([
+          hook(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(
+              () =>
+                reject(new Error(`timed out after ${this.hookTimeoutMs} ms`)),
+              this.hookTimeoutMs
+            );
+          }),
+        ]);
+        log.info(`Cleanup hook [${name}] completed`);
+      } catch (err) {
+        succeeded = false;
+        log.error(`Cleanup hook [${name}] failed: ${err.message}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    return succeeded;
+  }
+
+  /**
+   * shutdown
+   *
+   * Gracefully shuts down the service and exits the process. Repeated calls share the pending shutdown.
+   *
+   * @param {Error|string} reason - Signal name or error that triggered the shutdown.
+   * @param {number} [exitCode=0] - Exit code used when the shutdown completed cleanly.
+   * @returns {Promise<void>}
+   */
+  shutdown(reason, exitCode = 0) {
+    if (this.shutdownPromise) {
+      if (reason instanceof Error) {
+        log.error(`Error during shutdown: ${reason.stack}`);
+      }
+      return this.shutdownPromise;
+    }
+
+    if (reason instanceof Error) {
+      log.error(`Shutting down server... Reason: ${reason.stack}`);
+    } else {
+      log.info(`Shutting down server... Reason: ${reason}`);
+    }
+    this.shuttingDown = true;
+
+    this.shutdownPromise = (async () => {
+      const failed = reason instanceof Error || exitCode !== 0;
+      if (this.server && this.readinessDelayMs > 0 && !failed) {
+        log.info(
+          `Readiness failing, closing the server in ${this.readinessDelayMs} ms`
+        );
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.readinessDelayMs)
+        );
+      }
+
+      const drained = await this.closeServer();
+      log.success('Server closed');
+
+      const cleaned = await this.runHooks();
+      process.exit(drained && cleaned ? exitCode : 1);
+    })();
+
+    return this.shutdownPromise;
+  }
+}
+
+export default ShutdownManager;
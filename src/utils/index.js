@@ -2,6 +2,8 @@
 
 import logger from './logger.js';
 import RequestContext from './RequestContext.js';
+import ShutdownManager from './ShutdownManager.js';
+import HealthCheck, { HEALTH_STATUS } from './HealthCheck.js';
 import { initializeI18n, translate } from './i18n.js';
 import ErrorBuilder from './ApiError.js';
 import ResponseBuilder from './ApiResponse.js';
@@ -15,6 +17,9 @@ import { formatResponseBody, _Response, _Error } from './formatResponse.js';
 export {
   logger,
   RequestContext,
+  ShutdownManager,
+  HealthCheck,
+  HEALTH_STATUS,
   initializeI18n,
   translate,
   ErrorBuilder,
@@ -1,6 +1,7 @@
 'use strict';
 
 import winston from 'winston';
+import RequestContext from './RequestContext.js';
 
 const customLevel = {
   levels: {
@@ -23,17 +24,179 @@ const customLevel = {
   },
 };
 
+const REDACTED = '[REDACTED]';
+
+/*
+ * Keys whose values are never written to the logs. Extended with the comma separated LOG_REDACT_KEYS.
+ */
+
+const SECRET_KEY_PATTERN = new RegExp(
+  [
+    'authorization',
+    'cookie',
+    'password',
+    'passwd',
+    'secret',
+    'token',
+    'api[-_]?key',
+    ...(process.env.LOG_REDACT_KEYS || '')
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean),
+  ].join('|'),
+  'i'
+);
+
+/*
+ * Secrets embedded in log messages: bearer credentials and JWTs.
+ */
+
+const SECRET_VALUE_PATTERNS = [
+  [/(Bearer|Basic)\s+[^\s"',;]+/gi, `$1 ${REDACTED}`],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+];
+
+/*
+ * Masks secrets inside a string.
+ * @param {string} value - the string to mask.
+ * @returns {string} - returns the masked string.
+ */
+
+const redactString = (value) => {
+  return SECRET_VALUE_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value
+  );
+};
+
+/*
+ * Copies a logged value with the secrets masked. The original value is left untouched.
+ * @param {*} value - the value to mask.
+ * @param {number} depth - the current nesting depth.
+ * @returns {*} - returns the masked copy.
+ */
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { message: redactString(value.message), stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key)
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+/*
+ * Masks secrets in the message and metadata of a log entry.
+ */
+
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (['level', 'label', 'timestamp', 'stack'].includes(key)) continue;
+    info[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+/*
+ * Adds the service name and the identifiers of the current request or task (including its trace) to a log entry.
+ */
+
+const contextFormat = winston.format((info) => {
+  const context = RequestContext.get() || {};
+  const fields = {
+    service: process.env.SERVICE_NAME,
+    correlationId: context.correlationId,
+    sessionId: context.sessionId,
+    userId: context.userId || context.id,
+    taskId: context.taskId,
+    traceId: context.trace?.traceId,
+    spanId: context.trace?.spanId,
+  };
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && info[key] === undefined) {
+      info[key] = value;
+    }
+  }
+  return info;
+});
+
+/*
+ * Resolves the log level of a label.
+ * LOG_LEVELS overrides LOG_LEVEL per label, e.g. `DB=warning,middleware:*=info`; a trailing `*` matches a label prefix.
+ * @param {string} label - the label for the logger.
+ * @returns {string} - returns the log level.
+ */
+
+const resolveLevel = (label) => {
+  const overrides = (process.env.LOG_LEVELS || '')
+    .split(',')
+    .map((entry) => entry.split('=').map((part) => part.trim()))
+    .filter(([pattern, level]) => pattern && customLevel.levels[level] >= 0);
+
+  const match =
+    overrides.find(([pattern]) => pattern === label) ||
+    overrides.find(
+      ([pattern]) =>
+        pattern.endsWith('*') && label.startsWith(pattern.slice(0, -1))
+    );
+  if (match) {
+    return match[1];
+  }
+
+  const level = process.env.LOG_LEVEL;
+  return customLevel.levels[level] >= 0 ? level : 'success';
+};
+
+/*
+ * Resolves the output format from LOG_FORMAT: `json` or `pretty`. Defaults to `json` in production.
+ * @returns {string} - returns the format name.
+ */
+
+const resolveFormat = () => {
+  const format = process.env.LOG_FORMAT?.toLowerCase();
+  if (format === 'json' || format === 'pretty') {
+    return format;
+  }
+  return process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+};
+
+/*
+ * Whether a console transport already logs uncaught exceptions. Winston adds a process listener per handling transport,
+ * so only the first logger handles them.
+ */
+
+let exceptionsHandled = false;
+
 /*
  * Builds the transporter for logging.
+ * @param {string} level - the log level of the label.
  * @returns {array} - returns the transporter array.
  */
 
-const buildTransporter = () => {
+const buildTransporter = (level) => {
   if (process.env.NODE_ENV !== 'production') {
+    const handleExceptions = !exceptionsHandled;
+    exceptionsHandled = true;
+
     return [
       new winston.transports.Console({
-        level: 'success',
-        handleExceptions: true,
+        level: level,
+        handleExceptions: handleExceptions,
         json: false,
         colorize: true,
       }),
@@ -47,6 +210,7 @@ const buildTransporter = () => {
     }),
     new winston.transports.File({
       filename: 'src/logs/app.log',
+      level: level,
     }),
   ];
 };
@@ -58,8 +222,20 @@ const buildTransporter = () => {
  */
 
 const buildFormat = (label) => {
+  if (resolveFormat() === 'json') {
+    return winston.format.combine(
+      winston.format.errors({ stack: true }),
+      winston.format.timestamp(),
+      winston.format.label({ label: label }),
+      contextFormat(),
+      redactFormat(),
+      winston.format.json()
+    );
+  }
+
   return winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    redactFormat(),
     winston.format.prettyPrint(),
     winston.format.colorize({ all: true }),
     winston.format.label({ label: label }),
@@ -77,13 +253,14 @@ const buildFormat = (label) => {
  */
 
 const logger = (label = '') => {
+  const level = resolveLevel(label);
   const format = buildFormat(label);
-  const transport = buildTransporter();
+  const transport = buildTransporter(level);
   winston.addColors(customLevel.colors);
 
   return winston.createLogger({
     levels: customLevel.levels,
-    level: 'success',
+    level: level,
     format: format,
     transports: transport,
   });
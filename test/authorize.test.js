@@ -0,0 +1,139 @@
+'use strict';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import {
+  openApiScopes,
+  requireRole,
+  requireScopes,
+} from '../src/middlewares/authorize.middleware.js';
+
+/**
+ * run
+ *
+ * Runs a middleware and returns what it forwarded to next.
+ *
+ * @param {Function} middleware - Express middleware.
+ * @param {Object} [req={}] - Request fields (user, openapi).
+ * @returns {{ called: boolean, error: Object|undefined }}
+ */
+
+const run = (middleware, req = {}) => {
+  let called = false;
+  let error;
+  middleware({ path: '/transactions', ...req }, {}, (err) => {
+    called = true;
+    error = err;
+  });
+  return { called, error };
+};
+
+describe('requireScopes', () => {
+  it('allows a user holding every required scope', () => {
+    const { called, error } = run(
+      requireScopes('transactions:read', 'transactions:write'),
+      { user: { scopes: 'transactions:read transactions:write profile' } }
+    );
+
+    assert.equal(called, true);
+    assert.equal(error, undefined);
+  });
+
+  it('denies a user missing a scope with the missing ones', () => {
+    const { error } = run(
+      requireScopes(['transactions:read', 'transactions:write']),
+      {
+        user: { scopes: ['transactions:read'] },
+      }
+    );
+
+    assert.equal(error.status, 403);
+    assert.deepEqual(error.errors, ['transactions:write']);
+  });
+
+  it('denies a user without scopes', () => {
+    const { error } = run(requireScopes('transactions:read'), { user: {} });
+
+    assert.equal(error.status, 403);
+  });
+
+  it('answers 401 without an authenticated user', () => {
+    const { error } = run(requireScopes('transactions:read'));
+
+    assert.equal(error.status, 401);
+  });
+});
+
+describe('requireRole', () => {
+  it('allows a user with one of the accepted roles', () => {
+    const { error } = run(requireRole('ADMIN', 'SUPPORT'), {
+      user: { role_code: 'SUPPORT' },
+    });
+
+    assert.equal(error, undefined);
+  });
+
+  it('denies any other role', () => {
+    const { error } = run(requireRole('ADMIN'), {
+      user: { role_code: 'USER' },
+    });
+
+    assert.equal(error.status, 403);
+  });
+
+  it('answers 401 without an authenticated user', () => {
+    const { error } = run(requireRole('ADMIN'));
+
+    assert.equal(error.status, 401);
+  });
+});
+
+describe('openApiScopes', () => {
+  const operation = (scopes) => ({
+    openapi: { schema: { 'x-required-scopes': scopes } },
+  });
+
+  it('allows a user holding the scopes of the operation', () => {
+    const { called, error } = run(openApiScopes, {
+      ...operation(['transactions:read']),
+      user: { scopes: 'transactions:read' },
+    });
+
+    assert.equal(called, true);
+    assert.equal(error, undefined);
+  });
+
+  it('denies a user missing a scope of the operation', () => {
+    const { error } = run(openApiScopes, {
+      ...operation('transactions:read, transactions:write'),
+      user: { scopes: 'transactions:read' },
+    });
+
+    assert.equal(error.status, 403);
+    assert.deepEqual(error.errors, ['transactions:write']);
+  });
+
+  it('answers 401 for a restricted operation without an authenticated user', () => {
+    const { error } = run(openApiScopes, operation(['transactions:read']));
+
+    assert.equal(error.status, 401);
+  });
+
+  it('does not restrict operations without the extension', () => {
+    const { called, error } = run(openApiScopes, {
+      openapi: { schema: {} },
+      user: { scopes: '' },
+    });
+
+    assert.equal(called, true);
+    assert.equal(error, undefined);
+  });
+
+  it('does not restrict requests the OpenAPI validator did not match', () => {
+    const { called, error } = run(openApiScopes);
+
+    assert.equal(called, true);
+    assert.equal(error, undefined);
+  });
+});
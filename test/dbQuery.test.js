@@ -0,0 +1,338 @@
+'use strict';
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { DBQuery } from '../src/db/index.js';
+import { RequestContext } from '../src/utils/index.js';
+
+describe('DBQuery column whitelists', () => {
+  it('rejects the columns of a table whose columns were not declared', () => {
+    const query = new DBQuery();
+
+    assert.throws(() => query.selectQuery('WALLET', {}, { where: { ID: 1 } }), {
+      status: 500,
+      message: /No column whitelist for table WALLET/,
+    });
+  });
+
+  it('rejects a column outside the whitelist', () => {
+    const query = new DBQuery();
+
+    assert.throws(
+      () => query.selectQuery('USER_METADATA', {}, { columns: ['PASSWORD'] }),
+      { status: 500, message: /Unknown column PASSWORD/ }
+    );
+  });
+
+  it('shares registered columns with every instance and keeps the declared ones', () => {
+    new DBQuery().registerColumns('MERCHANT', ['ID', 'name']);
+    new DBQuery().registerColumns('USER_METADATA', ['LAST_LOGIN']);
+    const query = new DBQuery();
+
+    const { sql, params } = query.selectQuery(
+      'MERCHANT',
+      {},
+      { columns: ['NAME'], where: { ID: 7 } }
+    );
+    assert.match(sql, /SELECT "name" FROM "merchant"\s+WHERE "id" = \?/);
+    assert.deepEqual(params, [7]);
+
+    assert.doesNotThrow(() =>
+      query.selectQuery(
+        'USER_METADATA',
+        {},
+        {
+          columns: ['REFRESH_TOKEN', 'LAST_LOGIN'],
+        }
+      )
+    );
+  });
+
+  it('ignores inherited keys of the field mapping', () => {
+    const query = new DBQuery();
+
+    assert.throws(
+      () =>
+        query.selectQuery('USER_METADATA', {}, { columns: ['constructor'] }),
+      { status: 500, message: /Unknown column constructor/ }
+    );
+    assert.throws(
+      () => query.insertQuery('USER_METADATA', {}, { hasOwnProperty: 'x' }, []),
+      { status: 500, message: /Unknown column hasOwnProperty/ }
+    );
+  });
+
+  it('accepts undeclared tables in lenient mode', (t) => {
+    process.env.DB_COLUMN_WHITELIST = 'lenient';
+    t.after(() => delete process.env.DB_COLUMN_WHITELIST);
+    const query = new DBQuery();
+
+    const { sql, params } = query.insertQuery('WALLET', {}, { NAME: 'Cash' });
+    assert.match(
+      sql,
+      /INSERT INTO "wallet" \("name"\)\s+VALUES \(\?\)\s+RETURNING "id";/
+    );
+    assert.deepEqual(params, ['Cash']);
+    assert.throws(() => query.insertQuery('WALLET', {}, { 'NAME;': 'x' }), {
+      status: 500,
+    });
+  });
+
+  it('rejects malformed column names on registration', () => {
+    assert.throws(
+      () => new DBQuery().registerColumns('MERCHANT', ['ID; DROP TABLE X']),
+      { status: 500 }
+    );
+  });
+});
+
+describe('DBQuery where clauses', () => {
+  const query = new DBQuery();
+  const where = (whereFields) =>
+    query.deleteQuery('TXN_ENTRIES', { accountId: 'ACCOUNT_ID' }, whereFields);
+
+  before(() => {
+    query.registerColumns('TXN_ENTRIES', [
+      'ID',
+      'ACCOUNT_ID',
+      'AMOUNT',
+      'NOTE',
+      'ENTRY_DATE',
+      'DELETED_DATE',
+    ]);
+  });
+
+  it('compares scalars with = and maps null to IS NULL and arrays to IN', () => {
+    const { sql, params } = where({
+      accountId: 3,
+      DELETED_DATE: null,
+      ID: [1, 2],
+    });
+
+    assert.match(
+      sql,
+      /WHERE "account_id" = \? AND "deleted_date" IS NULL AND "id" IN \(\?, \?\)$/
+    );
+    assert.deepEqual(params, [3, 1, 2]);
+  });
+
+  it('builds every condition of an operator object', () => {
+    const { sql, params } = where({
+      AMOUNT: { '>=': 10, '<': 20 },
+      NOTE: { ilike: 'rent%', 'IS NOT NULL': true },
+      ENTRY_DATE: { BETWEEN: ['2026-01-01', '2026-02-01'] },
+      ID: { 'NOT IN': [4] },
+    });
+
+    assert.match(
+      sql,
+      /WHERE "amount" >= \? AND "amount" < \? AND "note" ILIKE \? AND "note" IS NOT NULL AND "entry_date" BETWEEN \? AND \? AND "id" NOT IN \(\?\)$/
+    );
+    assert.deepEqual(params, [10, 20, 'rent%', '2026-01-01', '2026-02-01', 4]);
+  });
+
+  it('rejects unsupported operators and values that do not fit them', () => {
+    for (const whereFields of [
+      { AMOUNT: { '=;': 1 } },
+      { ID: { IN: [] } },
+      { ID: { IN: 1 } },
+      { ENTRY_DATE: { BETWEEN: ['2026-01-01'] } },
+    ]) {
+      assert.throws(() => where(whereFields), { status: 500 });
+    }
+  });
+
+  it('rejects undefined values and empty operator objects', () => {
+    const query = new DBQuery();
+
+    assert.throws(
+      () => query.deleteQuery('USER_METADATA', {}, { USER_ID: undefined }),
+      { status: 500, message: /Missing value/ }
+    );
+    assert.throws(
+      () =>
+        query.deleteQuery('USER_METADATA', {}, { USER_ID: { '>': undefined } }),
+      { status: 500, message: /Missing value/ }
+    );
+    assert.throws(
+      () => query.deleteQuery('USER_METADATA', {}, { USER_ID: {} }),
+      { status: 500, message: /No operator given for where field USER_ID/ }
+    );
+  });
+});
+
+describe('DBQuery insert returning', () => {
+  it('returns ID only when the table declares it', () => {
+    const query = new DBQuery();
+
+    const registry = query.insertQuery('SVC_CONFIG', {}, { SERVICE_NAME: 'a' });
+    assert.doesNotMatch(registry.sql, /RETURNING/);
+    assert.throws(
+      () => query.insertQuery('SVC_CONFIG', {}, { SERVICE_NAME: 'a' }, ['ID']),
+      { status: 500, message: /Unknown column ID/ }
+    );
+
+    query.registerColumns('MERCHANT', ['ID', 'NAME']);
+    const merchant = query.insertQuery('MERCHANT', {}, { NAME: 'Shop' });
+    assert.match(merchant.sql, /RETURNING "id";$/);
+  });
+});
+
+describe('DBQuery builders', () => {
+  const query = new DBQuery();
+  const mapping = { userId: 'USER_ID', token: 'REFRESH_TOKEN' };
+
+  before(() => {
+    query.registerColumns('USER_ROLE', ['ID', 'USER_ID', 'ROLE_ID']);
+  });
+
+  it('builds a select with aliases, joins, ordering and pagination', () => {
+    const { sql, params } = query.selectQuery('USER_METADATA', mapping, {
+      columns: ['userId', 'token', 'USER_ROLE.ROLE_ID'],
+      joins: [
+        {
+          table: 'USER_ROLE',
+          type: 'left',
+          on: { userId: 'USER_ROLE.USER_ID' },
+        },
+      ],
+      where: { userId: 'user-1' },
+      orderBy: { 'USER_ROLE.ROLE_ID': 'desc' },
+      limit: 10,
+      offset: 20,
+    });
+
+    assert.equal(
+      sql.replace(/\s+/g, ' '),
+      'SELECT "user_id" AS "userId", "refresh_token" AS "token", "user_role"."role_id" FROM "user_metadata" ' +
+        'LEFT JOIN "user_role" ON "user_id" = "user_role"."user_id" WHERE "user_id" = ? ' +
+        'ORDER BY "user_role"."role_id" DESC LIMIT ? OFFSET ?'
+    );
+    assert.deepEqual(params, ['user-1', 10, 20]);
+  });
+
+  it('rejects columns of tables outside the query and invalid select options', () => {
+    assert.throws(
+      () =>
+        query.selectQuery(
+          'USER_METADATA',
+          {},
+          { columns: ['USER_ROLE.ROLE_ID'] }
+        ),
+      { status: 500 }
+    );
+    for (const options of [
+      { orderBy: { USER_ID: 'sideways' } },
+      { limit: -1 },
+      {
+        joins: [
+          {
+            table: 'USER_ROLE',
+            type: 'CROSS',
+            on: { USER_ID: 'USER_ROLE.USER_ID' },
+          },
+        ],
+      },
+    ]) {
+      assert.throws(() => query.selectQuery('USER_METADATA', {}, options), {
+        status: 500,
+      });
+    }
+  });
+
+  it('builds a delete and requires conditions', () => {
+    const { sql, params } = query.deleteQuery('USER_METADATA', mapping, {
+      userId: 'user-1',
+    });
+
+    assert.match(sql, /^DELETE FROM "user_metadata"\s+WHERE "user_id" = \?$/);
+    assert.deepEqual(params, ['user-1']);
+    assert.throws(() => query.deleteQuery('USER_METADATA', mapping, {}), {
+      status: 500,
+      message: /must not be empty/,
+    });
+  });
+
+  it('builds a bulk insert with audit columns and rejects rows with other fields', () => {
+    const { sql, params } = RequestContext.run({ id: 'ab:cd-ef' }, () =>
+      query.bulkInsertQuery('USER_ROLE', { createdBy: 'CREATED_BY' }, [
+        { USER_ID: 'u1', ROLE_ID: 1 },
+        { USER_ID: 'u2', ROLE_ID: 2 },
+      ])
+    );
+
+    assert.equal(
+      sql.replace(/\s+/g, ' '),
+      'INSERT INTO "user_role" ("user_id", "role_id", "created_by", "modified_by") ' +
+        'VALUES (?, ?, ?, ?), (?, ?, ?, ?) RETURNING "id";'
+    );
+    assert.deepEqual(params, [
+      'u1',
+      1,
+      'abcdef',
+      'abcdef',
+      'u2',
+      2,
+      'abcdef',
+      'abcdef',
+    ]);
+
+    assert.throws(
+      () =>
+        query.bulkInsertQuery('USER_ROLE', {}, [
+          { USER_ID: 'u1', ROLE_ID: 1 },
+          { USER_ID: 'u2' },
+        ]),
+      { status: 500, message: /same fields/ }
+    );
+    assert.throws(() => query.bulkInsertQuery('USER_ROLE', {}, []), {
+      status: 500,
+    });
+  });
+
+  it('returns the requested fields of a bulk insert, or none', () => {
+    const rows = [{ USER_ID: 'u1', ROLE_ID: 1 }];
+
+    assert.match(
+      query.bulkInsertQuery('USER_ROLE', {}, rows, ['ID', 'USER_ID']).sql,
+      /RETURNING "id", "user_id";$/
+    );
+    assert.doesNotMatch(
+      query.bulkInsertQuery('USER_METADATA', {}, [{ USER_ID: 'u1' }]).sql,
+      /RETURNING/
+    );
+  });
+
+  it('builds an upsert updating the non-conflicting fields', () => {
+    const { sql, params } = query.upsertQuery(
+      'USER_METADATA',
+      mapping,
+      { userId: 'user-1', token: 'token-1' },
+      ['userId'],
+      undefined,
+      ['userId']
+    );
+
+    assert.equal(
+      sql.replace(/\s+/g, ' '),
+      'INSERT INTO "user_metadata" ("user_id", "refresh_token") VALUES (?, ?) ' +
+        'ON CONFLICT ("user_id") DO UPDATE SET "refresh_token" = EXCLUDED."refresh_token" RETURNING "user_id";'
+    );
+    assert.deepEqual(params, ['user-1', 'token-1']);
+  });
+
+  it('ignores the conflict of an upsert without fields to update', () => {
+    const { sql } = query.upsertQuery(
+      'USER_ROLE',
+      {},
+      { USER_ID: 'u1', ROLE_ID: 1 },
+      ['USER_ID', 'ROLE_ID']
+    );
+
+    assert.match(
+      sql,
+      /ON CONFLICT \("user_id", "role_id"\) DO NOTHING\s+RETURNING "id";$/
+    );
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import DeadLetterManager from '../src/message-broker/rabbitmq/DeadLetterManager.js';
+import { signMessage } from '../src/message-broker/rabbitmq/messageSignature.js';
+import { createFakeChannel, createMessage } from './helpers/amqp.js';
+
+const DLQ = 'email.tasks.dlq';
+
+/**
+ * deadLetter
+ *
+ * @param {string} taskId
+ * @param {Object} [options={}]
+ * @param {string} [options.action] - Action carried in the task context.
+ * @param {boolean} [options.signed=true] - Whether the message carries a valid signature.
+ * @returns {Object} - Dead-lettered message as returned by `channel.get`.
+ */
+
+const deadLetter = (taskId, { action = 'send', signed = true } = {}) => {
+  const body = {
+    taskId,
+    payload: { to: 'user@example.com' },
+    _ctx: { action },
+    createdAt: new Date(0).toISOString(),
+  };
+  return createMessage(body, {
+    headers: {
+      'x-producer': 'mailer',
+      'x-message-signature': signed ? signMessage(body) : 'forged',
+    },
+  });
+};
+
+describe('DeadLetterManager', () => {
+  let channel;
+  let manager;
+
+  before(() => {
+    process.env.MESSAGE_SIGNING_SECRET = 'test-signing-secret';
+  });
+
+  beforeEach(() => {
+    channel = createFakeChannel({ confirm: true });
+    manager = new DeadLetterManager({
+      connection: { connect: async () => channel },
+    });
+  });
+
+  const fill = (...messages) => channel.messages.set(DLQ, messages);
+  const tags = (method) =>
+    channel.callsOf(method).map(([msg]) => msg.fields.deliveryTag);
+
+  it('acks a replayed message only after the broker confirmed its publish', async () => {
+    const msg = deadLetter('task-1');
+    fill(msg);
+    const published = [];
+    channel.publish = (exchange, routingKey, content, options, callback) => {
+      published.push(JSON.parse(content.toString()).taskId);
+      setImmediate(() => {
+        assert.deepEqual(tags('ack'), []);
+        callback(null);
+      });
+      return true;
+    };
+
+    const result = await manager.replay('EMAIL_TASKS');
+
+    assert.deepEqual(result, { replayed: ['task-1'], rejected: [] });
+    assert.deepEqual(published, ['task-1']);
+    assert.deepEqual(tags('ack'), [msg.fields.deliveryTag]);
+  });
+
+  it('keeps a message whose publish the broker nacked', async () => {
+    const msg = deadLetter('task-1');
+    fill(msg);
+    channel.nackWith = new Error('nack');
+
+    await assert.rejects(manager.replay('EMAIL_TASKS'), /nacked by broker/);
+    assert.deepEqual(tags('ack'), []);
+    assert.deepEqual(channel.callsOf('nack'), [[msg, false, true]]);
+  });
+
+  it('leaves messages with an invalid signature in the DLQ', async () => {
+    const forged = deadLetter('task-1', { signed: false });
+    const valid = deadLetter('task-2');
+    fill(forged, valid);
+
+    const result = await manager.replay('EMAIL_TASKS');
+
+    assert.deepEqual(result, { replayed: ['task-2'], rejected: ['task-1'] });
+    assert.deepEqual(tags('ack'), [valid.fields.deliveryTag]);
+    assert.deepEqual(channel.callsOf('nack'), [[forged, false, true]]);
+  });
+
+  it('refuses to replay without a confirm channel', async () => {
+    channel = createFakeChannel();
+    fill(deadLetter('task-1'));
+
+    await assert.rejects(manager.replay('EMAIL_TASKS'), /confirm channel/);
+    assert.deepEqual(channel.callsOf('get'), []);
+  });
+
+  it('purges only the messages matching the filter', async () => {
+    const keep = deadLetter('task-1', { action: 'welcome' });
+    const drop = deadLetter('task-2', { action: 'reset' });
+    fill(keep, drop);
+
+    assert.equal(await manager.purge('EMAIL_TASKS', { action: 'reset' }), 1);
+    assert.deepEqual(tags('ack'), [drop.fields.deliveryTag]);
+    assert.deepEqual(channel.callsOf('nack'), [[keep, false, true]]);
+  });
+
+  it('purges the whole queue without a filter', async () => {
+    fill(deadLetter('task-1'), deadLetter('task-2'));
+
+    assert.equal(await manager.purge('EMAIL_TASKS'), 2);
+    assert.deepEqual(channel.callsOf('purgeQueue'), [[DLQ]]);
+  });
+
+  it('requeues the current message when the visitor throws', async () => {
+    const first = deadLetter('task-1');
+    const second = deadLetter('task-2');
+    fill(first, second);
+
+    await assert.rejects(
+      manager.scan(DLQ, async (task) => {
+        if (task.taskId === 'task-2') {
+          throw new Error('visitor failed');
+        }
+        return false;
+      }),
+      /visitor failed/
+    );
+    assert.deepEqual(channel.callsOf('nack'), [
+      [first, false, true],
+      [second, false, true],
+    ]);
+  });
+});
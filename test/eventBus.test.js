@@ -0,0 +1,189 @@
+'use strict';
+
+import { afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import EventBus from '../src/message-broker/rabbitmq/events/EventBus.js';
+import { getPublisherConnection } from '../src/message-broker/rabbitmq/publisher/index.js';
+import { signMessage } from '../src/message-broker/rabbitmq/messageSignature.js';
+import { RequestContext } from '../src/utils/index.js';
+import { createFakeChannel, createMessage } from './helpers/amqp.js';
+
+const EXCHANGE = 'test.events';
+const QUEUE = 'ledger.transaction.*';
+
+/**
+ * event
+ *
+ * @param {Object} context - Task context of the event, including its name under `event`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.signed=true] - Whether the message carries a valid signature.
+ * @returns {Object} - Delivered event message.
+ */
+
+const event = (context, { signed = true } = {}) => {
+  const body = {
+    taskId: 'event-1',
+    payload: { amount: 10 },
+    _ctx: context,
+    createdAt: new Date(0).toISOString(),
+  };
+  return createMessage(body, {
+    headers: { 'x-message-signature': signed ? signMessage(body) : 'forged' },
+  });
+};
+
+describe('EventBus', () => {
+  let channel;
+  let recoverHandlers;
+  let bus;
+
+  before(() => {
+    process.env.MESSAGE_SIGNING_SECRET = 'test-signing-secret';
+  });
+
+  beforeEach(() => {
+    channel = createFakeChannel();
+    recoverHandlers = [];
+    bus = new EventBus({ exchange: EXCHANGE, serviceName: 'ledger' });
+    bus.subscriberConnection = {
+      connect: async () => channel,
+      addConsumer: () => {},
+      onRecover: (handler) => recoverHandlers.push(handler),
+    };
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const deliver = (msg) => channel.consumers.get(QUEUE)(msg);
+
+  it('binds a durable queue of the service to the topic pattern, with its own DLQ', async () => {
+    const topology = await bus.subscribe('transaction.*', async () => {});
+
+    assert.deepEqual(topology, {
+      queue: QUEUE,
+      exchange: EXCHANGE,
+      type: 'topic',
+      routingKey: 'transaction.*',
+      dlq: `${QUEUE}.dlq`,
+    });
+    assert.deepEqual(channel.callsOf('assertExchange'), [
+      [EXCHANGE, 'topic', { durable: true }],
+    ]);
+    assert.deepEqual(channel.callsOf('assertQueue')[1], [
+      QUEUE,
+      {
+        durable: true,
+        deadLetterExchange: '',
+        deadLetterRoutingKey: `${QUEUE}.dlq`,
+      },
+    ]);
+    assert.deepEqual(channel.callsOf('bindQueue'), [
+      [QUEUE, EXCHANGE, 'transaction.*'],
+    ]);
+    assert.equal(recoverHandlers.length, 1);
+  });
+
+  it('rejects invalid topic patterns and event names', async () => {
+    await assert.rejects(
+      bus.subscribe('transaction..*', async () => {}),
+      {
+        message: /Subscribe validation failed/,
+      }
+    );
+    await assert.rejects(bus.publish('transaction.*', {}), {
+      message: /Publish event validation failed/,
+    });
+  });
+
+  it('publishes an event on the topic exchange under its name', async () => {
+    const publishChannel = createFakeChannel();
+    mock.method(
+      getPublisherConnection(),
+      'connect',
+      async () => publishChannel
+    );
+
+    await RequestContext.run({ id: 'user-1', correlationId: 'corr-1' }, () =>
+      bus.publish('transaction.created', { amount: 10 })
+    );
+
+    const [[exchange, routingKey, content, { headers }]] =
+      publishChannel.callsOf('publish');
+    assert.equal(exchange, EXCHANGE);
+    assert.equal(routingKey, 'transaction.created');
+    assert.equal(headers['x-event-name'], 'transaction.created');
+    assert.equal(headers['x-correlation-id'], 'corr-1');
+    assert.deepEqual(JSON.parse(content)._ctx, {
+      userId: 'user-1',
+      correlationId: 'corr-1',
+      event: 'transaction.created',
+    });
+  });
+
+  it('runs the handler in the request context of the publisher', async () => {
+    let received;
+    let store;
+    await bus.subscribe('transaction.*', async (evt) => {
+      received = evt;
+      store = RequestContext.get();
+    });
+
+    await deliver(
+      event({
+        userId: 'user-1',
+        locale: 'fr',
+        correlationId: 'corr-1',
+        event: 'transaction.created',
+      })
+    );
+
+    assert.equal(received.eventId, 'event-1');
+    assert.equal(received.eventName, 'transaction.created');
+    assert.deepEqual(received.payload, { amount: 10 });
+    assert.equal(store.id, 'user-1');
+    assert.equal(store.locale, 'fr');
+    assert.equal(store.correlationId, 'corr-1');
+    assert.equal(channel.callsOf('ack').length, 1);
+  });
+
+  it('does not leak the context the delivery runs in into the handler', async () => {
+    let store;
+    await bus.subscribe('transaction.*', async () => {
+      store = RequestContext.get();
+    });
+
+    await RequestContext.run(
+      { id: 'other-user', sessionId: 'other-session', locale: 'de' },
+      () => deliver(event({ event: 'transaction.created' }))
+    );
+
+    assert.equal(store.id, undefined);
+    assert.equal(store.sessionId, undefined);
+    assert.equal(store.locale, undefined);
+    assert.match(store.trace.traceId, /^[0-9a-f]{32}$/);
+  });
+
+  it('routes an event whose handler fails to the DLQ of the subscription', async () => {
+    await bus.subscribe('transaction.*', async () => {
+      throw new Error('Handler failed');
+    });
+    const msg = event({ event: 'transaction.created' });
+
+    await deliver(msg);
+
+    assert.deepEqual(channel.callsOf('nack'), [[msg, false, false]]);
+    assert.equal(channel.callsOf('ack').length, 0);
+  });
+
+  it('routes an event with an invalid signature to the DLQ without running the handler', async () => {
+    let calls = 0;
+    await bus.subscribe('transaction.*', async () => calls++);
+    const msg = event({ event: 'transaction.created' }, { signed: false });
+
+    await deliver(msg);
+
+    assert.equal(calls, 0);
+    assert.deepEqual(channel.callsOf('nack'), [[msg, false, false]]);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import HealthCheck, { HEALTH_STATUS } from '../src/utils/HealthCheck.js';
+
+describe('HealthCheck', () => {
+  it('reports UP when every check passes', async () => {
+    const health = new HealthCheck();
+    health.register('database', async () => {});
+    health.register('redis', async () => {});
+
+    const report = await health.run();
+
+    assert.equal(report.status, HEALTH_STATUS.UP);
+    assert.deepEqual(Object.keys(report.checks), ['database', 'redis']);
+    assert.equal(report.checks.redis.status, HEALTH_STATUS.UP);
+    assert.equal(typeof report.checks.redis.latencyMs, 'number');
+  });
+
+  it('reports DOWN with the error of a failing check', async () => {
+    const health = new HealthCheck();
+    health.register('database', async () => {});
+    health.register('rabbitmq', async () => {
+      throw new Error('RabbitMQ connection not open');
+    });
+
+    const report = await health.run();
+
+    assert.equal(report.status, HEALTH_STATUS.DOWN);
+    assert.equal(report.checks.database.status, HEALTH_STATUS.UP);
+    assert.deepEqual(report.checks.rabbitmq, {
+      status: HEALTH_STATUS.DOWN,
+      latencyMs: report.checks.rabbitmq.latencyMs,
+      error: 'RabbitMQ connection not open',
+    });
+  });
+
+  it('fails a check that exceeds its own timeout', async () => {
+    const health = new HealthCheck({ timeoutMs: 1000 });
+    health.register('redis', () => new Promise(() => {}), { timeoutMs: 10 });
+
+    const report = await health.run();
+
+    assert.equal(report.status, HEALTH_STATUS.DOWN);
+    assert.equal(report.checks.redis.error, 'Timed out after 10 ms');
+  });
+
+  it('replaces and unregisters checks by name', async () => {
+    const health = new HealthCheck();
+    health.register('redis', async () => {
+      throw new Error('down');
+    });
+    health.register('redis', async () => {});
+    assert.equal((await health.run()).status, HEALTH_STATUS.UP);
+
+    assert.equal(health.unregister('redis'), true);
+    assert.deepEqual(await health.run(), {
+      status: HEALTH_STATUS.UP,
+      checks: {},
+    });
+  });
+});
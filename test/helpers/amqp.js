@@ -0,0 +1,92 @@
+'use strict';
+
+import { EventEmitter } from 'events';
+
+/**
+ * createFakeChannel
+ *
+ * In-memory stand-in for an amqplib (confirm) channel. Every call is recorded in `calls` as `[method, ...args]`; queues
+ * filled through `messages` are served by `get`, and the callbacks passed to `consume` are kept in `consumers` by queue.
+ *
+ * @param {Object} [options={}]
+ * @param {boolean} [options.confirm=false] - Whether publishes take a broker confirm callback.
+ * @param {Error|null} [options.nackWith=null] - Error passed to confirm callbacks, as when the broker nacks the publish.
+ * @returns {Object} - Fake channel.
+ */
+
+const createFakeChannel = (options = {}) => {
+  const channel = new EventEmitter();
+  channel.calls = [];
+  channel.messages = new Map();
+  channel.consumers = new Map();
+  channel.nackWith = options.nackWith ?? null;
+
+  const record =
+    (method, result) =>
+    (...args) => {
+      channel.calls.push([method, ...args]);
+      return typeof result === 'function' ? result(...args) : result;
+    };
+
+  for (const method of ['assertExchange', 'assertQueue', 'bindQueue']) {
+    channel[method] = record(method, Promise.resolve({}));
+  }
+  for (const method of ['ack', 'nack', 'prefetch', 'cancel', 'close']) {
+    channel[method] = record(method);
+  }
+
+  const publish = (...args) => {
+    const callback = args.find((arg) => typeof arg === 'function');
+    if (options.confirm && callback) {
+      setImmediate(() => callback(channel.nackWith));
+    }
+    return true;
+  };
+  channel.publish = record('publish', publish);
+  channel.sendToQueue = record('sendToQueue', publish);
+  // TaskPublisher detects a confirm channel by this method
+  if (options.confirm) {
+    channel.waitForConfirms = record('waitForConfirms', () =>
+      channel.nackWith ? Promise.reject(channel.nackWith) : Promise.resolve()
+    );
+  }
+  channel.consume = record('consume', (queue, onMessage) => {
+    channel.consumers.set(queue, onMessage);
+    return Promise.resolve({ consumerTag: `ctag-${queue}` });
+  });
+  channel.get = record('get', (queue) =>
+    Promise.resolve(channel.messages.get(queue)?.shift() || false)
+  );
+  channel.checkQueue = record('checkQueue', (queue) =>
+    Promise.resolve({ messageCount: channel.messages.get(queue)?.length || 0 })
+  );
+  channel.purgeQueue = record('purgeQueue', (queue) => {
+    const messageCount = channel.messages.get(queue)?.length || 0;
+    channel.messages.set(queue, []);
+    return Promise.resolve({ messageCount });
+  });
+
+  channel.callsOf = (method) =>
+    channel.calls
+      .filter(([name]) => name === method)
+      .map(([, ...args]) => args);
+  return channel;
+};
+
+/**
+ * createMessage
+ *
+ * @param {Object} body - JSON message body.
+ * @param {Object} [properties={}] - Message properties (headers, correlationId, ...).
+ * @param {Object} [fields={}] - Delivery fields (deliveryTag, routingKey, ...).
+ * @returns {Object} - amqplib-like message.
+ */
+
+let deliveryTag = 0;
+const createMessage = (body, properties = {}, fields = {}) => ({
+  content: Buffer.from(JSON.stringify(body)),
+  properties: { headers: {}, ...properties },
+  fields: { deliveryTag: ++deliveryTag, ...fields },
+});
+
+export { createFakeChannel, createMessage };
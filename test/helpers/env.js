@@ -0,0 +1,6 @@
+'use strict';
+
+// Imported first by tests loading modules that configure knex, RabbitMQ or the logger at import time
+process.env.DB_CLIENT ??= 'pg';
+process.env.LOG_LEVEL ??= 'error';
+process.env.RABBITMQ_URL ??= 'amqp://localhost';
@@ -0,0 +1,30 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+import Redis from 'ioredis';
+import RedisMock from 'ioredis-mock';
+
+/**
+ * createRedisClient
+ *
+ * Connects to the local Redis given by REDIS_URL, or to an in-memory ioredis-mock server when it is not set.
+ * Clients created by the same test share data, as separate processes would through a real Redis.
+ *
+ * @returns {Object} - ioredis-compatible client.
+ */
+
+const createRedisClient = () =>
+  process.env.REDIS_URL
+    ? new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 1 })
+    : new RedisMock();
+
+/**
+ * uniquePrefix
+ *
+ * @param {string} name - Prefix of the keys used by a test.
+ * @returns {string} - Key prefix that never collides with another run against the same Redis.
+ */
+
+const uniquePrefix = (name) => `test:${name}:${randomUUID()}`;
+
+export { createRedisClient, uniquePrefix };
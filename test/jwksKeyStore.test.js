@@ -0,0 +1,84 @@
+'use strict';
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import './helpers/env.js';
+import JwksKeyStore from '../src/auth/JwksKeyStore.js';
+
+const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const KEY_SET = {
+  keys: [
+    { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256' },
+  ],
+};
+
+describe('JwksKeyStore', () => {
+  let store;
+  let fetches;
+  let available;
+
+  beforeEach(() => {
+    fetches = 0;
+    available = true;
+    store = new JwksKeyStore({
+      uri: 'http://jwks.test/keys',
+      cacheTtlMs: 1000,
+      retryBackoffMs: 500,
+    });
+    mock.method(store, 'fetchKeySet', async () => {
+      fetches++;
+      if (!available) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      return KEY_SET;
+    });
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('answers 503 when no key set was ever loaded', async () => {
+    available = false;
+
+    await assert.rejects(store.getKey('key-1'), { status: 503 });
+  });
+
+  it('serves the stale keys when the refresh after expiry fails', async () => {
+    await store.getKey('key-1');
+    available = false;
+    mock.timers.tick(1500);
+
+    const { alg } = await store.getKey('key-1');
+    assert.equal(alg, 'ES256');
+    assert.equal(fetches, 2);
+  });
+
+  it('backs off before retrying a failed refresh', async () => {
+    await store.getKey('key-1');
+    available = false;
+    mock.timers.tick(1500);
+
+    await store.getKey('key-1');
+    await store.getKey('key-1');
+    assert.equal(fetches, 2);
+
+    mock.timers.tick(500);
+    await store.getKey('key-1');
+    assert.equal(fetches, 3);
+
+    // The delay doubles after each further failure
+    mock.timers.tick(500);
+    await store.getKey('key-1');
+    assert.equal(fetches, 3);
+
+    available = true;
+    mock.timers.tick(500);
+    await store.getKey('key-1');
+    assert.equal(fetches, 4);
+    assert.equal(store.failures, 0);
+  });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import './helpers/env.js';
+import queueRegistry, {
+  QueueRegistry,
+} from '../src/message-broker/config/QueueRegistry.js';
+import {
+  getPublisher,
+  getPublisherConnection,
+} from '../src/message-broker/rabbitmq/publisher/index.js';
+import { createFakeChannel } from './helpers/amqp.js';
+
+const DEFINITION = {
+  queue: 'orders.tasks',
+  exchange: 'orders.exchange',
+  routingKey: 'orders.create',
+  dlq: 'orders.tasks.dlq',
+};
+
+describe('QueueRegistry', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'queue-registry-'));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(dir, name);
+    writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  it('applies the schema defaults', () => {
+    const registry = new QueueRegistry();
+    const definition = {
+      queue: DEFINITION.queue,
+      exchange: DEFINITION.exchange,
+      dlq: DEFINITION.dlq,
+    };
+
+    assert.deepEqual(registry.register('ORDERS', definition), {
+      ...definition,
+      type: 'direct',
+      routingKey: '',
+    });
+  });
+
+  it('rejects invalid definitions and keys', () => {
+    const registry = new QueueRegistry();
+
+    assert.throws(
+      () => registry.register('ORDERS', { ...DEFINITION, dlq: undefined }),
+      /Invalid queue definition for ORDERS: "dlq" is required/
+    );
+    assert.throws(
+      () => registry.register('ORDERS', { ...DEFINITION, type: 'fan' }),
+      /Invalid queue definition for ORDERS/
+    );
+    assert.throws(
+      () => registry.register('', DEFINITION),
+      /Queue key must be a non-empty string/
+    );
+    assert.equal(registry.has('ORDERS'), false);
+  });
+
+  it('loads definitions from YAML, under a queues key', () => {
+    const registry = new QueueRegistry();
+    const filePath = writeFile(
+      'queues.yaml',
+      [
+        'queues:',
+        '  ORDERS:',
+        '    queue: orders.tasks',
+        '    exchange: orders.exchange',
+        '    type: topic',
+        '    routingKey: orders.*',
+        '    dlq: orders.tasks.dlq',
+      ].join('\n')
+    );
+
+    assert.deepEqual(registry.loadFromFile(filePath), ['ORDERS']);
+    assert.equal(registry.resolve('ORDERS').type, 'topic');
+  });
+
+  it('loads definitions from JSON', () => {
+    const registry = new QueueRegistry();
+    const filePath = writeFile(
+      'queues.json',
+      JSON.stringify({ ORDERS: DEFINITION })
+    );
+
+    registry.loadFromFile(filePath);
+    assert.equal(registry.resolve('ORDERS').queue, 'orders.tasks');
+  });
+
+  it('rejects missing, malformed and invalid files', () => {
+    const registry = new QueueRegistry();
+
+    assert.throws(
+      () => registry.loadFromFile(path.join(dir, 'missing.yaml')),
+      /Queue definitions file not found/
+    );
+    assert.throws(
+      () => registry.loadFromFile(writeFile('list.yaml', '- a\n- b\n')),
+      /Queue definitions file is malformed/
+    );
+    assert.throws(
+      () =>
+        registry.loadFromFile(
+          writeFile('invalid.json', JSON.stringify({ ORDERS: { queue: 'x' } }))
+        ),
+      /Invalid queue definition for ORDERS/
+    );
+  });
+
+  it('drops the cached publisher when a definition is replaced', async () => {
+    const channel = createFakeChannel();
+    mock.method(getPublisherConnection(), 'connect', async () => channel);
+
+    queueRegistry.register('ORDERS', DEFINITION);
+    const publisher = await getPublisher('ORDERS');
+    assert.equal(await getPublisher('ORDERS'), publisher);
+
+    queueRegistry.register('ORDERS', {
+      ...DEFINITION,
+      routingKey: 'orders.created',
+    });
+    const replaced = await getPublisher('ORDERS');
+
+    assert.notEqual(replaced, publisher);
+    assert.equal(replaced.queueConfig.routingKey, 'orders.created');
+    assert.deepEqual(channel.callsOf('bindQueue').at(-1), [
+      'orders.tasks',
+      'orders.exchange',
+      'orders.created',
+    ]);
+    mock.restoreAll();
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import amqp from 'amqplib';
+import './helpers/env.js';
+import RabbitMQConnection from '../src/message-broker/rabbitmq/RabbitMQConnection.js';
+import {
+  getPublisher,
+  getPublisherConnection,
+} from '../src/message-broker/rabbitmq/publisher/index.js';
+import { createFakeChannel } from './helpers/amqp.js';
+
+/**
+ * mockBroker
+ *
+ * Makes `amqp.connect` return a fake connection whose channels are collected in `channels`.
+ *
+ * @returns {{ channels: Object[] }}
+ */
+
+const mockBroker = () => {
+  const channels = [];
+  mock.method(amqp, 'connect', async () => {
+    const connection = new EventEmitter();
+    connection.createChannel = async () => {
+      const channel = createFakeChannel();
+      channels.push(channel);
+      return channel;
+    };
+    connection.close = async () => {};
+    return connection;
+  });
+  return { channels };
+};
+
+describe('RabbitMQConnection without reconnect', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('emits closed when its channel closes', async () => {
+    mockBroker();
+    const connection = new RabbitMQConnection({ maxAttempts: 0 });
+    const closed = mock.fn();
+    connection.on('closed', closed);
+    connection.on('failed', () => {});
+
+    const channel = await connection.connect();
+    channel.emit('close');
+
+    assert.equal(closed.mock.callCount(), 1);
+    assert.equal(connection.channel, null);
+  });
+
+  it('reports its state without opening a channel', async () => {
+    mockBroker();
+    const connection = new RabbitMQConnection({ maxAttempts: 0 });
+    connection.on('failed', () => {});
+
+    assert.equal(connection.getState(), 'idle');
+    assert.equal(amqp.connect.mock.callCount(), 0);
+
+    const channel = await connection.connect();
+    assert.equal(connection.getState(), 'open');
+
+    channel.emit('close');
+    await connection.recovering;
+    assert.equal(connection.getState(), 'lost');
+
+    await connection.close();
+    assert.equal(connection.getState(), 'closed');
+  });
+
+  it('drops cached publishers once the shared channel closes', async () => {
+    const { channels } = mockBroker();
+    const connection = getPublisherConnection();
+    connection.reconnectOptions.maxAttempts = 0;
+    connection.on('failed', () => {});
+
+    const publisher = await getPublisher('EMAIL_TASKS');
+    channels[0].emit('close');
+    const recreated = await getPublisher('EMAIL_TASKS');
+
+    assert.notEqual(recreated, publisher);
+    assert.equal(recreated.channel, channels[1]);
+    await connection.close();
+  });
+});
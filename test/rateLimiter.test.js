@@ -0,0 +1,98 @@
+'use strict';
+
+import { after, afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import RateLimiter from '../src/ratelimit/RateLimiter.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+
+/**
+ * run
+ *
+ * Runs a rate limiting middleware on a request.
+ *
+ * @param {Function} middleware - Middleware built by RateLimiter.middleware().
+ * @param {Object} req - Request passed through every mount.
+ * @returns {Promise<Object|undefined>} - Error forwarded to next, if any.
+ */
+
+const run = async (middleware, req) => {
+  let error;
+  await middleware(req, { setHeader: () => {} }, (err) => {
+    error = err;
+  });
+  return error;
+};
+
+describe('RateLimiter', () => {
+  const redis = createRedisClient();
+  let limiter;
+  let policy;
+
+  after(() => redis.quit());
+
+  afterEach(() => mock.timers.reset());
+
+  beforeEach(() => {
+    limiter = new RateLimiter(redis, {
+      limit: 2,
+      windowMs: 60000,
+      prefix: uniquePrefix('ratelimit'),
+    });
+    policy = limiter.getPolicy({});
+  });
+
+  const request = () => ({ ip: '10.0.0.1', headers: {} });
+  const count = async (identity) =>
+    Number(await redis.get(limiter.getWindowKey(identity, policy))) || 0;
+
+  it('counts an authenticated request once, for its user', async () => {
+    const preAuth = limiter.middleware();
+    const postAuth = limiter.middleware();
+    const req = request();
+
+    await run(preAuth, req);
+    req.user = { id: 'user-1' };
+    await run(postAuth, req);
+
+    assert.equal(await count('ip:10.0.0.1'), 0);
+    assert.equal(await count('user:user-1'), 1);
+  });
+
+  it('keeps the IP count of requests that are not authenticated', async () => {
+    const preAuth = limiter.middleware();
+
+    await run(preAuth, request());
+    await run(preAuth, request());
+    const error = await run(preAuth, request());
+
+    assert.equal(await count('ip:10.0.0.1'), 3);
+    assert.equal(error.status, 429);
+  });
+
+  it('does not count a request twice under the same identity', async () => {
+    const req = request();
+
+    await run(limiter.middleware(), req);
+    await run(limiter.middleware(), req);
+
+    assert.equal(await count('ip:10.0.0.1'), 1);
+  });
+
+  it('refunds a pre-authentication count from the window it was counted in', async () => {
+    // One second before the end of a window
+    mock.timers.enable({ apis: ['Date'], now: 1000 * 60000 - 1000 });
+    const preAuth = limiter.middleware();
+    const postAuth = limiter.middleware();
+    const first = request();
+
+    await run(preAuth, first);
+    mock.timers.tick(2000);
+    await run(preAuth, request());
+    first.user = { id: 'user-1' };
+    await run(postAuth, first);
+
+    assert.equal(await count('ip:10.0.0.1'), 1);
+    assert.equal(await count('user:user-1'), 1);
+  });
+});
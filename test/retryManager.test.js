@@ -0,0 +1,102 @@
+'use strict';
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RetryManager from '../src/message-broker/redis/RetryManager.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+
+const QUEUE = 'TEST_TASKS';
+const POLLERS = 5;
+
+describe('RetryManager with concurrent pollers', () => {
+  let clients;
+
+  before(() => {
+    clients = Array.from({ length: POLLERS }, () => createRedisClient());
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.quit()));
+  });
+
+  const createManagers = (options = {}) => {
+    const prefix = uniquePrefix('retry');
+    return clients.map(
+      (client) =>
+        new RetryManager(client, { prefix, baseDelayMs: 1, ...options })
+    );
+  };
+
+  const seedDueRetries = async (manager, count) => {
+    const entries = Array.from({ length: count }, (_, index) =>
+      JSON.stringify({ taskId: `task-${index}`, payload: { index } })
+    );
+    for (const entry of entries) {
+      await manager.redis.zadd(manager.getKey(QUEUE), Date.now() - 1, entry);
+    }
+    return entries;
+  };
+
+  it('claims every due retry exactly once across pollers', async () => {
+    const managers = createManagers();
+    const entries = await seedDueRetries(managers[0], 60);
+
+    const claimed = await Promise.all(
+      managers.map(async (manager) => {
+        const own = [];
+        let batch;
+        do {
+          batch = await manager.claimDueRetries(QUEUE, 3);
+          own.push(...batch);
+          for (const entry of batch) {
+            await manager.acknowledgeRetry(QUEUE, entry);
+          }
+        } while (batch.length > 0);
+        return own;
+      })
+    );
+
+    const all = claimed.flat();
+    assert.equal(all.length, entries.length);
+    assert.deepEqual(new Set(all), new Set(entries));
+    assert.equal(await managers[0].getDepth(QUEUE), 0);
+    assert.equal(
+      await managers[0].redis.zcard(managers[0].getProcessingKey(QUEUE)),
+      0
+    );
+  });
+
+  it('hides claimed retries from other pollers while their lease holds', async () => {
+    const [first, second] = createManagers({ leaseMs: 60000 });
+    await seedDueRetries(first, 4);
+
+    const claimed = await first.claimDueRetries(QUEUE, 10);
+    assert.equal(claimed.length, 4);
+    assert.deepEqual(await second.claimDueRetries(QUEUE, 10), []);
+  });
+
+  it('makes retries of a crashed poller due again once their lease expired', async () => {
+    const [crashed, survivor] = createManagers({ leaseMs: 20 });
+    const entries = await seedDueRetries(crashed, 3);
+
+    // Claimed but never acknowledged nor released, as if the process died before publishing
+    assert.equal((await crashed.claimDueRetries(QUEUE, 10)).length, 3);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const reclaimed = await survivor.claimDueRetries(QUEUE, 10);
+    assert.deepEqual(new Set(reclaimed), new Set(entries));
+  });
+
+  it('requeues a released retry and clears its claim', async () => {
+    const [manager] = createManagers({ leaseMs: 60000 });
+    const [entry] = await seedDueRetries(manager, 1);
+
+    await manager.claimDueRetries(QUEUE, 10);
+    await manager.releaseRetry(QUEUE, entry);
+
+    assert.equal(await manager.getDepth(QUEUE), 1);
+    assert.equal(await manager.redis.zcard(manager.getProcessingKey(QUEUE)), 0);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.deepEqual(await manager.claimDueRetries(QUEUE, 10), [entry]);
+  });
+});
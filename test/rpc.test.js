@@ -0,0 +1,198 @@
+'use strict';
+
+import { afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'timers/promises';
+import './helpers/env.js';
+import {
+  RpcClient,
+  sendRpcReply,
+} from '../src/message-broker/rabbitmq/rpc/index.js';
+import { getPublisherConnection } from '../src/message-broker/rabbitmq/publisher/index.js';
+import { signMessage } from '../src/message-broker/rabbitmq/messageSignature.js';
+import Worker from '../src/templates/worker-template.js';
+import IdempotencyStore from '../src/message-broker/redis/IdempotencyStore.js';
+import { createFakeChannel, createMessage } from './helpers/amqp.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+
+before(() => {
+  process.env.MESSAGE_SIGNING_SECRET = 'test-signing-secret';
+});
+
+describe('RpcClient', () => {
+  let channel;
+  let recover;
+  let client;
+
+  beforeEach(() => {
+    channel = createFakeChannel();
+    client = new RpcClient({
+      connect: async () => channel,
+      onRecover: (handler) => {
+        recover = handler;
+      },
+    });
+  });
+
+  /**
+   * request
+   *
+   * Starts a call and waits until its request is published.
+   *
+   * @param {Object} [options={}] - Call settings.
+   * @returns {Promise<{ reply: Promise<any>, request: Object }>} - Pending reply and published request properties.
+   */
+  const request = async (options = {}) => {
+    const reply = client.call(
+      'EMAIL_TASKS',
+      { to: 'user@example.com' },
+      options
+    );
+    reply.catch(() => {});
+    while (channel.callsOf('publish').length === 0) {
+      await tick();
+    }
+    const [[, , content, properties]] = channel.callsOf('publish');
+    return { reply, request: { ...properties, body: JSON.parse(content) } };
+  };
+
+  /**
+   * answer
+   *
+   * Delivers a reply to the reply queue consumer of the client.
+   *
+   * @param {string} correlationId - Call ID the reply answers.
+   * @param {Object} outcome - Result or error of the reply.
+   * @param {string} [signature] - Signature header; the valid one by default.
+   * @returns {void}
+   */
+  const answer = (correlationId, outcome, signature) => {
+    const reply = { correlationId, result: null, error: null, ...outcome };
+    channel.consumers.get(REPLY_QUEUE)(
+      createMessage(reply, {
+        correlationId,
+        headers: { 'x-message-signature': signature ?? signMessage(reply) },
+      })
+    );
+  };
+
+  it('publishes the request with a reply address and resolves with the matching reply', async () => {
+    const { reply, request: sent } = await request({
+      correlationId: 'corr-1',
+    });
+
+    assert.equal(sent.replyTo, REPLY_QUEUE);
+    assert.equal(sent.correlationId, sent.body.taskId);
+    assert.equal(sent.headers['x-correlation-id'], 'corr-1');
+
+    answer(sent.correlationId, { result: { sent: true } });
+    assert.deepEqual(await reply, { sent: true });
+    assert.equal(client.pending.size, 0);
+  });
+
+  it('ignores replies of unknown calls', async () => {
+    const { reply, request: sent } = await request();
+
+    answer('other-call', { result: 'wrong' });
+    assert.equal(client.pending.size, 1);
+
+    answer(sent.correlationId, { result: 'right' });
+    assert.equal(await reply, 'right');
+  });
+
+  it('times out with a 504 when no reply arrives', async () => {
+    const { reply } = await request({ timeoutMs: 10 });
+
+    await assert.rejects(reply, { status: 504 });
+    assert.equal(client.pending.size, 0);
+  });
+
+  it('rejects a reply whose signature does not verify', async () => {
+    const { reply, request: sent } = await request();
+
+    answer(sent.correlationId, { result: 'forged' }, 'forged');
+    await assert.rejects(reply, {
+      status: 502,
+      message: 'Invalid RPC reply signature',
+    });
+  });
+
+  it('rejects with the status of the remote error', async () => {
+    const { reply, request: sent } = await request();
+
+    answer(sent.correlationId, {
+      error: { status: 409, message: 'Duplicate request' },
+    });
+    await assert.rejects(reply, { status: 409, message: 'Duplicate request' });
+  });
+
+  it('fails the pending calls when the connection is recovered', async () => {
+    const { reply } = await request();
+
+    await recover();
+    await assert.rejects(reply, { status: 503 });
+    assert.equal(client.pending.size, 0);
+  });
+});
+
+describe('sendRpcReply', () => {
+  let channel;
+
+  beforeEach(() => {
+    channel = createFakeChannel();
+    mock.method(getPublisherConnection(), 'connect', async () => channel);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('publishes a signed reply to the reply address of the caller', async () => {
+    await sendRpcReply(
+      { replyTo: REPLY_QUEUE, correlationId: 'call-1' },
+      { result: { sent: true } }
+    );
+
+    const [[exchange, routingKey, content, properties]] =
+      channel.callsOf('publish');
+    const reply = JSON.parse(content);
+    assert.equal(exchange, '');
+    assert.equal(routingKey, REPLY_QUEUE);
+    assert.equal(properties.correlationId, 'call-1');
+    assert.deepEqual(reply.result, { sent: true });
+    assert.equal(properties.headers['x-message-signature'], signMessage(reply));
+  });
+
+  it('answers a duplicate RPC request with a 409 instead of leaving the caller waiting', async () => {
+    const redis = createRedisClient();
+    const worker = Object.create(Worker.prototype);
+    let calls = 0;
+    Object.assign(worker, {
+      name: 'test-worker',
+      queueKey: 'EMAIL_TASKS',
+      handlers: new Map([['default', async () => ++calls]]),
+      handlerOptions: new Map([['default', { rpc: true }]]),
+      idempotencyStore: new IdempotencyStore(redis, {
+        prefix: uniquePrefix('idempotency'),
+      }),
+    });
+    const task = {
+      taskId: 'task-1',
+      payload: {},
+      context: {},
+      rpc: { replyTo: REPLY_QUEUE, correlationId: 'call-1' },
+    };
+
+    await worker._processTask(task);
+    await worker._processTask(task);
+    await redis.quit();
+
+    assert.equal(calls, 1);
+    const [first, duplicate] = channel
+      .callsOf('publish')
+      .map(([, , content]) => JSON.parse(content));
+    assert.equal(first.result, 1);
+    assert.equal(duplicate.error.status, 409);
+    assert.equal(duplicate.correlationId, 'call-1');
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'timers/promises';
+import './helpers/env.js';
+import ShutdownManager from '../src/utils/ShutdownManager.js';
+
+/**
+ * createServer
+ *
+ * @param {boolean} [idle=true] - Whether every connection closes when asked to.
+ * @returns {Object} - HTTP server stand-in recording how it was closed.
+ */
+
+const createServer = (idle = true) => {
+  const server = { closed: false, destroyed: false };
+  let onClose;
+  server.close = (callback) => {
+    server.closed = true;
+    onClose = callback;
+  };
+  server.closeIdleConnections = () => idle && onClose();
+  server.closeAllConnections = () => {
+    server.destroyed = true;
+    onClose();
+  };
+  return server;
+};
+
+describe('ShutdownManager', () => {
+  let exit;
+
+  beforeEach(() => {
+    exit = mock.method(process, 'exit', () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const exitCode = () => exit.mock.calls[0]?.arguments[0];
+
+  it('keeps serving for the readiness delay before closing the server', async () => {
+    const manager = new ShutdownManager({ readinessDelayMs: 5000 });
+    const server = createServer();
+    manager.attachServer(server);
+
+    const shutdown = manager.shutdown('SIGTERM');
+    assert.equal(manager.isReady(), false);
+    await tick();
+    assert.equal(server.closed, false);
+
+    mock.timers.tick(5000);
+    await shutdown;
+    assert.equal(server.closed, true);
+    assert.equal(exitCode(), 0);
+  });
+
+  it('closes the server at once when an error triggered the shutdown', async () => {
+    const manager = new ShutdownManager({ readinessDelayMs: 5000 });
+    const server = createServer();
+    manager.attachServer(server);
+
+    await manager.shutdown(new Error('Uncaught'), 1);
+
+    assert.equal(server.closed, true);
+    assert.equal(exitCode(), 1);
+  });
+
+  it('skips the readiness delay for a non-zero exit code', async () => {
+    const manager = new ShutdownManager({ readinessDelayMs: 5000 });
+    const server = createServer();
+    manager.attachServer(server);
+
+    await manager.shutdown('unhandledRejection', 1);
+
+    assert.equal(server.closed, true);
+  });
+
+  it('destroys the connections still open at the deadline and exits with 1', async () => {
+    const manager = new ShutdownManager({
+      readinessDelayMs: 0,
+      timeoutMs: 1000,
+    });
+    const server = createServer(false);
+    manager.attachServer(server);
+
+    const shutdown = manager.shutdown('SIGTERM');
+    await tick();
+    mock.timers.tick(1000);
+    await shutdown;
+
+    assert.equal(server.destroyed, true);
+    assert.equal(exitCode(), 1);
+  });
+
+  it('runs the hooks in reverse order and exits with 1 when one failed', async () => {
+    const manager = new ShutdownManager({ readinessDelayMs: 0 });
+    const order = [];
+    manager.register('database', async () => order.push('database'));
+    manager.register('broker', async () => {
+      order.push('broker');
+      throw new Error('Close failed');
+    });
+    const unregister = manager.register('cache', async () =>
+      order.push('cache')
+    );
+    unregister();
+
+    await manager.shutdown('SIGTERM');
+
+    assert.deepEqual(order, ['broker', 'database']);
+    assert.equal(exitCode(), 1);
+  });
+
+  it('shares the pending shutdown between repeated calls', async () => {
+    const manager = new ShutdownManager({ readinessDelayMs: 0 });
+
+    const first = manager.shutdown('SIGTERM');
+    assert.equal(manager.shutdown('SIGINT'), first);
+    await first;
+    assert.equal(exit.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+import { EventEmitter } from 'events';
+import { afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import TaskOutbox from '../src/message-broker/outbox/TaskOutbox.js';
+import { db } from '../src/db/index.js';
+import { RequestContext } from '../src/utils/index.js';
+import { createFakeChannel } from './helpers/amqp.js';
+
+/**
+ * createOutbox
+ *
+ * Builds an outbox whose relay publishes on the given fake channel and whose claim returns the given rows.
+ *
+ * @param {Object} channel - Fake channel returned by the relay connection.
+ * @param {Object[]} rows - Rows returned by the claim statement.
+ * @param {Object} [options={}] - TaskOutbox options.
+ * @returns {{ outbox: TaskOutbox, execute: Object }} - Outbox and the mocked `db.execute`.
+ */
+
+const createOutbox = (channel, rows, options = {}) => {
+  const connection = new EventEmitter();
+  connection.connect = async () => channel;
+  connection.close = async () => {};
+  const execute = mock.method(db, 'execute', async (sql) =>
+    sql.includes('RETURNING')
+      ? { rowCount: rows.length, rows }
+      : { rowCount: 1, rows: [] }
+  );
+  return { outbox: new TaskOutbox({ ...options, connection }), execute };
+};
+
+const row = (id, attempts = 0) => ({
+  id,
+  queue_key: 'EMAIL_TASKS',
+  payload: { to: 'user@example.com' },
+  context: { userId: 'user-1' },
+  attempts,
+});
+
+/**
+ * outcomes
+ *
+ * @param {Object} execute - Mocked `db.execute`.
+ * @returns {Array<[string, Array<any>]>} - SET clause and parameters of each outcome update.
+ */
+
+const outcomes = (execute) =>
+  execute.mock.calls
+    .map(({ arguments: [sql, params] }) => [sql, params])
+    .filter(([sql]) => sql.includes("WHERE ID = ? AND STATUS = 'RELAYING'"));
+
+describe('TaskOutbox', () => {
+  before(() => {
+    process.env.MESSAGE_SIGNING_SECRET = 'test-signing-secret';
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('stores the request context of the enqueuing request', async () => {
+    const execute = mock.method(db, 'execute', async () => ({
+      rowCount: 1,
+      rows: [],
+    }));
+    const outbox = new TaskOutbox();
+
+    await RequestContext.run(
+      { id: 'user-1', locale: 'fr', correlationId: 'corr-1' },
+      () => outbox.enqueue({}, 'EMAIL_TASKS', {}, { source: 'signup' })
+    );
+
+    const [, params] = execute.mock.calls[0].arguments;
+    assert.deepEqual(JSON.parse(params[3]), {
+      userId: 'user-1',
+      locale: 'fr',
+      correlationId: 'corr-1',
+      source: 'signup',
+    });
+  });
+
+  it('claims pending rows and rows whose lease expired under a new lease', async () => {
+    const { outbox, execute } = createOutbox(createFakeChannel(), [], {
+      leaseMs: 30000,
+      batchSize: 10,
+    });
+    const before = Date.now();
+
+    await outbox.claimBatch();
+
+    const [sql, [leaseUntil, now, limit]] = execute.mock.calls[0].arguments;
+    assert.match(
+      sql,
+      /STATUS = 'PENDING' OR \(STATUS = 'RELAYING' AND LEASE_UNTIL < \?\)/
+    );
+    assert.match(sql, /FOR UPDATE SKIP LOCKED/);
+    assert.equal(leaseUntil.getTime() - now.getTime(), 30000);
+    assert.ok(now.getTime() >= before);
+    assert.equal(limit, 10);
+  });
+
+  it('marks a row published once the broker confirmed it', async () => {
+    const channel = createFakeChannel({ confirm: true });
+    const { outbox, execute } = createOutbox(channel, [row('task-1')]);
+
+    assert.equal(await outbox.relayBatch(), 1);
+
+    const [[exchange, routingKey, content, , callback]] =
+      channel.callsOf('publish');
+    assert.equal(exchange, 'email.exchange');
+    assert.equal(routingKey, 'email.send');
+    assert.equal(typeof callback, 'function');
+    const message = JSON.parse(content);
+    assert.equal(message.taskId, 'task-1');
+    assert.deepEqual(message._ctx, { userId: 'user-1' });
+
+    const [[sql]] = outcomes(execute);
+    assert.match(sql, /STATUS = 'PUBLISHED'/);
+  });
+
+  it('puts a row back to pending when the broker nacks it', async () => {
+    const channel = createFakeChannel({
+      confirm: true,
+      nackWith: new Error('nack'),
+    });
+    const { outbox, execute } = createOutbox(channel, [row('task-1')]);
+
+    assert.equal(await outbox.relayBatch(), 0);
+
+    const [[sql, params]] = outcomes(execute);
+    assert.match(sql, /ATTEMPTS = ATTEMPTS \+ 1/);
+    assert.deepEqual(params, ['Message nacked by broker', 'PENDING', 'task-1']);
+  });
+
+  it('marks a row failed once it used up its attempts', async () => {
+    const channel = createFakeChannel({
+      confirm: true,
+      nackWith: new Error('nack'),
+    });
+    const { outbox, execute } = createOutbox(channel, [row('task-1', 2)], {
+      maxAttempts: 3,
+    });
+
+    await outbox.relayBatch();
+
+    const [[, params]] = outcomes(execute);
+    assert.equal(params[1], 'FAILED');
+  });
+
+  it('refuses to relay without a confirm channel', async () => {
+    const channel = createFakeChannel();
+    const { outbox, execute } = createOutbox(channel, [row('task-1')]);
+
+    assert.equal(await outbox.relayBatch(), 0);
+
+    assert.equal(channel.callsOf('publish').length, 0);
+    const [[, params]] = outcomes(execute);
+    assert.deepEqual(params, [
+      'Outbox relay requires a confirm channel',
+      'PENDING',
+      'task-1',
+    ]);
+  });
+
+  it('drops its publishers when the channel closes', async () => {
+    const channel = createFakeChannel({ confirm: true });
+    const { outbox } = createOutbox(channel, [row('task-1')]);
+
+    await outbox.relayBatch();
+    assert.equal(outbox.publishers.size, 1);
+
+    outbox.connection.emit('closed');
+    assert.equal(outbox.publishers.size, 0);
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import TaskScheduler from '../src/message-broker/redis/TaskScheduler.js';
+import {
+  getPublisherConnection,
+  publishDueTasks,
+} from '../src/message-broker/rabbitmq/publisher/index.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+import { createFakeChannel } from './helpers/amqp.js';
+
+const QUEUE = 'EMAIL_TASKS';
+
+describe('TaskScheduler', () => {
+  const redis = createRedisClient();
+  let scheduler;
+
+  after(() => redis.quit());
+
+  afterEach(() => mock.restoreAll());
+
+  const createScheduler = (options = {}) =>
+    new TaskScheduler(redis, { prefix: uniquePrefix('scheduled'), ...options });
+
+  const scheduleDue = (taskScheduler, taskId) =>
+    taskScheduler.schedule(QUEUE, {
+      taskId,
+      payload: { to: 'user@example.com' },
+      runAt: Date.now() - 1,
+    });
+
+  it('claims due tasks once and keeps them until acknowledged', async () => {
+    scheduler = createScheduler();
+    await scheduleDue(scheduler, 'task-1');
+    await scheduler.schedule(QUEUE, {
+      taskId: 'task-2',
+      payload: {},
+      runAt: Date.now() + 60000,
+    });
+
+    const claimed = await scheduler.claimDue(QUEUE);
+    assert.deepEqual(
+      claimed.map(({ taskId }) => taskId),
+      ['task-1']
+    );
+    assert.deepEqual(await scheduler.claimDue(QUEUE), []);
+
+    const { processing, tasks } = scheduler.getKeys(QUEUE);
+    assert.deepEqual(await redis.zrange(processing, 0, -1), ['task-1']);
+    assert.ok(await redis.hexists(tasks, 'task-1'));
+
+    await scheduler.acknowledge(QUEUE, 'task-1');
+    assert.deepEqual(await redis.zrange(processing, 0, -1), []);
+    assert.equal(await redis.hexists(tasks, 'task-1'), 0);
+    assert.equal(await scheduler.count(QUEUE), 1);
+  });
+
+  it('makes a task due again once the lease of its crashed poller expired', async () => {
+    const crashed = createScheduler({ leaseMs: 1 });
+    const survivor = new TaskScheduler(redis, { prefix: crashed.prefix });
+    await scheduleDue(crashed, 'task-1');
+
+    assert.equal((await crashed.claimDue(QUEUE)).length, 1);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    const reclaimed = await survivor.claimDue(QUEUE);
+    assert.deepEqual(
+      reclaimed.map(({ taskId }) => taskId),
+      ['task-1']
+    );
+  });
+
+  it('releases a claimed task back into the schedule', async () => {
+    scheduler = createScheduler();
+    await scheduleDue(scheduler, 'task-1');
+    await scheduler.claimDue(QUEUE);
+
+    await scheduler.release(QUEUE, 'task-1', Date.now() - 1);
+
+    assert.equal(await scheduler.count(QUEUE), 1);
+    assert.equal((await scheduler.claimDue(QUEUE)).length, 1);
+  });
+
+  it('drops a claimed task that was cancelled', async () => {
+    scheduler = createScheduler({ leaseMs: 1 });
+    await scheduleDue(scheduler, 'task-1');
+    await scheduler.claimDue(QUEUE);
+
+    assert.equal(await scheduler.cancel(QUEUE, 'task-1'), false);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.deepEqual(await scheduler.claimDue(QUEUE), []);
+  });
+
+  describe('publishDueTasks', () => {
+    let channel;
+
+    before(() => {
+      process.env.MESSAGE_SIGNING_SECRET = 'test-signing-secret';
+    });
+
+    const usePublisherChannel = (options) => {
+      channel = createFakeChannel({ confirm: true, ...options });
+      // Drops the publishers cached by a previous test
+      getPublisherConnection().emit('closed');
+      mock.method(getPublisherConnection(), 'connect', async () => channel);
+    };
+
+    it('removes a task once its publish was confirmed', async () => {
+      usePublisherChannel();
+      scheduler = createScheduler();
+      await scheduleDue(scheduler, 'task-1');
+
+      assert.equal(await publishDueTasks(QUEUE, scheduler), 1);
+
+      const [[, , content]] = channel.callsOf('publish');
+      assert.equal(JSON.parse(content).taskId, 'task-1');
+      const { processing, tasks } = scheduler.getKeys(QUEUE);
+      assert.equal(await redis.zcard(processing), 0);
+      assert.equal(await redis.hexists(tasks, 'task-1'), 0);
+    });
+
+    it('schedules a task again when the broker nacked its publish', async () => {
+      usePublisherChannel({ nackWith: new Error('nack') });
+      scheduler = createScheduler();
+      await scheduleDue(scheduler, 'task-1');
+
+      assert.equal(await publishDueTasks(QUEUE, scheduler), 0);
+
+      const { schedule, processing, tasks } = scheduler.getKeys(QUEUE);
+      assert.equal(await redis.zcard(processing), 0);
+      assert.ok(Number(await redis.zscore(schedule, 'task-1')) > Date.now());
+      assert.ok(await redis.hexists(tasks, 'task-1'));
+    });
+  });
+});
@@ -0,0 +1,335 @@
+'use strict';
+
+import { after, afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { existsSync } from 'fs';
+import { readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import axios from 'axios';
+import './helpers/env.js';
+import {
+  closeTracer,
+  FileExporter,
+  formatTraceparent,
+  getTracer,
+  OTLPExporter,
+  parseTraceparent,
+  SPAN_KIND,
+  SPAN_STATUS,
+  Tracer,
+} from '../src/tracing/index.js';
+import tracingMiddleware from '../src/middlewares/tracing.middleware.js';
+import { RequestContext } from '../src/utils/index.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+const TRACEPARENT = `00-${TRACE_ID}-${SPAN_ID}-01`;
+
+/**
+ * createExporter
+ *
+ * @returns {{ spans: Object[], export: Function, shutdown: Function }} - Exporter keeping the finished spans in memory.
+ */
+
+const createExporter = () => {
+  const spans = [];
+  return {
+    spans,
+    export: (span) => spans.push(span),
+    shutdown: async () => {},
+  };
+};
+
+describe('traceparent', () => {
+  it('parses a valid header and formats it back', () => {
+    const context = parseTraceparent(TRACEPARENT);
+
+    assert.deepEqual(context, {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      sampled: true,
+    });
+    assert.equal(formatTraceparent(context), TRACEPARENT);
+  });
+
+  it('reads the sampled flag and ignores case and surrounding spaces', () => {
+    const context = parseTraceparent(
+      ` 00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-00 `
+    );
+
+    assert.equal(context.traceId, TRACE_ID);
+    assert.equal(context.sampled, false);
+    assert.equal(formatTraceparent(context), `00-${TRACE_ID}-${SPAN_ID}-00`);
+  });
+
+  it('rejects malformed headers and all-zero IDs', () => {
+    for (const header of [
+      undefined,
+      '',
+      'not-a-traceparent',
+      `01-${TRACE_ID}-${SPAN_ID}-01`,
+      `00-${TRACE_ID}-${SPAN_ID.slice(1)}-01`,
+      `00-${'0'.repeat(32)}-${SPAN_ID}-01`,
+      `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+    ]) {
+      assert.equal(parseTraceparent(header), null, String(header));
+    }
+  });
+});
+
+describe('Tracer', () => {
+  it('starts a new trace without an active span', () => {
+    const tracer = new Tracer({ exporter: createExporter() });
+    const span = tracer.startSpan('root');
+
+    assert.match(span.traceId, /^[0-9a-f]{32}$/);
+    assert.equal(span.parentSpanId, null);
+    assert.equal(span.sampled, true);
+  });
+
+  it('makes the active span the parent of spans started inside withSpan', async () => {
+    const exporter = createExporter();
+    const tracer = new Tracer({ exporter });
+
+    const result = await tracer.withSpan('parent', {}, async (parent) => {
+      assert.deepEqual(tracer.activeContext(), parent.context());
+      tracer.startSpan('child').end();
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    const [child, parent] = exporter.spans;
+    assert.equal(child.traceId, parent.traceId);
+    assert.equal(child.parentSpanId, parent.spanId);
+    assert.equal(tracer.activeContext(), null);
+  });
+
+  it('records the error of a failed withSpan and ends the span', async () => {
+    const exporter = createExporter();
+    const tracer = new Tracer({ exporter });
+
+    await assert.rejects(
+      tracer.withSpan('failing', {}, async () => {
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+
+    const [span] = exporter.spans;
+    assert.deepEqual(span.status, {
+      code: SPAN_STATUS.ERROR,
+      message: 'boom',
+    });
+    assert.equal(span.events[0].name, 'exception');
+    assert.notEqual(span.endTime, null);
+  });
+
+  it('continues the trace of an extracted parent and injects its own span', () => {
+    const tracer = new Tracer({ exporter: createExporter() });
+    const span = tracer.startSpan('consume', {
+      kind: SPAN_KIND.CONSUMER,
+      parent: tracer.extract({ traceparent: TRACEPARENT }),
+    });
+
+    assert.equal(span.traceId, TRACE_ID);
+    assert.equal(span.parentSpanId, SPAN_ID);
+    assert.deepEqual(tracer.inject({ 'x-other': '1' }, span.context()), {
+      'x-other': '1',
+      traceparent: `00-${TRACE_ID}-${span.spanId}-01`,
+    });
+    assert.equal(tracer.extract({ traceparent: 'garbage' }), null);
+    assert.deepEqual(tracer.inject({ 'x-other': '1' }), { 'x-other': '1' });
+  });
+
+  it('exports nothing without an exporter but still propagates the trace', () => {
+    const tracer = new Tracer({ exporter: null });
+    const span = tracer.startSpan('call', {
+      parent: parseTraceparent(TRACEPARENT),
+    });
+    span.end();
+
+    assert.equal(span.traceId, TRACE_ID);
+    assert.equal(tracer.inject({}, span.context()).traceparent.length, 55);
+  });
+
+  it('records no new trace with a sample ratio of 0', () => {
+    const exporter = createExporter();
+    const tracer = new Tracer({ exporter, sampleRatio: 0 });
+    const span = tracer.startSpan('root');
+    span.end();
+
+    assert.equal(span.sampled, false);
+    assert.equal(exporter.spans.length, 0);
+    assert.match(tracer.inject({}, span.context()).traceparent, /-00$/);
+  });
+});
+
+describe('OTLPExporter', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends the queued spans as one OTLP batch on flush', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 200 }));
+    const tracer = new Tracer({ exporter: null });
+    const exporter = new OTLPExporter({
+      url: 'http://collector.test/v1/traces',
+      headers: { 'x-api-key': 'key' },
+      serviceName: 'test-svc',
+    });
+    const span = tracer.startSpan('GET /transactions', {
+      parent: parseTraceparent(TRACEPARENT),
+      attributes: { 'http.response.status_code': 200 },
+    });
+    span.end();
+    exporter.export(span);
+
+    await exporter.shutdown();
+
+    assert.equal(post.mock.callCount(), 1);
+    const [url, payload, config] = post.mock.calls[0].arguments;
+    assert.equal(url, 'http://collector.test/v1/traces');
+    assert.deepEqual(config.headers, { 'x-api-key': 'key' });
+    const [resourceSpans] = payload.resourceSpans;
+    assert.deepEqual(resourceSpans.resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'test-svc' } },
+    ]);
+    const [sent] = resourceSpans.scopeSpans[0].spans;
+    assert.equal(sent.traceId, TRACE_ID);
+    assert.equal(sent.parentSpanId, SPAN_ID);
+    assert.equal(sent.name, 'GET /transactions');
+    assert.equal(sent.endTimeUnixNano, String(span.endTime));
+  });
+
+  it('flushes as soon as a batch is full and drops spans beyond the queue size', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 200 }));
+    const tracer = new Tracer({ exporter: null });
+    const exporter = new OTLPExporter({ maxBatchSize: 2, maxQueueSize: 2 });
+
+    exporter.export(tracer.startSpan('a'));
+    assert.equal(post.mock.callCount(), 0);
+    exporter.export(tracer.startSpan('b'));
+    assert.equal(post.mock.callCount(), 1);
+    await exporter.shutdown();
+
+    const full = new OTLPExporter({ maxBatchSize: 10, maxQueueSize: 1 });
+    full.export(tracer.startSpan('c'));
+    full.export(tracer.startSpan('d'));
+    assert.equal(full.queue.length, 1);
+    await full.shutdown();
+  });
+
+  it('drops the batch when the collector is unreachable', async () => {
+    mock.method(axios, 'post', async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+    const exporter = new OTLPExporter();
+    exporter.export(new Tracer({ exporter: null }).startSpan('lost'));
+
+    await exporter.shutdown();
+    assert.equal(exporter.queue.length, 0);
+  });
+});
+
+describe('FileExporter', () => {
+  const path = join(tmpdir(), `traces-${process.pid}-${Date.now()}.jsonl`);
+
+  after(() => rm(path, { force: true }));
+
+  it('buffers spans and appends them as JSON lines asynchronously', async () => {
+    const exporter = new FileExporter({ path });
+    const tracer = new Tracer({ exporter });
+
+    tracer.startSpan('first').end();
+    tracer.startSpan('second').end();
+    assert.equal(existsSync(path), false);
+
+    await exporter.shutdown();
+
+    const lines = (await readFile(path, 'utf8')).trim().split('\n');
+    assert.deepEqual(
+      lines.map((line) => JSON.parse(line).name),
+      ['first', 'second']
+    );
+  });
+
+  it('logs and drops the spans of a failed write', async () => {
+    const exporter = new FileExporter({
+      path: join(tmpdir(), 'missing-dir', 'traces.jsonl'),
+    });
+    exporter.export(new Tracer({ exporter: null }).startSpan('lost'));
+
+    await exporter.shutdown();
+    assert.equal(exporter.queue.length, 0);
+  });
+});
+
+describe('tracingMiddleware', () => {
+  const exporter = createExporter();
+
+  after(() => closeTracer());
+
+  /**
+   * run
+   *
+   * Runs the middleware for a request and closes its response.
+   *
+   * @param {Object} req - Request fields.
+   * @param {number} statusCode - Status code of the response.
+   * @returns {Object} - Trace context active in the next handler.
+   */
+
+  const run = (req, statusCode) => {
+    getTracer().exporter = exporter;
+    const res = new EventEmitter();
+    let active;
+
+    tracingMiddleware({ method: 'GET', headers: {}, ...req }, res, () => {
+      active = RequestContext.get().trace;
+    });
+    res.statusCode = statusCode;
+    res.emit('close');
+    return active;
+  };
+
+  it('continues the incoming trace and names the span after the route', () => {
+    const active = run(
+      {
+        path: '/transactions/7',
+        headers: { traceparent: TRACEPARENT },
+        openapi: { openApiRoute: '/transactions/{id}' },
+      },
+      200
+    );
+
+    const span = exporter.spans.at(-1);
+    assert.equal(span.name, 'GET /transactions/{id}');
+    assert.equal(span.kind, SPAN_KIND.SERVER);
+    assert.equal(span.traceId, TRACE_ID);
+    assert.equal(span.parentSpanId, SPAN_ID);
+    assert.deepEqual(active, span.context());
+    assert.equal(span.attributes['http.response.status_code'], 200);
+    assert.equal(span.status.code, SPAN_STATUS.UNSET);
+  });
+
+  it('marks 5xx responses as failed', () => {
+    run({ path: '/health', baseUrl: '', route: { path: '/health' } }, 503);
+
+    const span = exporter.spans.at(-1);
+    assert.equal(span.name, 'GET /health');
+    assert.equal(span.parentSpanId, null);
+    assert.equal(span.status.code, SPAN_STATUS.ERROR);
+  });
+
+  it('sets the span on an existing request context', () => {
+    RequestContext.run({ id: 'request-1' }, () => {
+      run({ path: '/' }, 404);
+
+      assert.equal(RequestContext.get().id, 'request-1');
+      assert.deepEqual(
+        RequestContext.get().trace,
+        exporter.spans.at(-1).context()
+      );
+    });
+  });
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import './helpers/env.js';
+import verifyToken from '../src/middlewares/verifyToken.middleware.js';
+import { CoreDB } from '../src/db/index.js';
+import {
+  closeSessionStore,
+  getSessionStore,
+  SessionStore,
+} from '../src/auth/index.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+
+const ACCESS_TOKEN_KEY = 'test-access-token-key';
+const REFRESH_TOKEN_KEY = 'test-refresh-token-key';
+const USER_ID = 'user-1';
+
+/**
+ * run
+ *
+ * Runs verifyToken on a request carrying the given access token.
+ *
+ * @param {string} [token] - Access token sent as a Bearer token.
+ * @returns {Promise<{ req: Object, error: Object|undefined, called: boolean }>}
+ */
+
+const run = async (token) => {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const req = {
+    headers,
+    header: (name) => headers[name.toLowerCase()],
+  };
+  let called = false;
+  let error;
+
+  await verifyToken(req, {}, (err) => {
+    called = true;
+    error = err;
+  });
+  return { req, error, called };
+};
+
+const accessToken = (claims = {}) =>
+  jwt.sign({ id: USER_ID, sid: 'session-1', ...claims }, ACCESS_TOKEN_KEY);
+
+describe('verifyToken', () => {
+  const redis = createRedisClient();
+  let store;
+  let refreshToken;
+  let lookups;
+
+  before(() => {
+    process.env.ACCESS_TOKEN_KEY = ACCESS_TOKEN_KEY;
+    process.env.REFRESH_TOKEN_KEY = REFRESH_TOKEN_KEY;
+    // The shared store connects lazily, so its own client is never used once replaced
+    process.env.REDIS_HOST ??= '127.0.0.1';
+    process.env.REDIS_PORT ??= '6379';
+    store = getSessionStore();
+    store.redis = redis;
+  });
+
+  after(async () => {
+    await closeSessionStore();
+    await redis.quit();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const mockRefreshToken = (token) => {
+    lookups = 0;
+    refreshToken = token;
+    store.prefix = uniquePrefix('auth');
+    mock.method(CoreDB, 'getUserRefreshToken', async () => {
+      lookups++;
+      return refreshToken
+        ? { rowCount: 1, rows: [{ refresh_token: refreshToken }] }
+        : { rowCount: 0, rows: [] };
+    });
+  };
+
+  it('rejects a request without a token and stops', async () => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    const { req, error, called } = await run();
+
+    assert.equal(called, true);
+    assert.equal(error.status, 401);
+    assert.equal(req.user, undefined);
+    assert.equal(lookups, 0);
+  });
+
+  it('authorizes a valid token and sets req.user', async () => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    const { req, error } = await run(accessToken());
+
+    assert.equal(error, undefined);
+    assert.equal(req.user.id, USER_ID);
+    assert.equal(req.headers['x-session-id'], 'session-1');
+  });
+
+  it('queries USER_METADATA on a cache miss only', async () => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    await run(accessToken());
+    const { error } = await run(accessToken());
+
+    assert.equal(error, undefined);
+    assert.equal(lookups, 1);
+  });
+
+  it('rejects a token of a revoked session', async () => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    await store.revoke('session-1');
+    const { req, error } = await run(accessToken());
+
+    assert.equal(error.status, 401);
+    assert.equal(error.message, 'User session revoked');
+    assert.equal(req.user, undefined);
+  });
+
+  it('rejects a user without a refresh token', async () => {
+    mockRefreshToken(null);
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 401);
+  });
+
+  it('rejects a user whose refresh token expired', async () => {
+    mockRefreshToken(
+      jwt.sign(
+        { id: USER_ID, exp: Math.floor(Date.now() / 1000) - 60 },
+        REFRESH_TOKEN_KEY
+      )
+    );
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 401);
+  });
+
+  it('rejects a user whose stored refresh token is malformed', async () => {
+    mockRefreshToken('not-a-jwt');
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 401);
+  });
+
+  it('rejects a user whose stored refresh token is signed with another key', async () => {
+    mockRefreshToken(
+      jwt.sign({ id: USER_ID }, 'forged-refresh-token-key', { expiresIn: '1h' })
+    );
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 401);
+  });
+
+  it('answers 503 when no refresh token key is configured', async (t) => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    delete process.env.REFRESH_TOKEN_KEY;
+    t.after(() => {
+      process.env.REFRESH_TOKEN_KEY = REFRESH_TOKEN_KEY;
+    });
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 503);
+  });
+
+  it('answers 503 when the session store is down', async () => {
+    mockRefreshToken(jwt.sign({ id: USER_ID }, REFRESH_TOKEN_KEY));
+    mock.method(redis, 'exists', async () => {
+      throw new Error('Connection is closed.');
+    });
+    const { error } = await run(accessToken());
+
+    assert.equal(error.status, 503);
+  });
+});
+
+describe('SessionStore', () => {
+  const redis = createRedisClient();
+  let store;
+
+  after(() => redis.quit());
+
+  before(() => {
+    store = new SessionStore(redis, { prefix: uniquePrefix('auth') });
+  });
+
+  it('misses the cache until a validity is stored, then hits it', async () => {
+    assert.equal(await store.getRefreshValidity(USER_ID), null);
+
+    await store.setRefreshValidity(USER_ID, true);
+    assert.equal(await store.getRefreshValidity(USER_ID), true);
+
+    await store.setRefreshValidity(USER_ID, false);
+    assert.equal(await store.getRefreshValidity(USER_ID), false);
+  });
+
+  it('invalidates the cached validity of the user when a session is revoked', async () => {
+    await store.setRefreshValidity(USER_ID, true);
+    await store.revoke('session-2', { userId: USER_ID });
+
+    assert.equal(await store.isRevoked('session-2'), true);
+    assert.equal(await store.getRefreshValidity(USER_ID), null);
+  });
+});
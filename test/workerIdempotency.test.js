@@ -0,0 +1,117 @@
+'use strict';
+
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import Worker from '../src/templates/worker-template.js';
+import IdempotencyStore from '../src/message-broker/redis/IdempotencyStore.js';
+import RetryManager from '../src/message-broker/redis/RetryManager.js';
+import { RequestContext } from '../src/utils/index.js';
+import { createRedisClient, uniquePrefix } from './helpers/redis.js';
+
+const QUEUE = 'TEST_TASKS';
+
+describe('Worker idempotent consumption', () => {
+  const redis = createRedisClient();
+  let worker;
+  let calls;
+
+  after(() => redis.quit());
+
+  beforeEach(() => {
+    calls = 0;
+    worker = Object.create(Worker.prototype);
+    Object.assign(worker, {
+      name: 'test-worker',
+      queueKey: QUEUE,
+      handlers: new Map([
+        [
+          'default',
+          async () => {
+            calls++;
+          },
+        ],
+      ]),
+      handlerOptions: new Map(),
+      retryManager: new RetryManager(redis, {
+        prefix: uniquePrefix('retry'),
+      }),
+      idempotencyStore: new IdempotencyStore(redis, {
+        prefix: uniquePrefix('idempotency'),
+      }),
+    });
+  });
+
+  const task = (taskId = 'task-1') => ({ taskId, payload: {}, context: {} });
+
+  it('skips a duplicate of a processed task', async () => {
+    await worker._processTask(task());
+    await worker._processTask(task());
+
+    assert.equal(calls, 1);
+    assert.equal(await worker.retryManager.getDepth(QUEUE), 0);
+  });
+
+  it('defers a duplicate of a task still in flight without counting an attempt', async () => {
+    await worker.idempotencyStore.acquire('task-1');
+    await worker._processTask(task());
+
+    assert.equal(calls, 0);
+    const [deferred] = await redis.zrange(
+      worker.retryManager.getKey(QUEUE),
+      0,
+      -1
+    );
+    assert.equal(JSON.parse(deferred).taskId, 'task-1');
+    assert.equal(JSON.parse(deferred).retry, undefined);
+  });
+
+  it('does not retry a successful task when marking it processed fails', async () => {
+    worker.idempotencyStore.complete = async () => {
+      throw new Error('Redis unavailable');
+    };
+
+    await worker._processTask(task());
+
+    assert.equal(calls, 1);
+    assert.equal(await worker.retryManager.getDepth(QUEUE), 0);
+  });
+
+  it('schedules the retry of a failed task when releasing its claim fails', async () => {
+    worker.handlers.set('default', async () => {
+      throw new Error('Handler failed');
+    });
+    worker.idempotencyStore.release = async () => {
+      throw new Error('Redis unavailable');
+    };
+
+    await worker._processTask(task());
+
+    assert.equal(await worker.retryManager.getDepth(QUEUE), 1);
+  });
+});
+
+describe('Worker task context', () => {
+  it('runs the task in a fresh context restored from the task', async () => {
+    const worker = Object.create(Worker.prototype);
+    worker._processTask = async () => RequestContext.get();
+    const trace = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) };
+
+    const store = await RequestContext.run(
+      { id: 'other-user', sessionId: 'other-session', trace },
+      () =>
+        worker._messageWrapper({
+          taskId: 'task-1',
+          payload: {},
+          context: { correlationId: 'corr-1' },
+        })
+    );
+
+    assert.deepEqual(store, {
+      trace,
+      locale: 'en-US',
+      correlationId: 'corr-1',
+      taskId: 'task-1',
+    });
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import Worker from '../src/templates/worker-template.js';
+
+const SIGNALS = [
+  'uncaughtException',
+  'unhandledRejection',
+  'SIGTERM',
+  'SIGINT',
+];
+
+/**
+ * createWorker
+ *
+ * @param {boolean} drained - Result of the worker's stop.
+ * @returns {Object} - Worker whose stop is recorded instead of closing connections.
+ */
+
+const createWorker = (drained) => {
+  const worker = Object.create(Worker.prototype);
+  worker.stop = mock.fn(async () => drained);
+  worker.setupProcessHandler();
+  return worker;
+};
+
+describe('Worker process handlers', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('registers the process handlers once and stops every worker on a signal', async () => {
+    const before = SIGNALS.map((event) => process.listenerCount(event));
+    const workers = [
+      createWorker(true),
+      createWorker(false),
+      createWorker(true),
+    ];
+
+    assert.deepEqual(
+      SIGNALS.map((event) => process.listenerCount(event)),
+      before.map((count) => count + 1)
+    );
+
+    let exited;
+    const exit = new Promise((resolve) => {
+      mock.method(process, 'exit', (code) => {
+        exited = code;
+        resolve();
+      });
+    });
+    process.listeners('SIGTERM').at(-1)();
+    await exit;
+
+    workers.forEach((worker) => assert.equal(worker.stop.mock.callCount(), 1));
+    // One worker still had tasks in flight
+    assert.equal(exited, 1);
+  });
+});